@@ -0,0 +1,1102 @@
+const {
+  Employee,
+  LeaveRequest,
+  RegularizationRequest,
+} = require('./models');
+const { buildDocument, toExpressPath, validateRequest } = require('./openapi');
+const { PERMISSIONS, ALL_PERMISSIONS } = require('./permissions');
+const { MARKABLE_STATUSES } = require('./attendance');
+const { SALARY_REVISION_REASONS } = require('./revisions');
+const { ADJUSTMENT_TYPES } = require('./settlement');
+const { PRORATION_BASES } = require('./calendar');
+const { REPORT_FORMATS } = require('./reports');
+const { PAYSLIP_EXPORT_FORMATS } = require('./payslipExport');
+const { TAX_REGIMES } = require('./tax');
+const { STATEMENT_BASES, STATEMENT_FORMATS } = require('./statements');
+const {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_STATUSES,
+} = require('./notifications');
+const { PAYMENT_FILE_FORMATS } = require('./payments');
+
+const API_V2 = '/api/v2';
+
+//------------------ SCHEMAS ------------------//
+const OBJECT_ID = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+const STRING = { type: 'string' };
+const TEXT = { type: 'string', minLength: 1 };
+const NUMBER = { type: 'number' };
+const BOOLEAN = { type: 'boolean' };
+const DATE = { type: 'string', format: 'date' };
+const MONTH = { type: 'integer', minimum: 1, maximum: 12 };
+const YEAR = { type: 'integer', minimum: 1970, maximum: 9999 };
+const AMOUNT = { type: 'number', minimum: 0 };
+const PAGE = { type: 'integer', minimum: 1 };
+const LIMIT = { type: 'integer', minimum: 1, maximum: 200 };
+
+function nullable(schema) {
+  return { ...schema, nullable: true };
+}
+
+function arrayOf(items) {
+  return { type: 'array', items };
+}
+
+function enumOf(values) {
+  return { type: 'string', enum: values };
+}
+
+// Object with exactly these properties; unknown ones are rejected
+function object(properties, required = []) {
+  return {
+    type: 'object',
+    properties,
+    ...(required.length ? { required } : {}),
+    additionalProperties: false,
+  };
+}
+
+// Path parameter handed to the v1 route as body field `field`
+function param(field, schema = OBJECT_ID) {
+  return { field, schema };
+}
+
+const ID = { id: param('id') };
+const EMPLOYEE = { id: param('employeeId') };
+const PERIOD = { year: param('year', YEAR), month: param('month', MONTH) };
+const MONTH_QUERY = object({ month: MONTH, year: YEAR });
+
+const ORG_ASSIGNMENT = {
+  departmentId: nullable(OBJECT_ID),
+  designationId: nullable(OBJECT_ID),
+  managerId: nullable(OBJECT_ID),
+};
+const EMPLOYEE_FIELDS = {
+  name: TEXT,
+  username: TEXT,
+  password: TEXT,
+  salary: AMOUNT,
+  empId: TEXT,
+  email: nullable(STRING),
+  bankAccount: nullable(
+    object({ accountNumber: TEXT, ifsc: TEXT, accountHolderName: TEXT }, [
+      'accountNumber',
+      'ifsc',
+      'accountHolderName',
+    ])
+  ),
+  ...ORG_ASSIGNMENT,
+};
+// v1 names the new credentials of an employee or admin this way
+const CREDENTIALS = { username: 'username_new', password: 'password_new' };
+
+const ADJUSTMENTS = arrayOf(
+  object(
+    { name: TEXT, amount: AMOUNT, type: enumOf(ADJUSTMENT_TYPES) },
+    ['name', 'amount', 'type']
+  )
+);
+const EXIT = object({
+  lastWorkingDay: DATE,
+  reason: STRING,
+  adjustments: ADJUSTMENTS,
+});
+const LEAVE_STATUS = enumOf(LeaveRequest.schema.path('status').enumValues);
+const REGULARIZATION_STATUS = enumOf(
+  RegularizationRequest.schema.path('status').enumValues
+);
+const ORG_UNIT = { name: TEXT, description: STRING };
+const ROLE = {
+  name: TEXT,
+  description: STRING,
+  permissions: arrayOf(enumOf([ALL_PERMISSIONS, ...PERMISSIONS])),
+};
+const LEAVE_TYPE = {
+  name: TEXT,
+  annualAccrual: AMOUNT,
+  carryForward: BOOLEAN,
+  maxCarryForward: AMOUNT,
+  paid: BOOLEAN,
+  encashable: BOOLEAN,
+};
+const MARK_ATTENDANCE = object({ status: enumOf(MARKABLE_STATUSES) });
+const FINANCIAL_YEAR = { financialYear: param('financialYear', YEAR) };
+const TAX_DECLARATION = object({
+  regime: nullable(enumOf(TAX_REGIMES)),
+  declarations: arrayOf(
+    object({ section: TEXT, amount: AMOUNT }, ['section', 'amount'])
+  ),
+  previousEmployer: object({ income: AMOUNT, tds: AMOUNT }),
+});
+const ANNUAL_STATEMENT_QUERY = object({
+  basis: enumOf(STATEMENT_BASES),
+  format: enumOf(STATEMENT_FORMATS),
+});
+
+//------------------ ROUTES ------------------//
+// Each v2 route is served by the v1 route named in `v1`: path and query
+// parameters and the JSON body are merged into the v1 request body (path
+// parameters under their `field` name, body fields renamed by `rename`).
+const routes = [
+  // Authentication
+  {
+    method: 'post',
+    path: '/auth/admin/login',
+    v1: '/admin/login',
+    tag: 'Authentication',
+    summary: 'Sign in as an admin',
+    public: true,
+    body: object({ username: TEXT, password: TEXT }, ['username', 'password']),
+  },
+  {
+    method: 'post',
+    path: '/auth/employee/login',
+    v1: '/employee/login',
+    tag: 'Authentication',
+    summary: 'Sign in as an employee',
+    public: true,
+    body: object({ username: TEXT, password: TEXT }, ['username', 'password']),
+  },
+  {
+    method: 'post',
+    path: '/auth/refresh',
+    v1: '/auth/refresh',
+    tag: 'Authentication',
+    summary: 'Exchange a refresh token (body or cookie) for new tokens',
+    public: true,
+    body: object({ refreshToken: STRING }),
+  },
+  {
+    method: 'post',
+    path: '/auth/logout',
+    v1: '/auth/logout',
+    tag: 'Authentication',
+    summary: 'End the current session',
+  },
+  {
+    method: 'post',
+    path: '/auth/logout-all',
+    v1: '/auth/logout-all',
+    tag: 'Authentication',
+    summary: 'End every session of the signed-in user',
+  },
+  {
+    method: 'put',
+    path: '/auth/admin/password',
+    v1: '/admin/password/change',
+    tag: 'Authentication',
+    summary: 'Change the signed-in admin password',
+    body: object({ currentPassword: TEXT, newPassword: TEXT }, [
+      'currentPassword',
+      'newPassword',
+    ]),
+  },
+
+  // Roles & admin accounts
+  {
+    method: 'get',
+    path: '/roles',
+    v1: '/admin/roles/list',
+    tag: 'Access',
+    summary: 'List roles and the available permissions',
+  },
+  {
+    method: 'post',
+    path: '/roles',
+    v1: '/admin/roles/create',
+    tag: 'Access',
+    summary: 'Create a role',
+    body: object(ROLE, ['name']),
+  },
+  {
+    method: 'patch',
+    path: '/roles/{id}',
+    v1: '/admin/roles/update',
+    tag: 'Access',
+    summary: 'Update a role',
+    params: { id: param('roleId') },
+    body: object(ROLE),
+  },
+  {
+    method: 'delete',
+    path: '/roles/{id}',
+    v1: '/admin/roles/delete',
+    tag: 'Access',
+    summary: 'Delete a role that no admin holds',
+    params: { id: param('roleId') },
+  },
+  {
+    method: 'get',
+    path: '/admins',
+    v1: '/admin/admins/list',
+    tag: 'Access',
+    summary: 'List admin accounts',
+  },
+  {
+    method: 'post',
+    path: '/admins',
+    v1: '/admin/admins/create',
+    tag: 'Access',
+    summary: 'Create an admin account',
+    body: object(
+      {
+        name: TEXT,
+        username: TEXT,
+        password: TEXT,
+        empId: TEXT,
+        roleId: OBJECT_ID,
+      },
+      ['name', 'username', 'password', 'empId', 'roleId']
+    ),
+    rename: CREDENTIALS,
+  },
+  {
+    method: 'patch',
+    path: '/admins/{id}',
+    v1: '/admin/admins/update',
+    tag: 'Access',
+    summary: "Update an admin's name or role",
+    params: { id: param('adminId') },
+    body: object({ name: TEXT, roleId: OBJECT_ID }),
+  },
+  {
+    method: 'delete',
+    path: '/admins/{id}',
+    v1: '/admin/admins/delete',
+    tag: 'Access',
+    summary: 'Delete an admin account',
+    params: { id: param('adminId') },
+  },
+
+  // Employees
+  {
+    method: 'get',
+    path: '/employees',
+    v1: '/admin/employees/list',
+    tag: 'Employees',
+    summary: 'Search, filter, sort and page through employees',
+    query: object({
+      search: STRING,
+      status: arrayOf(enumOf(Employee.schema.path('status').enumValues)),
+      departmentId: OBJECT_ID,
+      designationId: OBJECT_ID,
+      managerId: OBJECT_ID,
+      salaryMin: NUMBER,
+      salaryMax: NUMBER,
+      createdFrom: DATE,
+      createdTo: DATE,
+      sortBy: STRING,
+      sortOrder: enumOf(['asc', 'desc']),
+      page: PAGE,
+      limit: LIMIT,
+    }),
+  },
+  {
+    method: 'post',
+    path: '/employees',
+    v1: '/admin/employees/create',
+    tag: 'Employees',
+    summary: 'Create an employee',
+    body: object(EMPLOYEE_FIELDS, ['name', 'username', 'password', 'empId']),
+    rename: CREDENTIALS,
+  },
+  {
+    method: 'get',
+    path: '/employees/{id}',
+    v1: '/admin/employees/get',
+    tag: 'Employees',
+    summary: 'Get an employee',
+    params: EMPLOYEE,
+  },
+  {
+    method: 'patch',
+    path: '/employees/{id}',
+    v1: '/admin/employees/update',
+    tag: 'Employees',
+    summary: 'Update an employee',
+    params: EMPLOYEE,
+    body: object(EMPLOYEE_FIELDS),
+    rename: CREDENTIALS,
+  },
+  {
+    method: 'delete',
+    path: '/employees/{id}',
+    v1: '/admin/employees/delete',
+    tag: 'Employees',
+    summary: 'Exit an employee (records are kept)',
+    params: EMPLOYEE,
+    body: EXIT,
+  },
+  {
+    method: 'post',
+    path: '/employees/{id}/password-reset',
+    v1: '/admin/employees/password/reset',
+    tag: 'Employees',
+    summary: 'Issue a one-time temporary password',
+    params: EMPLOYEE,
+  },
+  {
+    method: 'put',
+    path: '/employees/{id}/salary-structure',
+    v1: '/admin/employees/salary-structure',
+    tag: 'Salary',
+    summary: 'Set the salary structure from components or a template',
+    params: EMPLOYEE,
+    body: object({
+      components: arrayOf({ type: 'object' }),
+      template: STRING,
+    }),
+  },
+  {
+    method: 'get',
+    path: '/employees/{id}/salary-revisions',
+    v1: '/admin/employees/salary-revisions/list',
+    tag: 'Salary',
+    summary: 'Salary history, newest first',
+    params: EMPLOYEE,
+  },
+  {
+    method: 'post',
+    path: '/employees/{id}/salary-revisions',
+    v1: '/admin/employees/salary-revisions/create',
+    tag: 'Salary',
+    summary: 'Revise the salary from a date',
+    params: EMPLOYEE,
+    body: object(
+      {
+        salary: AMOUNT,
+        effectiveFrom: DATE,
+        reason: enumOf(SALARY_REVISION_REASONS),
+        note: STRING,
+      },
+      ['salary', 'effectiveFrom', 'reason']
+    ),
+  },
+  {
+    method: 'post',
+    path: '/employees/{id}/resignation',
+    v1: '/admin/employees/resign',
+    tag: 'Offboarding',
+    summary: 'Record a resignation',
+    params: EMPLOYEE,
+    body: object(
+      { resignationDate: DATE, lastWorkingDay: DATE, reason: STRING },
+      ['lastWorkingDay']
+    ),
+  },
+  {
+    method: 'post',
+    path: '/employees/{id}/exit',
+    v1: '/admin/employees/exit',
+    tag: 'Offboarding',
+    summary: 'Settle and exit an employee',
+    params: EMPLOYEE,
+    body: EXIT,
+  },
+  {
+    method: 'get',
+    path: '/employees/{id}/settlement',
+    v1: '/admin/employees/settlement',
+    tag: 'Offboarding',
+    summary: 'Full-and-final settlement, or a preview while on notice',
+    params: EMPLOYEE,
+  },
+  {
+    method: 'get',
+    path: '/employees/{id}/settlement/pdf',
+    v1: '/admin/employees/settlement/pdf',
+    tag: 'Offboarding',
+    summary: 'Full-and-final settlement as a PDF',
+    params: EMPLOYEE,
+    produces: 'application/pdf',
+  },
+  {
+    method: 'get',
+    path: '/employees/{id}/attendance',
+    v1: '/admin/attendance/view',
+    tag: 'Attendance',
+    summary: 'Attendance of an employee, optionally for one month',
+    params: EMPLOYEE,
+    query: MONTH_QUERY,
+  },
+  {
+    method: 'put',
+    path: '/employees/{id}/attendance/{date}',
+    v1: '/admin/attendance/mark',
+    tag: 'Attendance',
+    summary: 'Mark attendance for one day',
+    params: { ...EMPLOYEE, date: param('date', DATE) },
+    body: MARK_ATTENDANCE,
+  },
+  {
+    method: 'get',
+    path: '/employees/{id}/leave-balances',
+    v1: '/admin/leave/balances',
+    tag: 'Leave',
+    summary: 'Leave balances of an employee for a year',
+    params: EMPLOYEE,
+    query: object({ year: YEAR }),
+  },
+  {
+    method: 'get',
+    path: '/employees/{id}/payslips/{year}/{month}',
+    v1: '/admin/payslip/generate',
+    tag: 'Payslips',
+    summary: 'Payslip of an employee for a month',
+    params: { ...EMPLOYEE, ...PERIOD },
+  },
+  {
+    method: 'get',
+    path: '/employees/{id}/payslips/{year}/{month}/pdf',
+    v1: '/admin/payslip/pdf',
+    tag: 'Payslips',
+    summary: 'Payslip of an employee for a month as a PDF',
+    params: { ...EMPLOYEE, ...PERIOD },
+    produces: 'application/pdf',
+  },
+  {
+    method: 'get',
+    path: '/employees/{id}/tax-declarations/{financialYear}',
+    v1: '/admin/tax/declaration/get',
+    tag: 'Income tax',
+    summary: "An employee's tax regime and declarations for a financial year",
+    params: { ...EMPLOYEE, ...FINANCIAL_YEAR },
+  },
+  {
+    method: 'put',
+    path: '/employees/{id}/tax-declarations/{financialYear}',
+    v1: '/admin/tax/declaration/update',
+    tag: 'Income tax',
+    summary: "Set an employee's tax regime and declarations",
+    params: { ...EMPLOYEE, ...FINANCIAL_YEAR },
+    body: TAX_DECLARATION,
+  },
+  {
+    method: 'get',
+    path: '/employees/{id}/tax-statements/{financialYear}',
+    v1: '/admin/tax/statement',
+    tag: 'Income tax',
+    summary: 'Annual tax computation statement of an employee',
+    params: { ...EMPLOYEE, ...FINANCIAL_YEAR },
+  },
+  {
+    method: 'get',
+    path: '/employees/{id}/annual-statements/{year}',
+    v1: '/admin/statement/annual',
+    tag: 'Payslips',
+    summary: 'Annual salary statement of an employee as JSON or PDF',
+    params: { ...EMPLOYEE, year: param('year', YEAR) },
+    query: ANNUAL_STATEMENT_QUERY,
+  },
+  {
+    method: 'get',
+    path: '/org-chart',
+    v1: '/admin/org-chart',
+    tag: 'Organization',
+    summary: 'Reporting tree of the organization or below one employee',
+    query: object({ employeeId: OBJECT_ID }),
+  },
+
+  // Departments & designations
+  ...['department', 'designation'].flatMap((unit) => [
+    {
+      method: 'get',
+      path: `/${unit}s`,
+      v1: `/admin/${unit}s/list`,
+      tag: 'Organization',
+      summary: `List ${unit}s with their employee counts`,
+    },
+    {
+      method: 'post',
+      path: `/${unit}s`,
+      v1: `/admin/${unit}s/create`,
+      tag: 'Organization',
+      summary: `Create a ${unit}`,
+      body: object(ORG_UNIT, ['name']),
+    },
+    {
+      method: 'patch',
+      path: `/${unit}s/{id}`,
+      v1: `/admin/${unit}s/update`,
+      tag: 'Organization',
+      summary: `Update a ${unit}`,
+      params: ID,
+      body: object({ ...ORG_UNIT, active: BOOLEAN }),
+    },
+    {
+      method: 'delete',
+      path: `/${unit}s/{id}`,
+      v1: `/admin/${unit}s/delete`,
+      tag: 'Organization',
+      summary: `Delete a ${unit} nobody is assigned to`,
+      params: ID,
+    },
+  ]),
+
+  // Attendance
+  {
+    method: 'post',
+    path: '/attendance/bulk',
+    v1: '/admin/attendance/bulk',
+    tag: 'Attendance',
+    summary: 'Mark attendance for many employees and days',
+    body: object(
+      {
+        dryRun: BOOLEAN,
+        records: arrayOf(
+          object(
+            {
+              employeeId: OBJECT_ID,
+              empId: STRING,
+              date: DATE,
+              status: enumOf(MARKABLE_STATUSES),
+            },
+            ['date']
+          )
+        ),
+      },
+      ['records']
+    ),
+  },
+  {
+    method: 'post',
+    path: '/attendance/import',
+    v1: '/admin/attendance/import',
+    tag: 'Attendance',
+    summary: 'Import attendance from a CSV file',
+    query: object({ dryRun: BOOLEAN }),
+    rawBody: 'text/csv',
+  },
+  {
+    method: 'get',
+    path: '/attendance-regularizations',
+    v1: '/admin/attendance/regularizations',
+    tag: 'Attendance',
+    summary: 'List attendance regularization requests',
+    query: object({
+      status: REGULARIZATION_STATUS,
+      employeeId: OBJECT_ID,
+    }),
+  },
+  {
+    method: 'post',
+    path: '/attendance-regularizations/{id}/approve',
+    v1: '/admin/attendance/regularization/approve',
+    tag: 'Attendance',
+    summary: 'Approve a pending regularization and update the attendance',
+    params: { id: param('requestId') },
+    body: object({ comment: STRING }),
+  },
+  {
+    method: 'post',
+    path: '/attendance-regularizations/{id}/reject',
+    v1: '/admin/attendance/regularization/reject',
+    tag: 'Attendance',
+    summary: 'Reject a pending regularization request',
+    params: { id: param('requestId') },
+    body: object({ comment: STRING }),
+  },
+
+  // Leave
+  {
+    method: 'get',
+    path: '/leave-types',
+    v1: '/admin/leave-types/list',
+    tag: 'Leave',
+    summary: 'List leave types',
+  },
+  {
+    method: 'post',
+    path: '/leave-types',
+    v1: '/admin/leave-types/create',
+    tag: 'Leave',
+    summary: 'Create a leave type',
+    body: object({ code: TEXT, ...LEAVE_TYPE }, [
+      'code',
+      'name',
+      'annualAccrual',
+    ]),
+  },
+  {
+    method: 'patch',
+    path: '/leave-types/{id}',
+    v1: '/admin/leave-types/update',
+    tag: 'Leave',
+    summary: 'Update a leave type',
+    params: { id: param('leaveTypeId') },
+    body: object({ ...LEAVE_TYPE, active: BOOLEAN }),
+  },
+  {
+    method: 'get',
+    path: '/leave-requests',
+    v1: '/admin/leave/requests',
+    tag: 'Leave',
+    summary: 'List leave requests',
+    query: object({
+      status: LEAVE_STATUS,
+      employeeId: OBJECT_ID,
+    }),
+  },
+  {
+    method: 'post',
+    path: '/leave-requests/{id}/approve',
+    v1: '/admin/leave/approve',
+    tag: 'Leave',
+    summary: 'Approve a pending leave request',
+    params: { id: param('requestId') },
+    body: object({ comment: STRING }),
+  },
+  {
+    method: 'post',
+    path: '/leave-requests/{id}/reject',
+    v1: '/admin/leave/reject',
+    tag: 'Leave',
+    summary: 'Reject a pending leave request',
+    params: { id: param('requestId') },
+    body: object({ comment: STRING }),
+  },
+
+  // Settings & holidays
+  {
+    method: 'get',
+    path: '/settings',
+    v1: '/admin/settings/get',
+    tag: 'Settings',
+    summary: 'Organization settings',
+  },
+  {
+    method: 'patch',
+    path: '/settings',
+    v1: '/admin/settings/update',
+    tag: 'Settings',
+    summary: 'Update organization settings',
+    body: object({
+      timezone: TEXT,
+      weeklyOffs: arrayOf({ type: 'integer', minimum: 0, maximum: 6 }),
+      prorationBasis: enumOf(PRORATION_BASES),
+      attendancePolicy: { type: 'object' },
+      branding: { type: 'object' },
+      tax: { type: 'object' },
+      notifications: object({
+        enabled: BOOLEAN,
+        disabledEvents: arrayOf(enumOf(NOTIFICATION_EVENTS)),
+        attachPayslip: BOOLEAN,
+        templates: arrayOf(
+          object(
+            { event: enumOf(NOTIFICATION_EVENTS), subject: TEXT, text: TEXT },
+            ['event', 'subject', 'text']
+          )
+        ),
+      }),
+      paymentFile: object({
+        format: enumOf(PAYMENT_FILE_FORMATS),
+        debitAccountNumber: STRING,
+        narration: STRING,
+      }),
+    }),
+  },
+  {
+    method: 'get',
+    path: '/holidays',
+    v1: '/admin/holidays/list',
+    tag: 'Settings',
+    summary: 'List holidays, optionally for one year',
+    query: object({ year: YEAR }),
+  },
+  {
+    method: 'post',
+    path: '/holidays',
+    v1: '/admin/holidays/create',
+    tag: 'Settings',
+    summary: 'Add a holiday',
+    body: object({ date: DATE, name: TEXT }, ['date', 'name']),
+  },
+  {
+    method: 'delete',
+    path: '/holidays/{id}',
+    v1: '/admin/holidays/delete',
+    tag: 'Settings',
+    summary: 'Delete a holiday',
+    params: { id: param('holidayId') },
+  },
+
+  // Payroll
+  {
+    method: 'get',
+    path: '/payroll-runs',
+    v1: '/admin/payroll/list',
+    tag: 'Payroll',
+    summary: 'List payroll runs, optionally for one year',
+    query: object({ year: YEAR }),
+  },
+  {
+    method: 'get',
+    path: '/payroll-runs/{year}/{month}',
+    v1: '/admin/payroll/get',
+    tag: 'Payroll',
+    summary: 'A payroll run and its payslips',
+    params: PERIOD,
+  },
+  {
+    method: 'put',
+    path: '/payroll-runs/{year}/{month}',
+    v1: '/admin/payroll/run',
+    tag: 'Payroll',
+    summary: "Compute (or recompute) a month's draft payroll",
+    params: PERIOD,
+  },
+  {
+    method: 'post',
+    path: '/payroll-runs/{year}/{month}/finalize',
+    v1: '/admin/payroll/finalize',
+    tag: 'Payroll',
+    summary: 'Finalize a draft payroll',
+    params: PERIOD,
+  },
+  {
+    method: 'post',
+    path: '/payroll-runs/{year}/{month}/mark-paid',
+    v1: '/admin/payroll/mark-paid',
+    tag: 'Payroll',
+    summary: 'Mark a finalized payroll as paid',
+    params: PERIOD,
+  },
+  {
+    method: 'get',
+    path: '/payroll-runs/{year}/{month}/payment-file',
+    v1: '/admin/payroll/payment-file',
+    tag: 'Payroll',
+    summary: 'Bulk salary payment file for the bank, or a preview of it',
+    params: PERIOD,
+    query: object({ format: enumOf(PAYMENT_FILE_FORMATS), download: BOOLEAN }),
+  },
+  {
+    method: 'get',
+    path: '/payroll-runs/{year}/{month}/payslips',
+    v1: '/admin/payslip/export',
+    tag: 'Payslips',
+    summary: 'Payslips of a month as one PDF or a ZIP',
+    params: PERIOD,
+    query: object({
+      format: enumOf(PAYSLIP_EXPORT_FORMATS),
+      employeeIds: arrayOf(OBJECT_ID),
+      empIds: arrayOf(STRING),
+    }),
+    produces: 'application/octet-stream',
+  },
+  {
+    method: 'get',
+    path: '/reports/payroll-register/{year}/{month}',
+    v1: '/admin/reports/payroll-register',
+    tag: 'Reports',
+    summary: 'Payroll register as JSON, CSV or Excel',
+    params: PERIOD,
+    query: object({ format: enumOf(REPORT_FORMATS) }),
+  },
+  {
+    method: 'get',
+    path: '/reports/attendance-matrix/{year}/{month}',
+    v1: '/admin/reports/attendance-matrix',
+    tag: 'Reports',
+    summary: 'Attendance matrix as JSON, CSV or Excel',
+    params: PERIOD,
+    query: object({ format: enumOf(REPORT_FORMATS) }),
+  },
+  {
+    method: 'get',
+    path: '/audit-logs',
+    v1: '/admin/audit/logs',
+    tag: 'Audit',
+    summary: 'Search the audit log',
+    query: object({
+      actorId: OBJECT_ID,
+      employeeId: OBJECT_ID,
+      action: arrayOf(STRING),
+      targetType: STRING,
+      from: DATE,
+      to: DATE,
+      page: PAGE,
+      limit: LIMIT,
+    }),
+  },
+
+  // Notifications
+  {
+    method: 'get',
+    path: '/notifications',
+    v1: '/admin/notifications/list',
+    tag: 'Notifications',
+    summary: 'List the notification outbox',
+    query: object({
+      status: enumOf(NOTIFICATION_STATUSES),
+      event: enumOf(NOTIFICATION_EVENTS),
+      employeeId: OBJECT_ID,
+      page: PAGE,
+      limit: LIMIT,
+    }),
+  },
+  {
+    method: 'get',
+    path: '/notifications/templates',
+    v1: '/admin/notifications/templates',
+    tag: 'Notifications',
+    summary: 'Built-in message templates and their replacements',
+  },
+  {
+    method: 'post',
+    path: '/notifications/{id}/retry',
+    v1: '/admin/notifications/retry',
+    tag: 'Notifications',
+    summary: 'Send a failed notification again',
+    params: { id: param('notificationId') },
+  },
+
+  // The signed-in employee
+  {
+    method: 'get',
+    path: '/me',
+    v1: '/employee/me',
+    tag: 'Self-service',
+    summary: 'Profile of the signed-in employee',
+  },
+  {
+    method: 'put',
+    path: '/me/password',
+    v1: '/employee/password/change',
+    tag: 'Self-service',
+    summary: 'Change password',
+    body: object({ currentPassword: TEXT, newPassword: TEXT }, [
+      'currentPassword',
+      'newPassword',
+    ]),
+  },
+  {
+    method: 'get',
+    path: '/me/attendance',
+    v1: '/employee/attendance',
+    tag: 'Self-service',
+    summary: 'Own attendance, optionally for one month',
+    query: MONTH_QUERY,
+  },
+  {
+    method: 'post',
+    path: '/me/attendance/check-in',
+    v1: '/employee/checkin',
+    tag: 'Self-service',
+    summary: 'Check in for today',
+  },
+  {
+    method: 'post',
+    path: '/me/attendance/check-out',
+    v1: '/employee/checkout',
+    tag: 'Self-service',
+    summary: 'Check out for today',
+  },
+  {
+    method: 'get',
+    path: '/me/payslips/{year}/{month}',
+    v1: '/employee/payslip',
+    tag: 'Self-service',
+    summary: 'Own payslip for a month',
+    params: PERIOD,
+  },
+  {
+    method: 'get',
+    path: '/me/payslips/{year}/{month}/pdf',
+    v1: '/employee/payslip/pdf',
+    tag: 'Self-service',
+    summary: 'Own payslip for a month as a PDF',
+    params: PERIOD,
+    produces: 'application/pdf',
+  },
+  {
+    method: 'get',
+    path: '/me/leave-requests',
+    v1: '/employee/leave/requests',
+    tag: 'Self-service',
+    summary: 'Own leave requests',
+    query: object({ status: LEAVE_STATUS }),
+  },
+  {
+    method: 'post',
+    path: '/me/leave-requests',
+    v1: '/employee/leave/apply',
+    tag: 'Self-service',
+    summary: 'Apply for leave',
+    body: object(
+      { leaveType: TEXT, from: DATE, to: DATE, reason: STRING },
+      ['leaveType', 'from']
+    ),
+  },
+  {
+    method: 'delete',
+    path: '/me/leave-requests/{id}',
+    v1: '/employee/leave/cancel',
+    tag: 'Self-service',
+    summary: 'Cancel a pending leave request',
+    params: { id: param('requestId') },
+  },
+  {
+    method: 'get',
+    path: '/me/leave-balances',
+    v1: '/employee/leave/balance',
+    tag: 'Self-service',
+    summary: 'Own leave balances for a year',
+    query: object({ year: YEAR }),
+  },
+  {
+    method: 'get',
+    path: '/me/attendance-regularizations',
+    v1: '/employee/attendance/regularizations',
+    tag: 'Self-service',
+    summary: 'Own attendance regularization requests',
+    query: object({ status: REGULARIZATION_STATUS }),
+  },
+  {
+    method: 'post',
+    path: '/me/attendance-regularizations',
+    v1: '/employee/attendance/regularize',
+    tag: 'Self-service',
+    summary: 'Request a correction of own attendance on a past day',
+    body: object(
+      { date: DATE, status: enumOf(MARKABLE_STATUSES), reason: TEXT },
+      ['date', 'status', 'reason']
+    ),
+  },
+  {
+    method: 'delete',
+    path: '/me/attendance-regularizations/{id}',
+    v1: '/employee/attendance/regularization/cancel',
+    tag: 'Self-service',
+    summary: 'Cancel a pending regularization request',
+    params: { id: param('requestId') },
+  },
+  {
+    method: 'get',
+    path: '/me/tax-declarations/{financialYear}',
+    v1: '/employee/tax/declaration/get',
+    tag: 'Self-service',
+    summary: 'Own tax regime and declarations for a financial year',
+    params: FINANCIAL_YEAR,
+  },
+  {
+    method: 'put',
+    path: '/me/tax-declarations/{financialYear}',
+    v1: '/employee/tax/declaration/update',
+    tag: 'Self-service',
+    summary: 'Declare tax regime, investments and previous salary',
+    params: FINANCIAL_YEAR,
+    body: TAX_DECLARATION,
+  },
+  {
+    method: 'get',
+    path: '/me/tax-statements/{financialYear}',
+    v1: '/employee/tax/statement',
+    tag: 'Self-service',
+    summary: 'Own annual tax computation statement',
+    params: FINANCIAL_YEAR,
+  },
+  {
+    method: 'get',
+    path: '/me/annual-statements/{year}',
+    v1: '/employee/statement/annual',
+    tag: 'Self-service',
+    summary: 'Own annual salary statement as JSON or PDF',
+    params: { year: param('year', YEAR) },
+    query: ANNUAL_STATEMENT_QUERY,
+  },
+  {
+    method: 'get',
+    path: '/me/team',
+    v1: '/employee/team',
+    tag: 'Team',
+    summary: 'Reporting tree below the signed-in employee',
+  },
+  {
+    method: 'get',
+    path: '/me/team/{id}/attendance',
+    v1: '/employee/team/attendance/view',
+    tag: 'Team',
+    summary: 'Attendance of a report, optionally for one month',
+    params: EMPLOYEE,
+    query: MONTH_QUERY,
+  },
+  {
+    method: 'put',
+    path: '/me/team/{id}/attendance/{date}',
+    v1: '/employee/team/attendance/mark',
+    tag: 'Team',
+    summary: 'Mark attendance of a report for one day',
+    params: { ...EMPLOYEE, date: param('date', DATE) },
+    body: MARK_ATTENDANCE,
+  },
+];
+
+const openApiDocument = buildDocument({
+  title: 'Payroll Management System',
+  version: '2.0.0',
+  description:
+    'REST API. Responses have the same shape as the v1 POST routes: ' +
+    '{ ok: true, ... } or { ok: false, error }.',
+  serverUrl: API_V2,
+  routes,
+});
+
+//------------------ REGISTRATION ------------------//
+
+// v1 request body for a validated v2 request
+function v1Body(route, req, { path, query }) {
+  const body = { ...query, ...req.body };
+  for (const [name, value] of Object.entries(path)) {
+    body[route.params[name].field] = value;
+  }
+  for (const [from, to] of Object.entries(route.rename || {})) {
+    if (from in body) {
+      body[to] = body[from];
+      delete body[from];
+    }
+  }
+  return body;
+}
+
+// Rewrite the request into the v1 route's POST and pass it on, so that
+// route's authentication, permission check, audit entry and handler apply.
+// Routing happens synchronously inside next(), so the method is restored
+// right after: GET responses keep their ETag and can be answered with 304.
+function forwardToV1(route) {
+  return (req, res, next) => {
+    if (!route.rawBody) req.body = v1Body(route, req, res.locals.params);
+    if (route.method === 'get') res.set('Cache-Control', 'private, no-cache');
+
+    const method = req.method;
+    const search = req.url.indexOf('?');
+    req.url = route.v1 + (search === -1 ? '' : req.url.slice(search));
+    req.method = 'POST';
+    next();
+    req.method = method;
+  };
+}
+
+// Mount the v2 routes; must run before the v1 routes are registered
+function registerApiV2(app) {
+  app.get(`${API_V2}/openapi.json`, (req, res) => res.json(openApiDocument));
+
+  for (const route of routes) {
+    const operation = openApiDocument.paths[route.path][route.method];
+    app[route.method](
+      API_V2 + toExpressPath(route.path),
+      validateRequest(operation),
+      forwardToV1(route)
+    );
+  }
+
+  app.use(API_V2, (req, res) =>
+    res.status(404).json({ ok: false, error: 'Not found' })
+  );
+}
+
+module.exports = {
+  API_V2,
+  openApiDocument,
+  registerApiV2,
+};
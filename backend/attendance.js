@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const { Employee, Attendance } = require('./models');
+const {
+  startOfDay,
+  endOfDay,
+  monthOf,
+  dateKey,
+  parseDay,
+} = require('./dates');
+const { isPayrollLocked } = require('./payroll');
+const { releaseLeaveDays } = require('./leave');
+
+// Statuses an admin may set directly; leave is written by the leave workflow
+const MARKABLE_STATUSES = ['present', 'absent', 'half-day'];
+const MAX_BULK_ROWS = 5000;
+
+// Marking over an approved leave day detaches it from the leave request
+// and gives the day back (see releaseLeaveDays)
+const CLEAR_LEAVE = { leaveType: 1, leaveRequest: 1 };
+
+// Only current employees have attendance; admins and exited employees not
+const ATTENDING = { role: 'employee', status: { $ne: 'exited' } };
+
+// Create or overwrite the attendance record of one employee on one day
+async function upsertAttendance(employeeId, date, status) {
+  const attendanceDate = startOfDay(date);
+  const filter = {
+    employee: employeeId,
+    date: { $gte: attendanceDate, $lte: endOfDay(attendanceDate) },
+  };
+
+  // The record as it was, so that only this write releases a leave day
+  const previous = await Attendance.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        employee: employeeId,
+        date: attendanceDate,
+        status: status || 'present',
+      },
+      $unset: CLEAR_LEAVE,
+    },
+    { new: false, upsert: true, setDefaultsOnInsert: true }
+  );
+  if (previous && previous.leaveRequest) await releaseLeaveDays([previous]);
+  return Attendance.findOne(filter);
+}
+
+// Status recorded for an employee on a day; null if the day is unmarked
+async function attendanceStatusOn(employeeId, date) {
+  const record = await Attendance.findOne({
+    employee: employeeId,
+    date: { $gte: startOfDay(date), $lte: endOfDay(date) },
+  })
+    .select('status')
+    .lean();
+  return record ? record.status : null;
+}
+
+// Look up every employee referenced by _id or empId in one query
+async function resolveEmployees(rows) {
+  const ids = rows
+    .map((r) => r.employeeId)
+    .filter((id) => id && mongoose.isValidObjectId(id));
+  const empIds = rows.map((r) => r.empId).filter(Boolean);
+
+  const employees = await Employee.find({
+    ...ATTENDING,
+    $or: [{ _id: { $in: ids } }, { empId: { $in: empIds } }],
+  })
+    .select('_id empId name')
+    .lean();
+
+  return {
+    byId: new Map(employees.map((e) => [e._id.toString(), e])),
+    byEmpId: new Map(employees.map((e) => [e.empId, e])),
+  };
+}
+
+// Validate, then upsert attendance rows of the shape
+// { employeeId or empId, date, status }. Each row is reported as created,
+// updated or failed (with reasons); dryRun validates without writing.
+// Admin accounts and exited employees count as unknown.
+async function importAttendance(rows, { dryRun = false } = {}) {
+  const { byId, byEmpId } = await resolveEmployees(rows);
+  const lockedByMonth = new Map();
+  const seen = new Set();
+  const valid = [];
+  const failed = [];
+
+  for (const [i, input] of rows.entries()) {
+    const row = input.line || i + 1;
+    const reasons = [];
+
+    let employee = null;
+    if (input.employeeId) {
+      employee = byId.get(String(input.employeeId));
+      if (!employee) reasons.push(`Unknown employeeId ${input.employeeId}`);
+    } else if (input.empId) {
+      employee = byEmpId.get(String(input.empId));
+      if (!employee) reasons.push(`Unknown empId ${input.empId}`);
+    } else {
+      reasons.push('employeeId or empId required');
+    }
+
+    const date = parseDay(input.date);
+    if (!date) reasons.push('Valid date required (YYYY-MM-DD)');
+
+    const status = input.status ? String(input.status).toLowerCase() : 'present';
+    if (!MARKABLE_STATUSES.includes(status)) {
+      reasons.push(`Status must be one of ${MARKABLE_STATUSES.join(', ')}`);
+    }
+
+    if (date) {
+      const { year, month: m } = monthOf(date);
+      const month = `${year}-${m}`;
+      if (!lockedByMonth.has(month)) {
+        lockedByMonth.set(month, await isPayrollLocked(year, m));
+      }
+      if (lockedByMonth.get(month)) {
+        reasons.push(`Payroll for ${month} is finalized`);
+      }
+    }
+
+    if (employee && date) {
+      const key = `${employee._id}:${dateKey(date)}`;
+      if (seen.has(key)) reasons.push('Duplicate of an earlier row');
+      seen.add(key);
+    }
+
+    if (reasons.length) {
+      failed.push({ row, input, reasons });
+    } else {
+      valid.push({ row, employee, date, status });
+    }
+  }
+
+  // Split valid rows into creates and updates by what already exists, and
+  // find the leave days that will be marked over
+  const existing = new Set();
+  const onLeave = new Set();
+  if (valid.length) {
+    const times = valid.map((r) => r.date.getTime());
+    const records = await Attendance.find({
+      employee: { $in: [...new Set(valid.map((r) => r.employee._id))] },
+      date: {
+        $gte: new Date(Math.min(...times)),
+        $lte: endOfDay(new Date(Math.max(...times))),
+      },
+    })
+      .select('employee date leaveRequest')
+      .lean();
+    for (const a of records) {
+      const key = `${a.employee}:${dateKey(a.date)}`;
+      existing.add(key);
+      if (a.leaveRequest) onLeave.add(key);
+    }
+  }
+
+  const isOnLeave = (r) => onLeave.has(`${r.employee._id}:${dateKey(r.date)}`);
+  if (!dryRun) {
+    // One by one, so each leave day is released exactly once
+    for (const r of valid.filter(isOnLeave)) {
+      await upsertAttendance(r.employee._id, r.date, r.status);
+    }
+  }
+  const plain = valid.filter((r) => !isOnLeave(r));
+  if (!dryRun && plain.length) {
+    await Attendance.bulkWrite(
+      plain.map((r) => ({
+        updateOne: {
+          filter: { employee: r.employee._id, date: r.date },
+          update: {
+            $set: { status: r.status },
+            $setOnInsert: { employee: r.employee._id, date: r.date },
+            $unset: CLEAR_LEAVE,
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  const report = { created: [], updated: [], failed };
+  for (const r of valid) {
+    const entry = {
+      row: r.row,
+      employeeId: r.employee._id,
+      empId: r.employee.empId,
+      date: r.date,
+      localDate: dateKey(r.date),
+      status: r.status,
+      ...(isOnLeave(r) ? { replacedLeave: true } : {}),
+    };
+    const isUpdate = existing.has(`${r.employee._id}:${dateKey(r.date)}`);
+    (isUpdate ? report.updated : report.created).push(entry);
+  }
+
+  return {
+    dryRun,
+    summary: {
+      total: rows.length,
+      created: report.created.length,
+      updated: report.updated.length,
+      failed: failed.length,
+    },
+    ...report,
+  };
+}
+
+module.exports = {
+  MARKABLE_STATUSES,
+  MAX_BULK_ROWS,
+  upsertAttendance,
+  attendanceStatusOn,
+  importAttendance,
+};
@@ -0,0 +1,125 @@
+const { AuditLog } = require('./models');
+
+// Never copied into the log, at any depth; password hashes are reported only
+// as changed
+const REDACTED =
+  /^(password|password_new|currentPassword|newPassword|accountNumber)$|token/i;
+// Bookkeeping fields that would show up in every diff
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Plain JSON copy of a document as it is right now
+function snapshot(doc) {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  const copy = JSON.parse(JSON.stringify(plain));
+  IGNORED_FIELDS.forEach((field) => delete copy[field]);
+  return copy;
+}
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, v]) => [
+      key,
+      REDACTED.test(key) ? '[redacted]' : redact(v),
+    ])
+  );
+}
+
+// { field: { before, after } } for every top-level field that differs
+function diff(before, after) {
+  const changes = {};
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  for (const field of fields) {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    changes[field] = REDACTED.test(field)
+      ? { before: '[redacted]', after: '[redacted]' }
+      : {
+          before: from === undefined ? null : redact(from),
+          after: to === undefined ? null : redact(to),
+        };
+  }
+  return changes;
+}
+
+// Describe the change a route made, for audited() to log. Snapshots are
+// taken immediately, so pass `before` ahead of modifying the document.
+function recordChange(res, change) {
+  const { targetType, target, employee, before, after, details } = change;
+  const audit = res.locals.audit;
+  if (!audit) return;
+  if (targetType) audit.targetType = targetType;
+  if (target) audit.targetId = String(target._id || target);
+  if (employee) audit.employee = employee._id || employee;
+  if (before !== undefined) audit.before = snapshot(before);
+  if (after !== undefined) audit.after = snapshot(after);
+  if (details !== undefined) audit.details = details;
+}
+
+function writeAuditLog(req, action, audit) {
+  const hasChanges = 'before' in audit || 'after' in audit;
+  return AuditLog.create({
+    actor: req.user._id,
+    actorUsername: req.user.username,
+    action,
+    targetType: audit.targetType,
+    targetId: audit.targetId,
+    employee: audit.employee,
+    changes: hasChanges ? diff(audit.before, audit.after) : undefined,
+    // Routes that describe nothing are logged with their (redacted) input
+    details:
+      audit.details !== undefined || hasChanges
+        ? redact(audit.details)
+        : redact(req.body),
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+}
+
+// Middleware for mutating admin routes: when the route responds
+// successfully, the action is logged with whatever recordChange() described
+// before the response goes out. If the log cannot be written the client gets
+// a 500 instead of a success it has no record of. A route can set
+// res.locals.audit.skip when nothing was changed.
+function audited(action) {
+  return (req, res, next) => {
+    res.locals.audit = {};
+    const send = res.send.bind(res);
+    let logged = false;
+
+    // res.json() and file downloads both end up here
+    res.send = (body) => {
+      if (logged || res.statusCode >= 400 || res.locals.audit.skip) {
+        return send(body);
+      }
+      logged = true;
+      writeAuditLog(req, action, res.locals.audit).then(
+        () => send(body),
+        (e) => {
+          console.error(`Audit log write failed for ${action}:`, e.message);
+          res.status(500).type('json');
+          send(
+            JSON.stringify({
+              ok: false,
+              error: `The change was saved, but could not be audited: ${e.message}`,
+            })
+          );
+        }
+      );
+      return res;
+    };
+    next();
+  };
+}
+
+module.exports = {
+  audited,
+  recordChange,
+  diff,
+};
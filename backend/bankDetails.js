@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+
+// Account numbers are encrypted with AES-256-GCM under BANK_DETAILS_KEY (32
+// bytes as 64 hex characters or base64) and stored as
+// "v1:<iv>:<auth tag>:<ciphertext>". The key cannot be generated on startup
+// like the token secret: numbers saved under a lost key cannot be read back.
+const CIPHER = 'aes-256-gcm';
+const VERSION = 'v1';
+
+const ACCOUNT_NUMBER_PATTERN = /^\d{9,18}$/;
+// 4 letters of the bank, a zero, 6 characters of the branch
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const MAX_HOLDER_NAME_LENGTH = 100;
+
+function parseKey(value) {
+  if (!value) return null;
+  const key = /^[0-9a-fA-F]{64}$/.test(value)
+    ? Buffer.from(value, 'hex')
+    : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error('BANK_DETAILS_KEY must be 32 bytes (64 hex characters)');
+  }
+  return key;
+}
+
+function encryptionKey() {
+  const key = parseKey(process.env.BANK_DETAILS_KEY);
+  if (!key) {
+    throw new Error(
+      'BANK_DETAILS_KEY is not set; bank details are unavailable'
+    );
+  }
+  return key;
+}
+
+function hasEncryptionKey() {
+  return Boolean(process.env.BANK_DETAILS_KEY);
+}
+
+function encryptAccountNumber(accountNumber) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, encryptionKey(), iv);
+  const data = Buffer.concat([
+    cipher.update(accountNumber, 'utf8'),
+    cipher.final(),
+  ]);
+  return [VERSION, iv, cipher.getAuthTag(), data]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+}
+
+function decryptAccountNumber(stored) {
+  const [version, iv, tag, data] = String(stored).split(':');
+  if (version !== VERSION || !data) {
+    throw new Error('Unrecognized encrypted account number');
+  }
+  const decipher = crypto.createDecipheriv(
+    CIPHER,
+    encryptionKey(),
+    Buffer.from(iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(data, 'base64')),
+    decipher.final(),
+  ]).toString('utf8');
+}
+
+// "123456789012" -> "XXXXXXXX9012"
+function maskAccountNumber(accountNumber) {
+  return accountNumber.slice(-4).padStart(accountNumber.length, 'X');
+}
+
+// Spaces and dashes people type into account numbers and IFSCs
+function normalizeBankAccount({ accountNumber, ifsc, accountHolderName }) {
+  const number = accountNumber == null ? '' : String(accountNumber);
+  return {
+    accountNumber: number.replace(/[\s-]/g, ''),
+    ifsc: String(ifsc || '').replace(/\s/g, '').toUpperCase(),
+    accountHolderName: String(accountHolderName || '').trim(),
+  };
+}
+
+// Returns an error message, or null if the (normalized) details are valid
+function validateBankAccount({ accountNumber, ifsc, accountHolderName }) {
+  if (!ACCOUNT_NUMBER_PATTERN.test(accountNumber)) {
+    return 'accountNumber must be 9 to 18 digits';
+  }
+  if (!IFSC_PATTERN.test(ifsc)) {
+    return 'ifsc must be an 11-character IFSC, e.g. HDFC0001234';
+  }
+  if (!accountHolderName) return 'accountHolderName required';
+  if (accountHolderName.length > MAX_HOLDER_NAME_LENGTH) {
+    return `accountHolderName must be at most ${MAX_HOLDER_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Employee.bankAccount for the details an admin entered: { error } or
+// { bankAccount }, where null removes the account
+function bankAccountUpdate(input) {
+  if (input === null) return { bankAccount: null };
+  if (!input || typeof input !== 'object') {
+    return {
+      error:
+        'bankAccount must be an object with accountNumber, ifsc and accountHolderName',
+    };
+  }
+  const details = normalizeBankAccount(input);
+  const error = validateBankAccount(details);
+  if (error) return { error };
+  if (!hasEncryptionKey()) {
+    return {
+      error: 'BANK_DETAILS_KEY is not set; bank details cannot be saved',
+    };
+  }
+  return {
+    bankAccount: {
+      accountHolderName: details.accountHolderName,
+      ifsc: details.ifsc,
+      accountNumber: encryptAccountNumber(details.accountNumber),
+      maskedAccountNumber: maskAccountNumber(details.accountNumber),
+    },
+  };
+}
+
+// Decrypted details of an employee loaded with +bankAccount.accountNumber:
+// { details } or { problem } saying why the employee cannot be paid
+function readBankAccount(bankAccount) {
+  if (!bankAccount || !bankAccount.accountNumber) {
+    return { problem: 'No bank details' };
+  }
+  let accountNumber;
+  try {
+    accountNumber = decryptAccountNumber(bankAccount.accountNumber);
+  } catch (e) {
+    return { problem: 'Bank account number cannot be decrypted' };
+  }
+  const details = normalizeBankAccount({ ...bankAccount, accountNumber });
+  const error = validateBankAccount(details);
+  return error ? { problem: `Invalid bank details: ${error}` } : { details };
+}
+
+module.exports = {
+  parseKey,
+  hasEncryptionKey,
+  encryptAccountNumber,
+  decryptAccountNumber,
+  maskAccountNumber,
+  validateBankAccount,
+  bankAccountUpdate,
+  readBankAccount,
+};
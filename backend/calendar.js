@@ -0,0 +1,372 @@
+const {
+  Organization,
+  Holiday,
+  Attendance,
+  LeaveRequest,
+  RegularizationRequest,
+  SalaryRevision,
+  Employee,
+  Payslip,
+  Settlement,
+} = require('./models');
+const {
+  startOfDay,
+  endOfDay,
+  atTime,
+  eachDay,
+  dayOfWeek,
+  dateKey,
+  parseDay,
+  moveDay,
+  isDayBoundary,
+  setTimeZone,
+} = require('./dates');
+
+const PRORATION_BASES = ['calendar', 'working', 'fixed30', 'fixed26'];
+
+// The organization settings document, created with defaults on first use
+async function getOrganization() {
+  const existing = await Organization.findOne({ key: 'default' });
+  if (existing) return existing;
+
+  try {
+    return await Organization.create({ key: 'default' });
+  } catch (e) {
+    if (e.code === 11000) return Organization.findOne({ key: 'default' });
+    throw e;
+  }
+}
+
+// Point the date helpers at the organization's time zone. Read on every
+// request, since another instance may have changed it.
+async function loadTimeZone() {
+  const stored = await Organization.findOne({ key: 'default' })
+    .select('timezone')
+    .lean();
+  const { timezone } = stored || (await getOrganization());
+  setTimeZone(timezone);
+  return timezone;
+}
+
+//------------------ TIME ZONE CHANGES ------------------//
+// Every stored calendar day, by collection. Payslips and settlements keep
+// the days they were computed for inside their data snapshot.
+const STORED_DAYS = [
+  [Attendance, ['date']],
+  [Holiday, ['date']],
+  [LeaveRequest, ['from', 'to']],
+  [RegularizationRequest, ['date']],
+  [SalaryRevision, ['effectiveFrom']],
+  [Employee, ['resignationDate', 'lastWorkingDay']],
+  [Payslip, ['data.salarySegments']],
+  [Settlement, ['data.resignationDate', 'data.lastWorkingDay']],
+];
+const BATCH_SIZE = 1000;
+
+function valueAt(doc, path) {
+  return path.split('.').reduce((value, key) => value && value[key], doc);
+}
+
+// Re-anchor every stored day from one time zone to another so it keeps its
+// calendar date. updatedAt is left alone: arrears detection compares it
+// (see payroll.js), and nothing about the records changed.
+// Documents are moved in _id order per collection, starting after `resumeAt`
+// ({ model, lastId }); onBatch is told the same after every batch written.
+// Days that no longer start or end a day in fromZone were already moved, so
+// running it again over the same documents leaves them alone.
+async function moveStoredDays(fromZone, toZone, { resumeAt, onBatch } = {}) {
+  const move = (date) =>
+    date && isDayBoundary(date, fromZone)
+      ? moveDay(date, fromZone, toZone)
+      : date;
+  const moveValue = (value) =>
+    Array.isArray(value)
+      ? value.map((seg) => ({ ...seg, from: move(seg.from), to: move(seg.to) }))
+      : move(value);
+
+  const models = STORED_DAYS.map(([Model]) => Model.modelName);
+  const start = resumeAt ? Math.max(models.indexOf(resumeAt.model), 0) : 0;
+
+  for (const [Model, fields] of STORED_DAYS.slice(start)) {
+    const after =
+      resumeAt && resumeAt.model === Model.modelName && resumeAt.lastId;
+    let batch = [];
+    const flush = async () => {
+      if (!batch.length) return;
+      await Model.bulkWrite(batch);
+      const lastId = batch[batch.length - 1].updateOne.filter._id;
+      batch = [];
+      if (onBatch) await onBatch({ model: Model.modelName, lastId });
+    };
+
+    const cursor = Model.find(after ? { _id: { $gt: after } } : {})
+      .sort({ _id: 1 })
+      .select(fields.join(' '))
+      .lean()
+      .cursor();
+    for await (const doc of cursor) {
+      const $set = {};
+      for (const field of fields) {
+        const value = valueAt(doc, field);
+        if (value) $set[field] = moveValue(value);
+      }
+      if (!Object.keys($set).length) continue;
+      batch.push({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: { $set },
+          timestamps: false,
+        },
+      });
+      if (batch.length === BATCH_SIZE) await flush();
+    }
+    await flush();
+  }
+}
+
+// Finish the time zone change recorded in Organization.timezoneMove, from
+// where it stopped if it was interrupted. The new zone is saved before the
+// move starts, so an instance that dies midway leaves it to be resumed on
+// the next startup.
+async function applyTimeZoneMove() {
+  const org = await getOrganization();
+  const { from, to, model, lastId } = org.timezoneMove || {};
+  if (!from || !to) return;
+
+  await moveStoredDays(from, to, {
+    resumeAt: model && { model, lastId },
+    onBatch: (progress) =>
+      Organization.updateOne(
+        { _id: org._id },
+        {
+          'timezoneMove.model': progress.model,
+          'timezoneMove.lastId': progress.lastId,
+        }
+      ),
+  });
+  await Organization.updateOne(
+    { _id: org._id },
+    { $unset: { timezoneMove: 1 } }
+  );
+}
+
+// Every day of the range tagged as a working day, weekly off or holiday
+async function getCalendarDays(from, to, organization) {
+  const org = organization || (await getOrganization());
+  const holidays = await Holiday.find({
+    date: { $gte: startOfDay(from), $lte: endOfDay(to) },
+  }).lean();
+  const holidayByKey = new Map(holidays.map((h) => [dateKey(h.date), h]));
+
+  return eachDay(from, to).map((date) => {
+    const key = dateKey(date);
+    const holiday = holidayByKey.get(key);
+    let type = 'working';
+    if (holiday) type = 'holiday';
+    else if (org.weeklyOffs.includes(dayOfWeek(date))) type = 'weeklyOff';
+
+    return { date, key, type, holiday: holiday ? holiday.name : null };
+  });
+}
+
+// Share of a day paid for each attendance status
+const PAID_SHARE = { present: 1, leave: 1, 'half-day': 0.5, absent: 0 };
+
+function tallyDays(days, statusByKey) {
+  const paidShare = (day) => {
+    const status = statusByKey.get(day.key);
+    if (status) return PAID_SHARE[status] || 0;
+    return day.type === 'working' ? 0 : 1;
+  };
+  const working = days.filter((d) => d.type === 'working');
+  const payableDays = days.reduce((total, d) => total + paidShare(d), 0);
+
+  return {
+    totalDays: days.length,
+    workingDays: working.length,
+    payableDays,
+    paidWorkingDays: working.reduce((total, d) => total + paidShare(d), 0),
+    lopDays: days.length - payableDays,
+  };
+}
+
+// Payable days and the share of the monthly salary they earn.
+// statusByKey maps dateKey -> attendance status. A day with a record is paid
+// by its status (half-days count half); a day without one is paid only if it
+// is not a working day (weekly offs and holidays are paid, unmarked working
+// days are not).
+function computePayableDays(days, statusByKey, basis) {
+  const count = (predicate) => days.filter(predicate).length;
+  const statuses = [...statusByKey.values()];
+  const { totalDays, workingDays, payableDays, paidWorkingDays, lopDays } =
+    tallyDays(days, statusByKey);
+
+  let divisor;
+  let ratio;
+  switch (basis) {
+    case 'calendar':
+      divisor = totalDays;
+      ratio = payableDays / totalDays;
+      break;
+    case 'working':
+      divisor = workingDays;
+      ratio = workingDays ? paidWorkingDays / workingDays : 1;
+      break;
+    case 'fixed26':
+      // Unpaid working days are deducted at 1/26 of the salary each
+      divisor = 26;
+      ratio = (26 - (workingDays - paidWorkingDays)) / 26;
+      break;
+    default:
+      // fixed30: every unpaid day is deducted at 1/30 of the salary
+      divisor = 30;
+      ratio = (30 - lopDays) / 30;
+  }
+
+  return {
+    prorationBasis: PRORATION_BASES.includes(basis) ? basis : 'fixed30',
+    totalDaysInMonth: totalDays,
+    workingDays,
+    weeklyOffDays: count((d) => d.type === 'weeklyOff'),
+    holidayDays: count((d) => d.type === 'holiday'),
+    presentDays: statuses.filter((s) => s === 'present').length,
+    leaveDays: statuses.filter((s) => s === 'leave').length,
+    halfDays: statuses.filter((s) => s === 'half-day').length,
+    absentDays: statuses.filter((s) => s === 'absent').length,
+    unmarkedDays: count((d) => d.type === 'working' && !statusByKey.has(d.key)),
+    payableDays,
+    lopDays,
+    divisor,
+    payableRatio: Math.min(Math.max(ratio, 0), 1),
+  };
+}
+
+// Share of the monthly salary earned within part of a month, e.g. the days
+// before and after a salary revision. The shares of all parts add up to the
+// month's payable ratio under the same basis.
+function computePayableShare(partDays, monthDays, statusByKey, basis) {
+  const part = tallyDays(partDays, statusByKey);
+  const month = tallyDays(monthDays, statusByKey);
+  const byLength = part.totalDays / month.totalDays;
+
+  let share;
+  switch (basis) {
+    case 'calendar':
+      share = part.payableDays / month.totalDays;
+      break;
+    case 'working':
+      share = month.workingDays
+        ? part.paidWorkingDays / month.workingDays
+        : byLength;
+      break;
+    case 'fixed26':
+      share = month.workingDays
+        ? (26 * (part.workingDays / month.workingDays) -
+            (part.workingDays - part.paidWorkingDays)) /
+          26
+        : byLength;
+      break;
+    default:
+      share = (30 * byLength - part.lopDays) / 30;
+  }
+  return Math.max(share, 0);
+}
+
+//------------------ OFFICE TIMINGS ------------------//
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const ATTENDANCE_POLICY_FIELDS = [
+  'officeStart',
+  'officeEnd',
+  'graceMinutes',
+  'halfDayBelowHours',
+  'overtimeRate',
+];
+
+// "HH:mm" on the calendar day of `day`
+function timeOnDay(day, time) {
+  const [, hh, mm] = TIME_PATTERN.exec(time);
+  return atTime(day, +hh, +mm);
+}
+
+function minutesBetween(from, to) {
+  return Math.round((to - from) / 60000);
+}
+
+// Returns an error message, or null if the (partial) policy is valid
+function validateAttendancePolicy(policy) {
+  if (!policy || typeof policy !== 'object') {
+    return 'attendancePolicy must be an object';
+  }
+  for (const field of ['officeStart', 'officeEnd']) {
+    if (policy[field] !== undefined && !TIME_PATTERN.test(policy[field])) {
+      return `${field} must be a time in HH:mm format`;
+    }
+  }
+  for (const field of ['graceMinutes', 'halfDayBelowHours', 'overtimeRate']) {
+    if (policy[field] !== undefined && !(Number(policy[field]) >= 0)) {
+      return `${field} must be a non-negative number`;
+    }
+  }
+  if (
+    policy.officeStart !== undefined &&
+    policy.officeEnd !== undefined &&
+    !(scheduledMinutes(policy) > 0)
+  ) {
+    return 'officeEnd must be after officeStart';
+  }
+  return null;
+}
+
+function scheduledMinutes(policy) {
+  const day = parseDay('2000-01-01');
+  return minutesBetween(
+    timeOnDay(day, policy.officeStart),
+    timeOnDay(day, policy.officeEnd)
+  );
+}
+
+// Minutes past office start, once the grace period is exceeded
+function lateByMinutes(checkIn, policy) {
+  const late = minutesBetween(timeOnDay(checkIn, policy.officeStart), checkIn);
+  return late > policy.graceMinutes ? late : 0;
+}
+
+// Overtime of attendance records, counted only on days worked: a day marked
+// absent or leave after checking in keeps its check-in but earns nothing
+function countOvertimeMinutes(records) {
+  return records
+    .filter((r) => r.status === 'present' || r.status === 'half-day')
+    .reduce((sum, r) => sum + (r.overtimeMinutes || 0), 0);
+}
+
+// Worked hours, early exit, overtime and resulting status for a full day
+function summarizeWorkday(checkIn, checkOut, policy) {
+  const workedMinutes = Math.max(minutesBetween(checkIn, checkOut), 0);
+  const early = minutesBetween(checkOut, timeOnDay(checkIn, policy.officeEnd));
+
+  return {
+    workedMinutes,
+    lateByMinutes: lateByMinutes(checkIn, policy),
+    earlyExitByMinutes: early > policy.graceMinutes ? early : 0,
+    overtimeMinutes: Math.max(workedMinutes - scheduledMinutes(policy), 0),
+    status:
+      workedMinutes < policy.halfDayBelowHours * 60 ? 'half-day' : 'present',
+  };
+}
+
+module.exports = {
+  PRORATION_BASES,
+  getOrganization,
+  loadTimeZone,
+  moveStoredDays,
+  applyTimeZoneMove,
+  getCalendarDays,
+  computePayableDays,
+  computePayableShare,
+  ATTENDANCE_POLICY_FIELDS,
+  validateAttendancePolicy,
+  scheduledMinutes,
+  lateByMinutes,
+  summarizeWorkday,
+  countOvertimeMinutes,
+};
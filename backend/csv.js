@@ -0,0 +1,84 @@
+// Minimal RFC 4180 CSV support: quoted fields, escaped quotes, CRLF/LF
+
+// Parse CSV text into an array of rows (arrays of strings)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Parse CSV with a header row into objects keyed by the trimmed header names.
+// Blank lines are skipped; `line` is the 1-based line number in the file.
+function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const keys = header.map((h) => h.trim());
+  return rows
+    .map((cells, i) => ({ cells, line: i + 2 }))
+    .filter(({ cells }) => cells.some((c) => c.trim() !== ''))
+    .map(({ cells, line }) => {
+      const record = { line };
+      keys.forEach((key, j) => {
+        if (key) record[key] = (cells[j] || '').trim();
+      });
+      return record;
+    });
+}
+
+// Text that spreadsheet apps would run as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function formatCsvField(value) {
+  if (value == null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Format rows (arrays of values) as CSV text with CRLF line endings
+function formatCsv(rows) {
+  return rows.map((row) => `${row.map(formatCsvField).join(',')}\r\n`).join('');
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  formatCsv,
+};
@@ -0,0 +1,213 @@
+//------------------ DATE HELPERS ------------------//
+// Days are bucketed in the organization's time zone (Organization.timezone),
+// not the server's: a day is stored as the instant it starts in that zone,
+// e.g. 2025-10-01 in Asia/Kolkata is 2025-09-30T18:30:00.000Z.
+const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Until the organization settings are loaded, days are counted in the
+// server's zone as they were before (migrations up to 6 rely on this)
+let timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const formatters = new Map();
+
+function isValidTimeZone(zone) {
+  if (typeof zone !== 'string' || !zone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Set once the organization settings are loaded, and when they change
+function setTimeZone(zone) {
+  if (!isValidTimeZone(zone)) throw new Error(`Unknown time zone ${zone}`);
+  timeZone = zone;
+}
+
+function getTimeZone() {
+  return timeZone;
+}
+
+// Wall-clock fields of an instant in a time zone
+function zonedParts(date, zone = timeZone) {
+  if (!formatters.has(zone)) {
+    formatters.set(
+      zone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      })
+    );
+  }
+  const parts = {};
+  for (const p of formatters.get(zone).formatToParts(new Date(date))) {
+    if (p.type !== 'literal') parts[p.type] = +p.value;
+  }
+  return parts;
+}
+
+// Minutes the zone is ahead of UTC at `date`
+function zoneOffset(date, zone) {
+  const p = zonedParts(date, zone);
+  const wallClock = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+  return (wallClock - (date - new Date(date).getUTCMilliseconds())) / 60000;
+}
+
+// The instant the zone's clocks show the given time. Out-of-range fields
+// roll over like Date.UTC (day 0 is the last day of the previous month).
+function zonedTime(y, m, d, hh = 0, mm = 0, zone = timeZone) {
+  const wallClock = Date.UTC(y, m - 1, d, hh, mm);
+  const guess = wallClock - zoneOffset(wallClock, zone) * 60000;
+  // Correct for a DST change between the guess and the result
+  return new Date(wallClock - zoneOffset(guess, zone) * 60000);
+}
+
+function startOfMonth(y, m) {
+  return zonedTime(y, m, 1);
+}
+
+function endOfMonth(y, m) {
+  return new Date(zonedTime(y, m + 1, 1) - 1);
+}
+
+function startOfDay(date) {
+  const p = zonedParts(date);
+  return zonedTime(p.year, p.month, p.day);
+}
+
+function endOfDay(date) {
+  const p = zonedParts(date);
+  return new Date(zonedTime(p.year, p.month, p.day + 1) - 1);
+}
+
+// Start of the day `days` later (or earlier, if negative)
+function addDays(date, days) {
+  const p = zonedParts(date);
+  return zonedTime(p.year, p.month, p.day + days);
+}
+
+// "HH:mm" on the calendar day of `date`
+function atTime(date, hh, mm) {
+  const p = zonedParts(date);
+  return zonedTime(p.year, p.month, p.day, hh, mm);
+}
+
+// Every day from `from` to `to` inclusive, each at start of day
+function eachDay(from, to) {
+  const days = [];
+  const last = startOfDay(to);
+  for (let d = startOfDay(from); d <= last; d = addDays(d, 1)) {
+    days.push(d);
+  }
+  return days;
+}
+
+// Calendar year and month (1-12) of a date
+function monthOf(date) {
+  const { year, month } = zonedParts(date);
+  return { year, month };
+}
+
+function dayOfMonth(date) {
+  return zonedParts(date).day;
+}
+
+// 0 = Sunday ... 6 = Saturday
+function dayOfWeek(date) {
+  const p = zonedParts(date);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay();
+}
+
+// Local calendar date as YYYY-MM-DD, for matching records to days and for
+// the local* fields of responses
+function dateKey(date, zone = timeZone) {
+  const p = zonedParts(date, zone);
+  const mm = String(p.month).padStart(2, '0');
+  const dd = String(p.day).padStart(2, '0');
+  return `${p.year}-${mm}-${dd}`;
+}
+
+// Start of the day an input names: "YYYY-MM-DD" is that calendar date,
+// anything else Date understands is bucketed into its local day.
+// Returns null for missing or invalid input.
+function parseDay(input) {
+  if (input == null || input === '') return null;
+  const match = typeof input === 'string' && DATE_ONLY.exec(input);
+  if (match) {
+    const [, y, m, d] = match.map(Number);
+    const day = zonedTime(y, m, d);
+    return dateKey(day) === input ? day : null;
+  }
+  const date = new Date(input);
+  return isNaN(date) ? null : startOfDay(date);
+}
+
+// The same calendar day and wall-clock time, re-anchored from one zone to
+// another (a start or end of day stays one)
+function moveDay(date, fromZone, toZone) {
+  const p = zonedParts(date, fromZone);
+  const moved = zonedTime(p.year, p.month, p.day, p.hour, p.minute, toZone);
+  const rest = p.second * 1000 + new Date(date).getUTCMilliseconds();
+  return new Date(moved.getTime() + rest);
+}
+
+// Whether an instant starts or ends a day in the zone, as stored days do
+function isDayBoundary(date, zone) {
+  const p = zonedParts(date, zone);
+  const ms = new Date(date).getUTCMilliseconds();
+  return (
+    (p.hour === 0 && p.minute === 0 && p.second === 0 && ms === 0) ||
+    (p.hour === 23 && p.minute === 59 && p.second === 59 && ms === 999)
+  );
+}
+
+// Copy of a record with local<Field> = "YYYY-MM-DD" for each day field,
+// e.g. withLocalDates(attendance, 'date') adds localDate
+function withLocalDates(record, ...fields) {
+  if (!record) return record;
+  const plain =
+    typeof record.toObject === 'function' ? record.toObject() : record;
+  const copy = { ...plain };
+  for (const field of fields) {
+    const name = `local${field[0].toUpperCase()}${field.slice(1)}`;
+    copy[name] = plain[field] ? dateKey(plain[field]) : null;
+  }
+  return copy;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  setTimeZone,
+  getTimeZone,
+  startOfMonth,
+  endOfMonth,
+  startOfDay,
+  endOfDay,
+  addDays,
+  atTime,
+  eachDay,
+  monthOf,
+  dayOfMonth,
+  dayOfWeek,
+  dateKey,
+  parseDay,
+  moveDay,
+  isDayBoundary,
+  withLocalDates,
+};
@@ -2,130 +2,458 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const PDFDocument = require('pdfkit');
+const cookieParser = require('cookie-parser');
+const crypto = require('crypto');
+const {
+  Employee,
+  Role,
+  Department,
+  Designation,
+  Attendance,
+  Session,
+  LeaveType,
+  LeaveRequest,
+  RegularizationRequest,
+  Holiday,
+  PayrollRun,
+  Payslip,
+  Settlement,
+  AuditLog,
+  SalaryRevision,
+  TaxDeclaration,
+  Notification,
+} = require('./models');
+const {
+  hashPassword,
+  verifyPassword,
+  verifyDummyPassword,
+  validatePassword,
+  generateTemporaryPassword,
+} = require('./passwords');
+const { runMigrations, bootstrapAdmin } = require('./migrations');
+const {
+  SALARY_STRUCTURE_TEMPLATES,
+  validateSalaryStructure,
+  computeSalaryComponents,
+} = require('./salary');
+const {
+  isValidTimeZone,
+  setTimeZone,
+  startOfMonth,
+  endOfMonth,
+  startOfDay,
+  endOfDay,
+  monthOf,
+  parseDay,
+  withLocalDates,
+} = require('./dates');
+const {
+  PRORATION_BASES,
+  ATTENDANCE_POLICY_FIELDS,
+  getOrganization,
+  loadTimeZone,
+  applyTimeZoneMove,
+  validateAttendancePolicy,
+  lateByMinutes,
+  summarizeWorkday,
+  countOvertimeMinutes,
+} = require('./calendar');
+const {
+  availableDays,
+  ensureLeaveBalance,
+  pendingLeaveDays,
+  leaveDates,
+  findOverlappingLeave,
+  applyApprovedLeave,
+  getLeaveBalances,
+} = require('./leave');
+const {
+  LOCKED_PAYROLL_STATUSES,
+  isPayrollLocked,
+  findLockedMonths,
+  payrollPeriodError,
+  runPayroll,
+  removeFromDraftPayroll,
+  getPayslip,
+} = require('./payroll');
+const {
+  MARKABLE_STATUSES,
+  MAX_BULK_ROWS,
+  upsertAttendance,
+  attendanceStatusOn,
+  importAttendance,
+} = require('./attendance');
+const { parseCsvRecords } = require('./csv');
+const {
+  BRANDING_FIELDS,
+  validateBranding,
+  createPdfDocument,
+  drawPayslip,
+  drawSettlement,
+  drawAnnualStatement,
+} = require('./pdf');
+const {
+  PAYSLIP_EXPORT_FORMATS,
+  collectPayslips,
+  writeMergedPdf,
+  writeZip,
+} = require('./payslipExport');
+const { audited, recordChange } = require('./audit');
+const { SALARY_REVISION_REASONS, reviseSalary } = require('./revisions');
+const {
+  validateAdjustments,
+  computeSettlement,
+  getSettlement,
+} = require('./settlement');
+const {
+  PERMISSIONS,
+  hasPermission,
+  validatePermissions,
+} = require('./permissions');
+const {
+  getReportIds,
+  isReportOf,
+  resolveOrgAssignment,
+  getOrgChart,
+} = require('./org');
+const {
+  REPORT_FORMATS,
+  payrollRegister,
+  attendanceMatrix,
+  tableToCsv,
+  tableToXlsx,
+} = require('./reports');
+const {
+  TAX_REGIMES,
+  TAX_SETTINGS_FIELDS,
+  TAX_REGIME_FIELDS,
+  currentFinancialYear,
+  financialYearLabel,
+  validateTaxSettings,
+  validateDeclaration,
+  getDeclaration,
+  saveDeclaration,
+  getTaxStatement,
+} = require('./tax');
+const {
+  STATEMENT_BASES,
+  STATEMENT_FORMATS,
+  currentPeriod,
+  getAnnualStatement,
+} = require('./statements');
+const {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_STATUSES,
+  NOTIFICATION_SETTINGS_FIELDS,
+  DEFAULT_TEMPLATES,
+  isValidEmail,
+  validateNotificationSettings,
+  notify,
+  notifyPayslipsReady,
+  notifyMarkedAbsent,
+  listNotifications,
+  hasSecrets,
+  retryNotification,
+  startDispatcher,
+} = require('./notifications');
+const { parseKey, bankAccountUpdate } = require('./bankDetails');
+const {
+  PAYMENT_FILE_FORMATS,
+  PAYMENT_FILE_SETTINGS_FIELDS,
+  validatePaymentFileSettings,
+  buildPaymentFile,
+} = require('./payments');
+const { registerApiV2 } = require('./apiV2');
 
 const app = express();
-app.use(cors({ origin: true, credentials: true }));
-app.use(express.json());
+// Behind a reverse proxy (e.g. TRUST_PROXY=1) so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? +trustProxy : trustProxy);
+}
+
+// Browser origins (other than the API's own) allowed to call it with the
+// auth cookies, e.g. CORS_ORIGINS=https://hr.example.com,http://localhost:5173
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+function isAllowedOrigin(req, origin) {
+  return (
+    CORS_ORIGINS.includes(origin) ||
+    origin === `${req.protocol}://${req.get('host')}`
+  );
+}
+
+app.use(
+  cors({
+    origin: (origin, callback) =>
+      callback(null, Boolean(origin) && CORS_ORIGINS.includes(origin)),
+    credentials: true,
+    // Let browsers read the counts sent with bulk payslip exports
+    exposedHeaders: ['X-Payslips-Generated', 'X-Payslips-Skipped'],
+  })
+);
+app.use(express.json({ limit: '2mb' }));
+app.use(cookieParser());
+// Browsers attach the auth cookies to requests any site makes, so a request
+// that relies on them must come from an allowed origin. A Bearer token can
+// only be sent by code that already holds it.
+app.use((req, res, next) => {
+  const origin = req.get('origin');
+  const bearer = (req.get('authorization') || '').startsWith('Bearer ');
+  const cookies = req.cookies.accessToken || req.cookies.refreshToken;
+  if (origin && cookies && !bearer && !isAllowedOrigin(req, origin)) {
+    return res.status(403).json({
+      ok: false,
+      error: 'Origin not allowed; add it to CORS_ORIGINS',
+    });
+  }
+  next();
+});
+// Express 5 leaves req.body undefined when no body was sent
+app.use((req, res, next) => {
+  if (req.body === undefined) req.body = {};
+  next();
+});
+// Days are counted in the organization's time zone as stored right now
+app.use(async (req, res, next) => {
+  try {
+    await loadTimeZone();
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+  next();
+});
 
 const MONGO_URI = process.env.MONGO_URI;
 const PORT = process.env.PORT || 10000;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '7d';
+const COOKIE_SECURE = process.env.COOKIE_SECURE === 'true';
 
-//------------------ SCHEMAS ------------------//
-const employeeSchema = new mongoose.Schema(
-  {
-    name: { type: String, required: true },
-    username: { type: String, unique: true, required: true },
-    password: { type: String, required: true },
-    role: { type: String, enum: ['admin', 'employee'], default: 'employee' },
-    salary: { type: Number, default: 30000 },
-    empId: { type: String, unique: true, required: true },
-  },
-  { timestamps: true }
-);
-
-const attendanceSchema = new mongoose.Schema(
-  {
-    employee: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Employee',
-      required: true,
-    },
-    date: { type: Date, required: true },
-    status: {
-      type: String,
-      enum: ['present', 'absent'],
-      default: 'present',
-    },
-  },
-  { timestamps: true }
-);
+let TOKEN_SECRET = process.env.TOKEN_SECRET;
+if (!TOKEN_SECRET) {
+  // Tokens signed with a random secret stop working after a restart
+  TOKEN_SECRET = crypto.randomBytes(32).toString('hex');
+  console.warn('TOKEN_SECRET not set - using a random secret for this process');
+}
 
-// Create unique index for employee + date combination
-attendanceSchema.index({ employee: 1, date: 1 }, { unique: true });
+// Throws on a malformed key; without one, bank details cannot be saved or
+// paid out
+if (!parseKey(process.env.BANK_DETAILS_KEY)) {
+  console.warn('BANK_DETAILS_KEY not set - bank details are unavailable');
+}
 
-const Employee = mongoose.model('Employee', employeeSchema);
-const Attendance = mongoose.model('Attendance', attendanceSchema);
+//------------------ PASSWORDS ------------------//
+// Find a user by username/role and check the password against the stored hash
+async function findByCredentials(username, password, role) {
+  // Exited employees keep their records but can no longer sign in
+  const user = await Employee.findOne({
+    username,
+    role,
+    status: { $ne: 'exited' },
+  });
+  if (!user) {
+    await verifyDummyPassword(password);
+    return null;
+  }
+  if (!(await verifyPassword(password, user.password))) return null;
+  return user;
+}
 
-//------------------ UTILITY FUNCTIONS ------------------//
-function startOfMonth(y, m) {
-  return new Date(y, m - 1, 1);
+function withoutPassword(user) {
+  const data = user.toObject();
+  delete data.password;
+  return data;
 }
 
-function endOfMonth(y, m) {
-  return new Date(y, m, 0, 23, 59, 59, 999);
+//------------------ TOKENS ------------------//
+
+// Accepts plain seconds or a number with an s/m/h/d suffix, e.g. "15m"
+function parseDuration(value) {
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+  if (!match) throw new Error(`Invalid duration: ${value}`);
+  const units = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+  return +match[1] * units[match[2]];
 }
 
-function startOfDay(date) {
-  const d = new Date(date);
-  d.setHours(0, 0, 0, 0);
-  return d;
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
 }
 
-function endOfDay(date) {
-  const d = new Date(date);
-  d.setHours(23, 59, 59, 999);
-  return d;
+function hmac(data) {
+  return crypto
+    .createHmac('sha256', TOKEN_SECRET)
+    .update(data)
+    .digest('base64url');
 }
 
-async function calculateSalary(employeeId, year, month) {
-  const emp = await Employee.findById(employeeId).lean();
-  if (!emp) throw new Error('Employee not found');
+// HS256 JWT signed with TOKEN_SECRET
+function signAccessToken(user, sessionId) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(
+    JSON.stringify({
+      sub: user._id.toString(),
+      role: user.role,
+      sid: sessionId.toString(),
+      iat: now,
+      exp: now + parseDuration(ACCESS_TOKEN_TTL),
+    })
+  );
+  return `${header}.${payload}.${hmac(`${header}.${payload}`)}`;
+}
 
-  const from = startOfMonth(year, month);
-  const to = endOfMonth(year, month);
+// Returns the token payload, or null if the signature or expiry is invalid
+function verifyAccessToken(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) return null;
 
-  const presentDays = await Attendance.countDocuments({
-    employee: employeeId,
-    date: { $gte: from, $lte: to },
-    status: 'present',
-  });
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(hmac(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch (e) {
+    return null;
+  }
+}
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-  // Calculate salary: (monthlySalary / 30) * presentDays
-  const perDaySalary = emp.salary / 30;
-  const calculatedSalary = perDaySalary * presentDays;
+// Issue an access/refresh token pair; rotates the refresh token when a session is given
+async function issueTokens(user, req, session) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const refreshTokenHash = hashRefreshToken(refreshToken);
+  const expiresAt = new Date(
+    Date.now() + parseDuration(REFRESH_TOKEN_TTL) * 1000
+  );
 
+  if (session) {
+    session.refreshTokenHash = refreshTokenHash;
+    session.expiresAt = expiresAt;
+    await session.save();
+  } else {
+    session = await Session.create({
+      employee: user._id,
+      refreshTokenHash,
+      expiresAt,
+      userAgent: req.get('user-agent'),
+      ip: req.ip,
+    });
+  }
+
+  return {
+    accessToken: signAccessToken(user, session._id),
+    refreshToken,
+    expiresIn: parseDuration(ACCESS_TOKEN_TTL),
+  };
+}
+
+function cookieOptions(maxAgeSeconds) {
   return {
-    employee: emp,
-    year,
-    month,
-    presentDays,
-    totalDaysInMonth: new Date(year, month, 0).getDate(),
-    baseSalary: emp.salary,
-    perDaySalary: Math.round(perDaySalary * 100) / 100,
-    calculatedSalary: Math.round(calculatedSalary * 100) / 100,
+    httpOnly: true,
+    secure: COOKIE_SECURE,
+    sameSite: COOKIE_SECURE ? 'none' : 'lax',
+    maxAge: maxAgeSeconds * 1000,
   };
 }
 
+function setAuthCookies(res, tokens) {
+  res.cookie(
+    'accessToken',
+    tokens.accessToken,
+    cookieOptions(parseDuration(ACCESS_TOKEN_TTL))
+  );
+  res.cookie('refreshToken', tokens.refreshToken, {
+    ...cookieOptions(parseDuration(REFRESH_TOKEN_TTL)),
+    path: '/auth',
+  });
+}
+
+function clearAuthCookies(res) {
+  const { maxAge, ...options } = cookieOptions(0);
+  res.clearCookie('accessToken', options);
+  res.clearCookie('refreshToken', { ...options, path: '/auth' });
+}
+
 //------------------ AUTHENTICATION MIDDLEWARE ------------------//
 async function authenticate(req, res, next) {
   try {
-    const { username, password } = req.body;
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ')
+      ? header.slice(7).trim()
+      : req.cookies.accessToken;
 
-    if (!username || !password) {
+    if (!token) {
+      return res.status(401).json({
+        ok: false,
+        error: 'Access token required (Authorization header or cookie)',
+      });
+    }
+
+    const claims = verifyAccessToken(token);
+    if (!claims) {
       return res.status(401).json({
         ok: false,
-        error: 'Username and password required in request body',
+        error: 'Invalid or expired access token',
       });
     }
 
-    const user = await Employee.findOne({ username, password });
+    // A revoked (logged out) session invalidates its access tokens immediately
+    const session = await Session.findOne({
+      _id: claims.sid,
+      employee: claims.sub,
+      revokedAt: null,
+    });
+    const user =
+      session &&
+      (await Employee.findOne({ _id: claims.sub, status: { $ne: 'exited' } }));
 
     if (!user) {
       return res.status(401).json({
         ok: false,
-        error: 'Invalid username or password',
+        error: 'Session has been revoked',
+      });
+    }
+
+    // Until a temporary password is replaced, only the change/logout routes work
+    const allowedWhilePending = [
+      '/employee/password/change',
+      '/admin/password/change',
+      '/auth/logout',
+      '/auth/logout-all',
+    ];
+    if (user.mustChangePassword && !allowedWhilePending.includes(req.path)) {
+      return res.status(403).json({
+        ok: false,
+        error: 'Password change required before continuing',
+        mustChangePassword: true,
       });
     }
 
     req.user = user;
+    req.authSession = session;
     next();
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 }
 
-// Admin-only middleware
+// Admin-only middleware: any admin account, whatever its role
 function adminOnly(req, res, next) {
   if (req.user.role !== 'admin') {
     return res.status(403).json({
@@ -136,6 +464,32 @@ function adminOnly(req, res, next) {
   next();
 }
 
+// Admin middleware for one permission (see permissions.js); the admin's
+// role is looked up on every request, so changes apply immediately
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({
+          ok: false,
+          error: 'Access denied. Admin privileges required.',
+        });
+      }
+
+      const role = await Role.findById(req.user.accessRole).lean();
+      if (!hasPermission(role, permission)) {
+        return res.status(403).json({
+          ok: false,
+          error: `Access denied. Requires the ${permission} permission.`,
+        });
+      }
+      next();
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  };
+}
+
 // Employee-only middleware
 function employeeOnly(req, res, next) {
   if (req.user.role !== 'employee') {
@@ -147,35 +501,53 @@ function employeeOnly(req, res, next) {
   next();
 }
 
-//------------------ DB CONNECTION & SEEDING ------------------//
+// Manager middleware: the employeeId in the body must report to the user,
+// directly or indirectly
+async function reportsOnly(req, res, next) {
+  try {
+    const { employeeId } = req.body;
+    if (employeeId && !(await isReportOf(employeeId, req.user._id))) {
+      return res.status(403).json({
+        ok: false,
+        error: 'Access denied. The employee does not report to you.',
+      });
+    }
+    next();
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+}
+
+//------------------ DB CONNECTION & MIGRATIONS ------------------//
 mongoose
   .connect(MONGO_URI)
   .then(async () => {
     console.log('MongoDB connected successfully');
 
-    // Drop database and seed admin
-    await mongoose.connection.db.dropDatabase();
-    console.log('Database cleared');
+    await runMigrations();
+    await bootstrapAdmin();
+    await applyTimeZoneMove();
+    console.log(`✓ Counting days in ${await loadTimeZone()}`);
 
-    // Create default admin
-    const admin = await Employee.create({
-      name: 'System Admin',
-      username: 'admin',
-      password: 'admin123',
-      role: 'admin',
-      salary: 50000,
-      empId: 'ADMIN001',
+    startDispatcher({
+      intervalMs: (+process.env.NOTIFICATION_POLL_SECONDS || 30) * 1000,
     });
-
-    console.log('✓ Default admin created');
-    console.log('  Username: admin');
-    console.log('  Password: admin123');
+    if (process.env.MAIL_TRANSPORT) {
+      console.log(`✓ Sending notifications via ${process.env.MAIL_TRANSPORT}`);
+    } else {
+      console.warn('MAIL_TRANSPORT not set - notifications are not sent');
+    }
   })
   .catch((e) => {
-    console.error('MongoDB connection error:', e);
+    console.error('MongoDB startup error:', e);
     process.exit(1);
   });
 
+//------------------ REST API v2 ------------------//
+// Resource-oriented routes under /api/v2, described by /api/v2/openapi.json
+// and served by the v1 routes below (see apiV2.js)
+registerApiV2(app);
+
 //------------------ ROUTES ------------------//
 
 // Health check
@@ -199,11 +571,7 @@ app.post('/admin/login', async (req, res) => {
       });
     }
 
-    const admin = await Employee.findOne({
-      username,
-      password,
-      role: 'admin',
-    }).select('-password');
+    const admin = await findByCredentials(username, password, 'admin');
 
     if (!admin) {
       return res.status(401).json({
@@ -212,70 +580,84 @@ app.post('/admin/login', async (req, res) => {
       });
     }
 
+    const tokens = await issueTokens(admin, req);
+    setAuthCookies(res, tokens);
+    const role = await Role.findById(admin.accessRole).lean();
+
     res.json({
       ok: true,
       message: 'Admin login successful',
-      user: admin,
+      user: withoutPassword(admin),
+      mustChangePassword: admin.mustChangePassword,
+      role: role && { name: role.name, permissions: role.permissions },
+      ...tokens,
     });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
-//------------------ EMPLOYEE CRUD (ADMIN ONLY) ------------------//
+//------------------ ROLES & ADMIN ACCOUNTS ------------------//
 
-// Create Employee
+// Create Role
 app.post(
-  '/admin/employees/create',
+  '/admin/roles/create',
   authenticate,
-  adminOnly,
+  requirePermission('access:manage'),
+  audited('role.create'),
   async (req, res) => {
     try {
-      // FIX: Read from 'username_new' and 'password_new' for the new employee
-      const { name, username_new, password_new, salary, empId } = req.body;
+      const { name, description, permissions = [] } = req.body;
 
-      // FIX: Validate the new variables
-      if (!name || !username_new || !password_new || !empId) {
-        return res.status(400).json({
-          ok: false,
-          error:
-            'Name, username_new, password_new, and empId are required for the new employee',
-        });
+      if (!name || !String(name).trim()) {
+        return res.status(400).json({ ok: false, error: 'Name required' });
       }
 
-      // Check if username or empId already exists
-      const existingEmp = await Employee.findOne({
-        // FIX: Check against username_new
-        $or: [{ username: username_new }, { empId }],
-      });
+      const permissionError = validatePermissions(permissions);
+      if (permissionError) {
+        return res.status(400).json({ ok: false, error: permissionError });
+      }
 
-      if (existingEmp) {
-        return res.status(400).json({
-          ok: false,
-          error: 'Username or Employee ID already exists',
-        });
+      if (await Role.exists({ name: String(name).trim() })) {
+        return res
+          .status(400)
+          .json({ ok: false, error: 'Role already exists' });
       }
 
-      const newEmployee = await Employee.create({
-        name,
-        username: username_new, // FIX: Save with username_new
-        password: password_new, // FIX: Save with password_new
-        role: 'employee',
-        salary: salary || 30000,
-        empId,
-      });
+      const role = await Role.create({ name, description, permissions });
+      recordChange(res, { targetType: 'Role', target: role, after: role });
+
+      res.json({ ok: true, message: 'Role created successfully', role });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
 
-      const employeeData = newEmployee.toObject();
-      delete employeeData.password;
+// List Roles with the number of admins holding each, plus every permission
+app.post(
+  '/admin/roles/list',
+  authenticate,
+  requirePermission('access:manage'),
+  async (req, res) => {
+    try {
+      const [roles, counts] = await Promise.all([
+        Role.find().sort({ name: 1 }).lean(),
+        Employee.aggregate([
+          { $match: { role: 'admin' } },
+          { $group: { _id: '$accessRole', admins: { $sum: 1 } } },
+        ]),
+      ]);
+      const countById = new Map(counts.map((c) => [String(c._id), c.admins]));
 
       res.json({
         ok: true,
-        message: 'Employee created successfully',
-        employee: employeeData,
-        credentials: {
-          username: username_new, // FIX: Return the correct new credentials
-          password: password_new,
-        },
+        roles: roles.map((r) => ({
+          ...r,
+          admins: countById.get(String(r._id)) || 0,
+        })),
+        count: roles.length,
+        permissions: PERMISSIONS,
       });
     } catch (e) {
       res.status(500).json({ ok: false, error: e.message });
@@ -283,583 +665,4098 @@ app.post(
   }
 );
 
-// Get All Employees
-app.post('/admin/employees/list', authenticate, adminOnly, async (req, res) => {
-  try {
-    const employees = await Employee.find({ role: 'employee' })
-      .select('-password')
-      .sort({ createdAt: -1 })
-      .lean();
-
-    res.json({
-      ok: true,
-      employees,
-      count: employees.length,
-    });
-  } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
-  }
-});
-
-// Get Single Employee
-app.post('/admin/employees/get', authenticate, adminOnly, async (req, res) => {
-  try {
-    const { employeeId } = req.body;
-
-    if (!employeeId) {
-      return res.status(400).json({ ok: false, error: 'Employee ID required' });
-    }
-
-    const employee = await Employee.findById(employeeId)
-      .select('-password')
-      .lean();
-
-    if (!employee) {
-      return res.status(404).json({ ok: false, error: 'Employee not found' });
-    }
-
-    res.json({ ok: true, employee });
-  } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
-  }
-});
-// Update Employee
+// Update Role (takes effect on the holders' next request)
 app.post(
-  '/admin/employees/update',
+  '/admin/roles/update',
   authenticate,
-  adminOnly,
+  requirePermission('access:manage'),
+  audited('role.update'),
   async (req, res) => {
     try {
-      // FIX: Use different names for the employee's new details
-      const {
-        employeeId,
-        name,
-        username_new,
-        password_new,
-        salary,
-        empId,
-      } = req.body;
+      const { roleId } = req.body;
 
-      if (!employeeId) {
-        return res
-          .status(400)
-          .json({ ok: false, error: 'Employee ID required' });
+      if (!roleId) {
+        return res.status(400).json({ ok: false, error: 'Role ID required' });
       }
 
       const updateData = {};
-      if (name) updateData.name = name;
-      if (username_new) updateData.username = username_new; // FIX
-      if (password_new) updateData.password = password_new; // FIX
-      if (salary) updateData.salary = salary;
-      if (empId) updateData.empId = empId;
+      for (const field of ['name', 'description', 'permissions']) {
+        if (req.body[field] !== undefined) updateData[field] = req.body[field];
+      }
 
-      const updated = await Employee.findByIdAndUpdate(employeeId, updateData, {
-        new: true,
-        runValidators: true,
-      }).select('-password');
+      if (updateData.permissions !== undefined) {
+        const permissionError = validatePermissions(updateData.permissions);
+        if (permissionError) {
+          return res.status(400).json({ ok: false, error: permissionError });
+        }
+      }
 
-      if (!updated) {
-        return res.status(404).json({ ok: false, error: 'Employee not found' });
+      const before = await Role.findById(roleId).lean();
+      if (!before) {
+        return res.status(404).json({ ok: false, error: 'Role not found' });
+      }
+      if (before.builtIn) {
+        return res
+          .status(409)
+          .json({ ok: false, error: 'Built-in roles cannot be changed' });
       }
 
-      res.json({
-        ok: true,
-        message: 'Employee updated successfully',
-        employee: updated,
+      if (
+        updateData.name &&
+        (await Role.exists({
+          _id: { $ne: roleId },
+          name: String(updateData.name).trim(),
+        }))
+      ) {
+        return res
+          .status(400)
+          .json({ ok: false, error: 'Role already exists' });
+      }
+
+      const role = await Role.findByIdAndUpdate(roleId, updateData, {
+        new: true,
+        runValidators: true,
+      });
+      recordChange(res, {
+        targetType: 'Role',
+        target: role,
+        before,
+        after: role,
       });
+
+      res.json({ ok: true, message: 'Role updated successfully', role });
     } catch (e) {
       res.status(500).json({ ok: false, error: e.message });
     }
   }
 );
-// Delete Employee
+
+// Delete Role (only while no admin holds it)
 app.post(
-  '/admin/employees/delete',
+  '/admin/roles/delete',
   authenticate,
-  adminOnly,
+  requirePermission('access:manage'),
+  audited('role.delete'),
   async (req, res) => {
     try {
-      const { employeeId } = req.body;
+      const { roleId } = req.body;
 
-      if (!employeeId) {
-        return res
-          .status(400)
-          .json({ ok: false, error: 'Employee ID required' });
+      if (!roleId) {
+        return res.status(400).json({ ok: false, error: 'Role ID required' });
       }
 
-      const deleted = await Employee.findByIdAndDelete(employeeId);
-
-      if (!deleted) {
-        return res.status(404).json({ ok: false, error: 'Employee not found' });
+      const role = await Role.findById(roleId);
+      if (!role) {
+        return res.status(404).json({ ok: false, error: 'Role not found' });
+      }
+      if (role.builtIn) {
+        return res
+          .status(409)
+          .json({ ok: false, error: 'Built-in roles cannot be deleted' });
       }
 
-      // Also delete all attendance records for this employee
-      await Attendance.deleteMany({ employee: employeeId });
+      const holders = await Employee.countDocuments({ accessRole: role._id });
+      if (holders) {
+        return res.status(409).json({
+          ok: false,
+          error: `Role is assigned to ${holders} admin(s); reassign them first`,
+        });
+      }
 
-      res.json({
-        ok: true,
-        message: 'Employee and related records deleted successfully',
+      await role.deleteOne();
+      recordChange(res, {
+        targetType: 'Role',
+        target: role,
+        before: role,
+        after: null,
       });
+
+      res.json({ ok: true, message: 'Role deleted successfully' });
     } catch (e) {
       res.status(500).json({ ok: false, error: e.message });
     }
   }
 );
 
-//------------------ ATTENDANCE MANAGEMENT (ADMIN ONLY) ------------------//
+// The last holder of a built-in role cannot lose it, so somebody can always
+// manage access
+async function isLastBuiltInAdmin(admin) {
+  const role = await Role.findById(admin.accessRole).lean();
+  if (!role || !role.builtIn) return false;
+  const holders = await Employee.countDocuments({
+    role: 'admin',
+    accessRole: role._id,
+  });
+  return holders <= 1;
+}
 
-// Mark Attendance
+// Create Admin Account (signs in through /admin/login)
 app.post(
-  '/admin/attendance/mark',
+  '/admin/admins/create',
   authenticate,
-  adminOnly,
+  requirePermission('access:manage'),
+  audited('admin.create'),
   async (req, res) => {
     try {
-      const { employeeId, date, status } = req.body;
+      const { name, username_new, password_new, empId, roleId } = req.body;
 
-      if (!employeeId || !date) {
+      if (!name || !username_new || !password_new || !empId || !roleId) {
         return res.status(400).json({
           ok: false,
-          error: 'Employee ID and date required',
+          error: 'Name, username_new, password_new, empId and roleId required',
         });
       }
 
-      if (status && !['present', 'absent'].includes(status)) {
+      const passwordError = validatePassword(password_new);
+      if (passwordError) {
+        return res.status(400).json({ ok: false, error: passwordError });
+      }
+
+      if (
+        !mongoose.isValidObjectId(roleId) ||
+        !(await Role.exists({ _id: roleId }))
+      ) {
+        return res.status(400).json({ ok: false, error: 'Role not found' });
+      }
+
+      if (
+        await Employee.exists({ $or: [{ username: username_new }, { empId }] })
+      ) {
         return res.status(400).json({
           ok: false,
-          error: 'Status must be either "present" or "absent"',
+          error: 'Username or Employee ID already exists',
         });
       }
 
-      // Check if employee exists
-      const employee = await Employee.findById(employeeId);
-      if (!employee) {
-        return res.status(404).json({ ok: false, error: 'Employee not found' });
-      }
-
-      const attendanceDate = startOfDay(new Date(date));
+      const admin = await Employee.create({
+        name,
+        username: username_new,
+        password: await hashPassword(password_new),
+        mustChangePassword: true,
+        role: 'admin',
+        accessRole: roleId,
+        empId,
+      });
+      recordChange(res, {
+        targetType: 'Employee',
+        target: admin,
+        after: admin,
+      });
 
-      // Use findOneAndUpdate with upsert to avoid duplicates
-      const attendance = await Attendance.findOneAndUpdate(
-        {
-          employee: employeeId,
-          date: {
-            $gte: startOfDay(attendanceDate),
-            $lte: endOfDay(attendanceDate),
-          },
-        },
-        {
-          employee: employeeId,
-          date: attendanceDate,
-          status: status || 'present',
-        },
-        {
-          new: true,
-          upsert: true,
-          setDefaultsOnInsert: true,
+      res.json({
+        ok: true,
+        message: 'Admin account created successfully',
+        admin: withoutPassword(admin),
+        credentials: { username: username_new, mustChangePassword: true },
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+// List Admin Accounts
+app.post(
+  '/admin/admins/list',
+  authenticate,
+  requirePermission('access:manage'),
+  async (req, res) => {
+    try {
+      const admins = await Employee.find({ role: 'admin' })
+        .select('name username empId accessRole mustChangePassword createdAt')
+        .populate('accessRole', 'name permissions builtIn')
+        .sort({ name: 1 })
+        .lean();
+
+      res.json({ ok: true, admins, count: admins.length });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+// Update Admin Account (name and role; nobody can change their own role)
+app.post(
+  '/admin/admins/update',
+  authenticate,
+  requirePermission('access:manage'),
+  audited('admin.update'),
+  async (req, res) => {
+    try {
+      const { adminId, name, roleId } = req.body;
+
+      if (!adminId) {
+        return res.status(400).json({ ok: false, error: 'Admin ID required' });
+      }
+
+      const admin = await Employee.findOne({ _id: adminId, role: 'admin' });
+      if (!admin) {
+        return res.status(404).json({ ok: false, error: 'Admin not found' });
+      }
+
+      const before = admin.toObject();
+      if (name) admin.name = name;
+      if (roleId && String(roleId) !== String(admin.accessRole)) {
+        if (admin._id.equals(req.user._id)) {
+          return res
+            .status(409)
+            .json({ ok: false, error: 'You cannot change your own role' });
+        }
+        if (
+          !mongoose.isValidObjectId(roleId) ||
+          !(await Role.exists({ _id: roleId }))
+        ) {
+          return res.status(400).json({ ok: false, error: 'Role not found' });
+        }
+        if (await isLastBuiltInAdmin(admin)) {
+          return res.status(409).json({
+            ok: false,
+            error: 'This is the last admin with the Administrator role',
+          });
+        }
+        admin.accessRole = roleId;
+      }
+      await admin.save();
+      recordChange(res, {
+        targetType: 'Employee',
+        target: admin,
+        before,
+        after: admin,
+      });
+
+      res.json({
+        ok: true,
+        message: 'Admin account updated successfully',
+        admin: withoutPassword(admin),
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+// Delete Admin Account (signs it out everywhere)
+app.post(
+  '/admin/admins/delete',
+  authenticate,
+  requirePermission('access:manage'),
+  audited('admin.delete'),
+  async (req, res) => {
+    try {
+      const { adminId } = req.body;
+
+      if (!adminId) {
+        return res.status(400).json({ ok: false, error: 'Admin ID required' });
+      }
+
+      const admin = await Employee.findOne({ _id: adminId, role: 'admin' });
+      if (!admin) {
+        return res.status(404).json({ ok: false, error: 'Admin not found' });
+      }
+      if (admin._id.equals(req.user._id)) {
+        return res
+          .status(409)
+          .json({ ok: false, error: 'You cannot delete your own account' });
+      }
+      if (await isLastBuiltInAdmin(admin)) {
+        return res.status(409).json({
+          ok: false,
+          error: 'This is the last admin with the Administrator role',
+        });
+      }
+
+      await admin.deleteOne();
+      await Session.updateMany(
+        { employee: admin._id, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+      recordChange(res, {
+        targetType: 'Employee',
+        target: admin,
+        before: admin,
+        after: null,
+      });
+
+      res.json({ ok: true, message: 'Admin account deleted successfully' });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+//------------------ EMPLOYEE CRUD (ADMIN ONLY) ------------------//
+
+// Create Employee
+app.post(
+  '/admin/employees/create',
+  authenticate,
+  requirePermission('employees:write'),
+  audited('employee.create'),
+  async (req, res) => {
+    try {
+      // FIX: Read from 'username_new' and 'password_new' for the new employee
+      const {
+        name,
+        username_new,
+        password_new,
+        salary,
+        empId,
+        email,
+        bankAccount,
+      } = req.body;
+
+      // FIX: Validate the new variables
+      if (!name || !username_new || !password_new || !empId) {
+        return res.status(400).json({
+          ok: false,
+          error:
+            'Name, username_new, password_new, and empId are required for the new employee',
+        });
+      }
+
+      const passwordError = validatePassword(password_new);
+      if (passwordError) {
+        return res.status(400).json({ ok: false, error: passwordError });
+      }
+
+      if (email && !isValidEmail(email)) {
+        return res
+          .status(400)
+          .json({ ok: false, error: 'email must be a valid email address' });
+      }
+
+      const bank = bankAccount == null ? {} : bankAccountUpdate(bankAccount);
+      if (bank.error) {
+        return res.status(400).json({ ok: false, error: bank.error });
+      }
+
+      // Check if username or empId already exists
+      const existingEmp = await Employee.findOne({
+        // FIX: Check against username_new
+        $or: [{ username: username_new }, { empId }],
+      });
+
+      if (existingEmp) {
+        return res.status(400).json({
+          ok: false,
+          error: 'Username or Employee ID already exists',
+        });
+      }
+
+      const assignment = await resolveOrgAssignment(req.body);
+      if (assignment.error) {
+        return res.status(400).json({ ok: false, error: assignment.error });
+      }
+
+      const newEmployee = await Employee.create({
+        ...assignment.update,
+        name,
+        username: username_new, // FIX: Save with username_new
+        password: await hashPassword(password_new),
+        // The admin knows this password, so the employee replaces it on first login
+        mustChangePassword: true,
+        role: 'employee',
+        salary: salary || 30000,
+        empId,
+        email: email || undefined,
+        bankAccount: bank.bankAccount,
+      });
+      await reviseSalary(
+        newEmployee._id,
+        {
+          salary: newEmployee.salary,
+          effectiveFrom: new Date(),
+          reason: 'joining',
+        },
+        req.user
+      );
+      recordChange(res, {
+        targetType: 'Employee',
+        target: newEmployee,
+        employee: newEmployee,
+        after: newEmployee,
+      });
+
+      // With an email address the employee receives the credentials directly
+      const notification = await notify('account.created', newEmployee, {
+        username: username_new,
+        temporaryPassword: password_new,
+      });
+
+      res.json({
+        ok: true,
+        message: 'Employee created successfully',
+        employee: withoutPassword(newEmployee),
+        credentials: {
+          username: username_new,
+          mustChangePassword: true,
+          emailed: Boolean(notification),
+        },
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+// List Employees: page by page, with search, filters and a chosen sort
+const EMPLOYEE_STATUSES = ['active', 'notice', 'exited'];
+const EMPLOYEE_SORT_FIELDS = [
+  'createdAt',
+  'name',
+  'empId',
+  'username',
+  'salary',
+];
+
+app.post('/admin/employees/list', authenticate, requirePermission('employees:read'), async (req, res) => {
+  try {
+    const {
+      search,
+      salaryMin,
+      salaryMax,
+      createdFrom,
+      createdTo,
+      status,
+      departmentId,
+      designationId,
+      managerId,
+      sortBy = 'createdAt',
+      sortOrder = sortBy === 'createdAt' ? 'desc' : 'asc',
+    } = req.body;
+    const page = Math.max(+req.body.page || 1, 1);
+    const limit = Math.min(Math.max(+req.body.limit || 50, 1), 200);
+
+    if (!EMPLOYEE_SORT_FIELDS.includes(sortBy)) {
+      return res.status(400).json({
+        ok: false,
+        error: `sortBy must be one of ${EMPLOYEE_SORT_FIELDS.join(', ')}`,
+      });
+    }
+    if (!['asc', 'desc'].includes(sortOrder)) {
+      return res
+        .status(400)
+        .json({ ok: false, error: 'sortOrder must be asc or desc' });
+    }
+
+    const query = { role: 'employee' };
+    if (status) {
+      const statuses = Array.isArray(status) ? status : [status];
+      if (statuses.some((s) => !EMPLOYEE_STATUSES.includes(s))) {
+        return res.status(400).json({
+          ok: false,
+          error: `status must be one of ${EMPLOYEE_STATUSES.join(', ')}`,
+        });
+      }
+      query.status = { $in: statuses };
+    }
+    if (search && String(search).trim()) {
+      // Case-insensitive substring match; the input is matched literally
+      const pattern = new RegExp(
+        String(search).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
+        'i'
+      );
+      query.$or = [
+        { name: pattern },
+        { username: pattern },
+        { empId: pattern },
+        { email: pattern },
+      ];
+    }
+    if (salaryMin != null || salaryMax != null) {
+      query.salary = {};
+      if (salaryMin != null) query.salary.$gte = Number(salaryMin);
+      if (salaryMax != null) query.salary.$lte = Number(salaryMax);
+      if (Object.values(query.salary).some((v) => isNaN(v))) {
+        return res
+          .status(400)
+          .json({ ok: false, error: 'Invalid salary range' });
+      }
+    }
+    for (const [field, id] of [
+      ['department', departmentId],
+      ['designation', designationId],
+      ['manager', managerId],
+    ]) {
+      if (!id) continue;
+      if (!mongoose.isValidObjectId(id)) {
+        return res
+          .status(400)
+          .json({ ok: false, error: `Invalid ${field}Id` });
+      }
+      query[field] = id;
+    }
+    if (createdFrom || createdTo) {
+      const from = parseDay(createdFrom);
+      const to = parseDay(createdTo);
+      if ((createdFrom && !from) || (createdTo && !to)) {
+        return res.status(400).json({ ok: false, error: 'Invalid date range' });
+      }
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = endOfDay(to);
+    }
+
+    // _id breaks ties so pages never overlap or skip employees
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    const [employees, total] = await Promise.all([
+      Employee.find(query)
+        .select('-password')
+        .populate('department', 'name')
+        .populate('designation', 'name')
+        .sort({ [sortBy]: direction, _id: direction })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Employee.countDocuments(query),
+    ]);
+
+    res.json({
+      ok: true,
+      employees,
+      count: employees.length,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Get Single Employee
+app.post('/admin/employees/get', authenticate, requirePermission('employees:read'), async (req, res) => {
+  try {
+    const { employeeId } = req.body;
+
+    if (!employeeId) {
+      return res.status(400).json({ ok: false, error: 'Employee ID required' });
+    }
+
+    const employee = await Employee.findById(employeeId)
+      .select('-password')
+      .populate('department', 'name')
+      .populate('designation', 'name')
+      .populate('manager', 'name empId')
+      .lean();
+
+    if (!employee) {
+      return res.status(404).json({ ok: false, error: 'Employee not found' });
+    }
+
+    res.json({ ok: true, employee });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+// Update Employee
+app.post(
+  '/admin/employees/update',
+  authenticate,
+  requirePermission('employees:write'),
+  audited('employee.update'),
+  async (req, res) => {
+    try {
+      // FIX: Use different names for the employee's new details
+      const {
+        employeeId,
+        name,
+        username_new,
+        password_new,
+        salary,
+        empId,
+        email,
+        bankAccount,
+      } = req.body;
+
+      if (!employeeId) {
+        return res
+          .status(400)
+          .json({ ok: false, error: 'Employee ID required' });
+      }
+
+      if (email && !isValidEmail(email)) {
+        return res
+          .status(400)
+          .json({ ok: false, error: 'email must be a valid email address' });
+      }
+
+      const updateData = {};
+      if (name) updateData.name = name;
+      if (username_new) updateData.username = username_new; // FIX
+      if (password_new) {
+        const passwordError = validatePassword(password_new);
+        if (passwordError) {
+          return res.status(400).json({ ok: false, error: passwordError });
+        }
+        updateData.password = await hashPassword(password_new);
+        updateData.passwordChangedAt = new Date();
+      }
+      if (salary) updateData.salary = salary;
+      if (empId) updateData.empId = empId;
+      // null or "" removes the address
+      if (email !== undefined) updateData.email = email || null;
+      // The full details are replaced at once; null removes them
+      if (bankAccount !== undefined) {
+        const bank = bankAccountUpdate(bankAccount);
+        if (bank.error) {
+          return res.status(400).json({ ok: false, error: bank.error });
         }
-      ).populate('employee', 'name empId username');
+        updateData.bankAccount = bank.bankAccount;
+      }
+
+      const assignment = await resolveOrgAssignment(req.body, employeeId);
+      if (assignment.error) {
+        return res.status(400).json({ ok: false, error: assignment.error });
+      }
+      Object.assign(updateData, assignment.update);
+
+      // Admin accounts are managed through /admin/admins/*
+      const before = await Employee.findOne({
+        _id: employeeId,
+        role: 'employee',
+      }).lean();
+      if (!before) {
+        return res.status(404).json({ ok: false, error: 'Employee not found' });
+      }
+
+      const updated = await Employee.findByIdAndUpdate(employeeId, updateData, {
+        new: true,
+        runValidators: true,
+      });
+      // Changing the salary here revises it from today; use
+      // /admin/employees/salary-revisions/create to backdate a change
+      if (updated.salary !== before.salary) {
+        await reviseSalary(
+          employeeId,
+          {
+            salary: updated.salary,
+            effectiveFrom: new Date(),
+            reason: 'other',
+          },
+          req.user
+        );
+      }
+      recordChange(res, {
+        targetType: 'Employee',
+        target: updated,
+        employee: updated,
+        before,
+        after: updated,
+      });
+
+      // A new password signs the employee out everywhere
+      if (password_new) {
+        await Session.updateMany(
+          { employee: updated._id, revokedAt: null },
+          { revokedAt: new Date() }
+        );
+      }
 
       res.json({
         ok: true,
-        message: 'Attendance marked successfully',
-        attendance,
+        message: 'Employee updated successfully',
+        employee: withoutPassword(updated),
       });
     } catch (e) {
       res.status(500).json({ ok: false, error: e.message });
     }
   }
 );
+// Set Employee Salary Structure (explicit components or a named template)
+app.post(
+  '/admin/employees/salary-structure',
+  authenticate,
+  requirePermission('salary:write'),
+  audited('employee.salary-structure'),
+  async (req, res) => {
+    try {
+      const { employeeId, components, template } = req.body;
+
+      if (!employeeId || (!components && !template)) {
+        return res.status(400).json({
+          ok: false,
+          error: 'Employee ID and either components or template required',
+        });
+      }
+
+      if (template && !SALARY_STRUCTURE_TEMPLATES[template]) {
+        return res.status(400).json({
+          ok: false,
+          error: `Unknown template. Available: ${Object.keys(
+            SALARY_STRUCTURE_TEMPLATES
+          ).join(', ')}`,
+        });
+      }
+
+      const source = components || SALARY_STRUCTURE_TEMPLATES[template];
+      const structure = Array.isArray(source)
+        ? source.map((c) => ({
+            ...c,
+            code: String(c.code || '').toUpperCase(),
+            of: c.of && String(c.of).toUpperCase(),
+          }))
+        : source;
+      const structureError = validateSalaryStructure(structure);
+      if (structureError) {
+        return res.status(400).json({ ok: false, error: structureError });
+      }
+
+      const before = await Employee.findById(employeeId)
+        .select('salaryStructure')
+        .lean();
+      if (!before) {
+        return res.status(404).json({ ok: false, error: 'Employee not found' });
+      }
+
+      const updated = await Employee.findByIdAndUpdate(
+        employeeId,
+        { salaryStructure: structure },
+        { new: true, runValidators: true }
+      ).select('-password');
+      recordChange(res, {
+        targetType: 'Employee',
+        target: updated,
+        employee: updated,
+        before,
+        after: { salaryStructure: updated.salaryStructure },
+      });
+
+      res.json({
+        ok: true,
+        message: 'Salary structure updated successfully',
+        employee: updated,
+        // What a full month at the current salary works out to
+        preview: computeSalaryComponents(structure, updated.salary, 1),
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+// Record a salary revision. effectiveFrom may be in the past: months not yet
+// locked are simply recomputed, locked months are settled as arrears (or a
+// recovery) in the next payroll.
+app.post(
+  '/admin/employees/salary-revisions/create',
+  authenticate,
+  requirePermission('salary:write'),
+  audited('salary-revision.create'),
+  async (req, res) => {
+    try {
+      const { employeeId, salary, effectiveFrom, reason, note } = req.body;
+
+      if (!employeeId || salary == null || !effectiveFrom || !reason) {
+        return res.status(400).json({
+          ok: false,
+          error: 'Employee ID, salary, effectiveFrom and reason required',
+        });
+      }
+      if (typeof salary !== 'number' || !(salary >= 0)) {
+        return res
+          .status(400)
+          .json({ ok: false, error: 'Salary must be a non-negative number' });
+      }
+      const effectiveDate = parseDay(effectiveFrom);
+      if (!effectiveDate) {
+        return res.status(400).json({
+          ok: false,
+          error: 'effectiveFrom must be a date (YYYY-MM-DD)',
+        });
+      }
+      if (!SALARY_REVISION_REASONS.includes(reason)) {
+        return res.status(400).json({
+          ok: false,
+          error: `Reason must be one of ${SALARY_REVISION_REASONS.join(', ')}`,
+        });
+      }
+
+      if (!(await Employee.exists({ _id: employeeId }))) {
+        return res.status(404).json({ ok: false, error: 'Employee not found' });
+      }
+
+      const before = await SalaryRevision.findOne({
+        employee: employeeId,
+        effectiveFrom: effectiveDate,
+      }).lean();
+      const revision = await reviseSalary(
+        employeeId,
+        { salary, effectiveFrom: effectiveDate, reason, note },
+        req.user
+      );
+      recordChange(res, {
+        targetType: 'SalaryRevision',
+        target: revision,
+        employee: employeeId,
+        before,
+        after: revision,
+      });
+
+      // Locked months from the effective date on are paid through arrears
+      const effective = monthOf(effectiveDate);
+      const lockedRuns = await PayrollRun.find({
+        status: { $in: LOCKED_PAYROLL_STATUSES },
+        $or: [
+          { year: { $gt: effective.year } },
+          { year: effective.year, month: { $gte: effective.month } },
+        ],
+      })
+        .select('year month')
+        .sort({ year: 1, month: 1 })
+        .lean();
+      const { salary: currentSalary } = await Employee.findById(employeeId)
+        .select('salary')
+        .lean();
+
+      res.json({
+        ok: true,
+        message: lockedRuns.length
+          ? 'Salary revised; arrears for locked months are paid in the next payroll'
+          : 'Salary revised successfully',
+        revision: withLocalDates(revision, 'effectiveFrom'),
+        currentSalary,
+        arrearsMonths: lockedRuns.map((r) => `${r.year}-${r.month}`),
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+// Salary History of an Employee (newest first)
+app.post(
+  '/admin/employees/salary-revisions/list',
+  authenticate,
+  requirePermission('employees:read'),
+  async (req, res) => {
+    try {
+      const { employeeId } = req.body;
+
+      if (!employeeId) {
+        return res
+          .status(400)
+          .json({ ok: false, error: 'Employee ID required' });
+      }
+
+      const revisions = await SalaryRevision.find({ employee: employeeId })
+        .populate('createdBy', 'name empId')
+        .sort({ effectiveFrom: -1 })
+        .lean();
+
+      res.json({
+        ok: true,
+        revisions: revisions.map((r) => withLocalDates(r, 'effectiveFrom')),
+        count: revisions.length,
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+// Reset Employee Password (issues a one-time temporary password)
+app.post(
+  '/admin/employees/password/reset',
+  authenticate,
+  requirePermission('employees:write'),
+  audited('employee.password-reset'),
+  async (req, res) => {
+    try {
+      const { employeeId } = req.body;
+
+      if (!employeeId) {
+        return res
+          .status(400)
+          .json({ ok: false, error: 'Employee ID required' });
+      }
+
+      const employee = await Employee.findOne({
+        _id: employeeId,
+        role: 'employee',
+      });
+      if (!employee) {
+        return res.status(404).json({ ok: false, error: 'Employee not found' });
+      }
+
+      const before = employee.toObject();
+      const temporaryPassword = generateTemporaryPassword();
+      employee.password = await hashPassword(temporaryPassword);
+      employee.mustChangePassword = true;
+      employee.passwordChangedAt = new Date();
+      await employee.save();
+      recordChange(res, {
+        targetType: 'Employee',
+        target: employee,
+        employee,
+        before,
+        after: employee,
+      });
+
+      await Session.updateMany(
+        { employee: employee._id, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+      const notification = await notify('password.reset', employee, {
+        username: employee.username,
+        temporaryPassword,
+      });
+
+      res.json({
+        ok: true,
+        message: 'Temporary password issued; it must be changed on next login',
+        credentials: {
+          username: employee.username,
+          temporaryPassword,
+          emailed: Boolean(notification),
+        },
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+//------------------ OFFBOARDING (ADMIN) ------------------//
+
+// Record a resignation: the employee is on notice until the last working day
+app.post(
+  '/admin/employees/resign',
+  authenticate,
+  requirePermission('employees:write'),
+  audited('employee.resign'),
+  async (req, res) => {
+    try {
+      const { employeeId, resignationDate, lastWorkingDay, reason } = req.body;
+
+      if (!employeeId || !lastWorkingDay) {
+        return res.status(400).json({
+          ok: false,
+          error: 'Employee ID and lastWorkingDay required',
+        });
+      }
+
+      const resignedOn = resignationDate
+        ? parseDay(resignationDate)
+        : startOfDay(new Date());
+      const lastDay = parseDay(lastWorkingDay);
+      if (!resignedOn || !lastDay) {
+        return res
+          .status(400)
+          .json({ ok: false, error: 'Dates must be YYYY-MM-DD' });
+      }
+      if (lastDay < resignedOn) {
+        return res.status(400).json({
+          ok: false,
+          error: 'lastWorkingDay cannot be before the resignation date',
+        });
+      }
+
+      const employee = await Employee.findOne({
+        _id: employeeId,
+        role: 'employee',
+      });
+      if (!employee) {
+        return res.status(404).json({ ok: false, error: 'Employee not found' });
+      }
+      if (employee.status === 'exited') {
+        return res
+          .status(409)
+          .json({ ok: false, error: 'Employee has already exited' });
+      }
+
+      const before = employee.toObject();
+      employee.status = 'notice';
+      employee.resignationDate = resignedOn;
+      employee.lastWorkingDay = lastDay;
+      if (reason !== undefined) employee.exitReason = reason;
+      await employee.save();
+      recordChange(res, {
+        targetType: 'Employee',
+        target: employee,
+        employee,
+        before,
+        after: employee,
+      });
+
+      res.json({
+        ok: true,
+        message: 'Resignation recorded; the employee is on notice',
+        employee: withLocalDates(
+          withoutPassword(employee),
+          'resignationDate',
+          'lastWorkingDay'
+        ),
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+// Exit an employee: settle them, then store the settlement and mark them
+// exited and sign them out. Attendance, payslips and history are kept.
+async function exitEmployee(req, res) {
+  try {
+    const { employeeId, lastWorkingDay, reason, adjustments = [] } = req.body;
+
+    if (!employeeId) {
+      return res.status(400).json({ ok: false, error: 'Employee ID required' });
+    }
+
+    const adjustmentsError = validateAdjustments(adjustments);
+    if (adjustmentsError) {
+      return res.status(400).json({ ok: false, error: adjustmentsError });
+    }
+
+    const employee = await Employee.findOne({
+      _id: employeeId,
+      role: 'employee',
+    });
+    if (!employee) {
+      return res.status(404).json({ ok: false, error: 'Employee not found' });
+    }
+    if (employee.status === 'exited') {
+      return res
+        .status(409)
+        .json({ ok: false, error: 'Employee has already exited' });
+    }
+
+    // Without a date in the request or on notice, the employee leaves today
+    const lastDay = lastWorkingDay
+      ? parseDay(lastWorkingDay)
+      : startOfDay(employee.lastWorkingDay || new Date());
+    if (!lastDay) {
+      return res
+        .status(400)
+        .json({ ok: false, error: 'lastWorkingDay must be YYYY-MM-DD' });
+    }
+
+    // Everything is computed before anything is stored
+    const data = await computeSettlement(employee._id, {
+      adjustments,
+      lastWorkingDay: lastDay,
+      exitReason: reason,
+    });
+
+    // One settlement per employee, so a concurrent exit stops here
+    let settlement;
+    try {
+      settlement = await Settlement.create({
+        employee: employee._id,
+        netPayable: data.netPayable,
+        data,
+        settledBy: req.user._id,
+      });
+    } catch (e) {
+      if (e.code !== 11000) throw e;
+      return res
+        .status(409)
+        .json({ ok: false, error: 'Employee has already exited' });
+    }
+
+    const before = employee.toObject();
+    let exited;
+    try {
+      exited = await Employee.findOneAndUpdate(
+        { _id: employee._id, status: { $ne: 'exited' } },
+        {
+          lastWorkingDay: lastDay,
+          ...(reason !== undefined && { exitReason: reason }),
+          status: 'exited',
+          exitedAt: new Date(),
+        },
+        { new: true }
+      );
+    } catch (e) {
+      await Settlement.deleteOne({ _id: settlement._id });
+      throw e;
+    }
+    if (!exited) {
+      await Settlement.deleteOne({ _id: settlement._id });
+      return res
+        .status(409)
+        .json({ ok: false, error: 'Employee has already exited' });
+    }
+
+    await Session.updateMany(
+      { employee: employee._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    // Their reports move up to their own manager
+    await Employee.updateMany(
+      { manager: employee._id },
+      { manager: employee.manager || null }
+    );
+    // The final month is paid by the settlement, not by payroll; earlier
+    // months stay on their payroll runs
+    const { year, month } = data.finalMonth;
+    await removeFromDraftPayroll(employee._id, year, month);
+
+    recordChange(res, {
+      targetType: 'Employee',
+      target: exited,
+      employee: exited,
+      before,
+      after: exited,
+      details: { settlement: settlement._id, netPayable: data.netPayable },
+    });
+
+    res.json({
+      ok: true,
+      message: 'Employee exited; their records are kept',
+      employee: withLocalDates(
+        withoutPassword(exited),
+        'resignationDate',
+        'lastWorkingDay'
+      ),
+      settlement: {
+        ...data,
+        status: 'settled',
+        settledAt: settlement.createdAt,
+      },
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+}
+
+app.post(
+  '/admin/employees/exit',
+  authenticate,
+  requirePermission('employees:write'),
+  audited('employee.exit'),
+  exitEmployee
+);
+// Employees are never hard-deleted; deleting one exits them
+app.post(
+  '/admin/employees/delete',
+  authenticate,
+  requirePermission('employees:write'),
+  audited('employee.delete'),
+  exitEmployee
+);
+
+// Validates { employeeId, adjustments } of a settlement request
+function settlementRequestError({ employeeId, adjustments }) {
+  if (!employeeId) return 'Employee ID required';
+  if (adjustments !== undefined) return validateAdjustments(adjustments);
+  return null;
+}
+
+// The stored settlement of an exited employee, otherwise a preview for an
+// employee with a last working day; responds itself and returns null if
+// neither applies
+async function findSettlement(req, res) {
+  const { employeeId, adjustments } = req.body;
+  const employee = await Employee.findOne({
+    _id: employeeId,
+    role: 'employee',
+  })
+    .select('lastWorkingDay')
+    .lean();
+  if (!employee) {
+    res.status(404).json({ ok: false, error: 'Employee not found' });
+    return null;
+  }
+  if (!employee.lastWorkingDay) {
+    res.status(409).json({
+      ok: false,
+      error: 'Record a resignation or exit before computing a settlement',
+    });
+    return null;
+  }
+  return getSettlement(employeeId, { adjustments });
+}
+
+// Full-and-Final Settlement (JSON)
+app.post(
+  '/admin/employees/settlement',
+  authenticate,
+  requirePermission('payslips:read'),
+  async (req, res) => {
+    try {
+      const error = settlementRequestError(req.body);
+      if (error) return res.status(400).json({ ok: false, error });
+
+      const settlement = await findSettlement(req, res);
+      if (settlement) res.json({ ok: true, settlement });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+// Full-and-Final Settlement (PDF)
+app.post(
+  '/admin/employees/settlement/pdf',
+  authenticate,
+  requirePermission('payslips:read'),
+  async (req, res) => {
+    try {
+      const error = settlementRequestError(req.body);
+      if (error) return res.status(400).json({ ok: false, error });
+
+      const settlement = await findSettlement(req, res);
+      if (!settlement) return;
+      const { branding } = await getOrganization();
+      const doc = createPdfDocument();
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename=settlement_${settlement.employee.empId}.pdf`
+      );
+      doc.pipe(res);
+      drawSettlement(doc, settlement, branding);
+      doc.end();
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+//------------------ DEPARTMENTS & DESIGNATIONS (ADMIN) ------------------//
+
+// Departments and designations are managed the same way. label names the
+// model in messages; field is the Employee field that references it.
+function createOrgUnit(Model, label) {
+  return async (req, res) => {
+    try {
+      const { name, description } = req.body;
+
+      if (!name || !String(name).trim()) {
+        return res.status(400).json({ ok: false, error: 'Name required' });
+      }
+
+      if (await Model.exists({ name: String(name).trim() })) {
+        return res
+          .status(400)
+          .json({ ok: false, error: `${label} already exists` });
+      }
+
+      const unit = await Model.create({ name, description });
+      recordChange(res, {
+        targetType: Model.modelName,
+        target: unit,
+        after: unit,
+      });
+
+      res.json({
+        ok: true,
+        message: `${label} created successfully`,
+        [Model.modelName.toLowerCase()]: unit,
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  };
+}
+
+// Lists every unit with the number of employees assigned to it
+function listOrgUnits(Model, field) {
+  return async (req, res) => {
+    try {
+      const [units, counts] = await Promise.all([
+        Model.find().sort({ name: 1 }).lean(),
+        Employee.aggregate([
+          { $match: { [field]: { $ne: null } } },
+          { $group: { _id: `$${field}`, employees: { $sum: 1 } } },
+        ]),
+      ]);
+      const countById = new Map(
+        counts.map((c) => [String(c._id), c.employees])
+      );
+
+      const items = units.map((u) => ({
+        ...u,
+        employees: countById.get(String(u._id)) || 0,
+      }));
+      res.json({ ok: true, [`${field}s`]: items, count: items.length });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  };
+}
+
+function updateOrgUnit(Model, label) {
+  return async (req, res) => {
+    try {
+      const { id } = req.body;
+
+      if (!id) {
+        return res
+          .status(400)
+          .json({ ok: false, error: `${label} ID required` });
+      }
+
+      const updateData = {};
+      for (const field of ['name', 'description', 'active']) {
+        if (req.body[field] !== undefined) updateData[field] = req.body[field];
+      }
+
+      if (
+        updateData.name &&
+        (await Model.exists({
+          _id: { $ne: id },
+          name: String(updateData.name).trim(),
+        }))
+      ) {
+        return res
+          .status(400)
+          .json({ ok: false, error: `${label} already exists` });
+      }
+
+      const before = await Model.findById(id).lean();
+      if (!before) {
+        return res.status(404).json({ ok: false, error: `${label} not found` });
+      }
+
+      const unit = await Model.findByIdAndUpdate(id, updateData, {
+        new: true,
+        runValidators: true,
+      });
+      recordChange(res, {
+        targetType: Model.modelName,
+        target: unit,
+        before,
+        after: unit,
+      });
+
+      res.json({
+        ok: true,
+        message: `${label} updated successfully`,
+        [Model.modelName.toLowerCase()]: unit,
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  };
+}
+
+// Only units nobody is assigned to can be deleted; deactivate the others
+function deleteOrgUnit(Model, label, field) {
+  return async (req, res) => {
+    try {
+      const { id } = req.body;
+
+      if (!id) {
+        return res
+          .status(400)
+          .json({ ok: false, error: `${label} ID required` });
+      }
+
+      const assigned = await Employee.countDocuments({ [field]: id });
+      if (assigned) {
+        return res.status(409).json({
+          ok: false,
+          error: `${label} is assigned to ${assigned} employee(s); reassign them or set active to false`,
+        });
+      }
+
+      const deleted = await Model.findByIdAndDelete(id);
+      if (!deleted) {
+        return res.status(404).json({ ok: false, error: `${label} not found` });
+      }
+      recordChange(res, {
+        targetType: Model.modelName,
+        target: deleted,
+        before: deleted,
+        after: null,
+      });
+
+      res.json({ ok: true, message: `${label} deleted successfully` });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  };
+}
+
+app.post(
+  '/admin/departments/create',
+  authenticate,
+  requirePermission('org:write'),
+  audited('department.create'),
+  createOrgUnit(Department, 'Department')
+);
+app.post(
+  '/admin/departments/list',
+  authenticate,
+  requirePermission('employees:read'),
+  listOrgUnits(Department, 'department')
+);
+app.post(
+  '/admin/departments/update',
+  authenticate,
+  requirePermission('org:write'),
+  audited('department.update'),
+  updateOrgUnit(Department, 'Department')
+);
+app.post(
+  '/admin/departments/delete',
+  authenticate,
+  requirePermission('org:write'),
+  audited('department.delete'),
+  deleteOrgUnit(Department, 'Department', 'department')
+);
+
+app.post(
+  '/admin/designations/create',
+  authenticate,
+  requirePermission('org:write'),
+  audited('designation.create'),
+  createOrgUnit(Designation, 'Designation')
+);
+app.post(
+  '/admin/designations/list',
+  authenticate,
+  requirePermission('employees:read'),
+  listOrgUnits(Designation, 'designation')
+);
+app.post(
+  '/admin/designations/update',
+  authenticate,
+  requirePermission('org:write'),
+  audited('designation.update'),
+  updateOrgUnit(Designation, 'Designation')
+);
+app.post(
+  '/admin/designations/delete',
+  authenticate,
+  requirePermission('org:write'),
+  audited('designation.delete'),
+  deleteOrgUnit(Designation, 'Designation', 'designation')
+);
+
+// Reporting tree of the whole organization, or below one employee
+app.post('/admin/org-chart', authenticate, requirePermission('employees:read'), async (req, res) => {
+  try {
+    const { employeeId } = req.body;
+
+    const chart = await getOrgChart(employeeId);
+    if (!chart) {
+      return res.status(404).json({ ok: false, error: 'Employee not found' });
+    }
+
+    res.json({ ok: true, chart });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+//------------------ ATTENDANCE MANAGEMENT (ADMIN ONLY) ------------------//
+
+// Mark one employee's day, for /admin/attendance/mark and regularization
+// approvals. Admin accounts, exited employees, days after the last working
+// day and finalized months are refused with { httpStatus, error }; otherwise
+// returns { before, attendance } and tells the employee about a new absence.
+async function markDay(employeeId, attendanceDate, status) {
+  const employee = await Employee.findOne({
+    _id: employeeId,
+    role: 'employee',
+  });
+  if (!employee) return { httpStatus: 404, error: 'Employee not found' };
+  if (employee.status === 'exited') {
+    return {
+      httpStatus: 409,
+      error: 'Employee has exited; attendance is closed',
+    };
+  }
+  if (
+    employee.lastWorkingDay &&
+    attendanceDate > endOfDay(employee.lastWorkingDay)
+  ) {
+    return {
+      httpStatus: 409,
+      error: "The day is after the employee's last working day",
+    };
+  }
+
+  const { year, month } = monthOf(attendanceDate);
+  if (await isPayrollLocked(year, month)) {
+    return {
+      httpStatus: 409,
+      error: 'Payroll for this month is finalized; attendance is locked',
+    };
+  }
+
+  const before = await Attendance.findOne({
+    employee: employeeId,
+    date: { $gte: attendanceDate, $lte: endOfDay(attendanceDate) },
+  }).lean();
+
+  // Upsert to avoid duplicates; a leave day marked over is given back
+  const attendance = await upsertAttendance(employeeId, attendanceDate, status);
+  const wasAbsent = before && before.status === 'absent';
+  if (attendance.status === 'absent' && !wasAbsent) {
+    await notifyMarkedAbsent([{ employeeId, date: attendanceDate }]);
+  }
+  return { before, attendance };
+}
+
+// Mark Attendance (admins for anyone; managers for their reports, see
+// /employee/team/attendance/mark)
+async function markAttendance(req, res) {
+  try {
+    const { employeeId, date, status } = req.body;
+
+    if (!employeeId || !date) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Employee ID and date required',
+      });
+    }
+
+    if (status && !MARKABLE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        ok: false,
+        error: `Status must be one of ${MARKABLE_STATUSES.join(', ')}`,
+      });
+    }
+
+    const attendanceDate = parseDay(date);
+    if (!attendanceDate) {
+      return res
+        .status(400)
+        .json({ ok: false, error: 'Date must be YYYY-MM-DD' });
+    }
+
+    const { httpStatus, error, before, attendance } = await markDay(
+      employeeId,
+      attendanceDate,
+      status
+    );
+    if (error) return res.status(httpStatus).json({ ok: false, error });
+
+    await attendance.populate('employee', 'name empId username');
+    recordChange(res, {
+      targetType: 'Attendance',
+      target: attendance,
+      employee: employeeId,
+      before,
+      after: { ...attendance.toObject(), employee: employeeId },
+    });
+
+    res.json({
+      ok: true,
+      message: 'Attendance marked successfully',
+      attendance: withLocalDates(attendance, 'date'),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+}
+
+app.post(
+  '/admin/attendance/mark',
+  authenticate,
+  requirePermission('attendance:write'),
+  audited('attendance.mark'),
+  markAttendance
+);
+
+// Audit a bulk write with the rows it created or updated; dry runs change nothing
+function recordAttendanceImport(res, report) {
+  if (report.dryRun) {
+    res.locals.audit.skip = true;
+    return;
+  }
+  const written = ({ employeeId, date, status }) => ({
+    employeeId,
+    date,
+    status,
+  });
+  recordChange(res, {
+    targetType: 'Attendance',
+    details: {
+      summary: report.summary,
+      created: report.created.map(written),
+      updated: report.updated.map(written),
+    },
+  });
+}
+
+// Tell employees about the absences a bulk write recorded
+function notifyImportedAbsences(report) {
+  if (report.dryRun) return [];
+  return notifyMarkedAbsent(
+    [...report.created, ...report.updated].filter((r) => r.status === 'absent')
+  );
+}
+
+// Bulk Mark Attendance: { records: [{ employeeId or empId, date, status }], dryRun }
+app.post('/admin/attendance/bulk', authenticate, requirePermission('attendance:write'), audited('attendance.bulk'), async (req, res) => {
+  try {
+    const { records, dryRun } = req.body;
+
+    if (!Array.isArray(records) || !records.length) {
+      return res.status(400).json({
+        ok: false,
+        error: 'records must be a non-empty array',
+      });
+    }
+
+    if (records.length > MAX_BULK_ROWS) {
+      return res.status(413).json({
+        ok: false,
+        error: `At most ${MAX_BULK_ROWS} records per request`,
+      });
+    }
+
+    const report = await importAttendance(records, {
+      dryRun: dryRun === true || dryRun === 'true',
+    });
+    recordAttendanceImport(res, report);
+    await notifyImportedAbsences(report);
+
+    res.json({ ok: true, ...report });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Import Attendance CSV (header: employeeId or empId, date, status); ?dryRun=true
+app.post(
+  '/admin/attendance/import',
+  authenticate,
+  requirePermission('attendance:write'),
+  audited('attendance.import'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  async (req, res) => {
+    try {
+      if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({
+          ok: false,
+          error: 'Send the CSV as the request body with Content-Type: text/csv',
+        });
+      }
+
+      const records = parseCsvRecords(req.body);
+      if (!records.length) {
+        return res
+          .status(400)
+          .json({ ok: false, error: 'CSV has no data rows' });
+      }
+
+      if (records.length > MAX_BULK_ROWS) {
+        return res.status(413).json({
+          ok: false,
+          error: `At most ${MAX_BULK_ROWS} rows per file`,
+        });
+      }
+
+      const report = await importAttendance(records, {
+        dryRun: req.query.dryRun === 'true',
+      });
+      recordAttendanceImport(res, report);
+      await notifyImportedAbsences(report);
+
+      res.json({ ok: true, ...report });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+// Get Attendance for Employee (admins for anyone; managers for their reports)
+async function viewAttendance(req, res) {
+  try {
+    const { employeeId, month, year } = req.body;
+
+    if (!employeeId) {
+      return res.status(400).json({ ok: false, error: 'Employee ID required' });
+    }
+
+    let query = { employee: employeeId };
+
+    if (month && year) {
+      const from = startOfMonth(+year, +month);
+      const to = endOfMonth(+year, +month);
+      query.date = { $gte: from, $lte: to };
+    }
+
+    const attendance = await Attendance.find(query)
+      .sort({ date: -1 })
+      .populate('employee', 'name empId username')
+      .lean();
+
+    const presentDays = attendance.filter(
+      (a) => a.status === 'present'
+    ).length;
+    const absentDays = attendance.filter((a) => a.status === 'absent').length;
+    const leaveDays = attendance.filter((a) => a.status === 'leave').length;
+    const halfDays = attendance.filter((a) => a.status === 'half-day').length;
+    const overtimeMinutes = countOvertimeMinutes(attendance);
+
+    res.json({
+      ok: true,
+      attendance: attendance.map((a) => withLocalDates(a, 'date')),
+      summary: {
+        totalRecords: attendance.length,
+        presentDays,
+        absentDays,
+        leaveDays,
+        halfDays,
+        lateMarks: attendance.filter((a) => a.lateByMinutes > 0).length,
+        overtimeHours: Math.round((overtimeMinutes / 60) * 100) / 100,
+      },
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+}
+
+app.post('/admin/attendance/view', authenticate, requirePermission('attendance:read'), viewAttendance);
+
+//------------------ ATTENDANCE REGULARIZATION (ADMIN) ------------------//
+
+// List Regularization Requests (optionally by status and employee)
+app.post('/admin/attendance/regularizations', authenticate, requirePermission('attendance:read'), async (req, res) => {
+  try {
+    const { status, employeeId } = req.body;
+
+    const query = {};
+    if (status) query.status = status;
+    if (employeeId) query.employee = employeeId;
+
+    const requests = await RegularizationRequest.find(query)
+      .sort({ createdAt: -1 })
+      .populate('employee', 'name empId username')
+      .lean();
+
+    res.json({
+      ok: true,
+      requests: requests.map((r) => withLocalDates(r, 'date')),
+      count: requests.length,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Approve Regularization Request: marks the day as requested, exactly like
+// /admin/attendance/mark
+app.post('/admin/attendance/regularization/approve', authenticate, requirePermission('attendance:write'), audited('regularization.approve'), async (req, res) => {
+  try {
+    const { requestId, comment } = req.body;
+
+    if (!requestId) {
+      return res.status(400).json({ ok: false, error: 'Request ID required' });
+    }
+
+    const request = await RegularizationRequest.findById(requestId);
+    if (!request) {
+      return res
+        .status(404)
+        .json({ ok: false, error: 'Regularization request not found' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        ok: false,
+        error: `Regularization request is already ${request.status}`,
+      });
+    }
+
+    // Claimed atomically, so a second approval at the same time cannot mark
+    // the day (and give back its leave) twice
+    const approved = await RegularizationRequest.findOneAndUpdate(
+      { _id: requestId, status: 'pending' },
+      {
+        status: 'approved',
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        reviewComment: comment,
+      },
+      { new: true }
+    );
+    if (!approved) {
+      return res.status(409).json({
+        ok: false,
+        error: 'Regularization request is no longer pending',
+      });
+    }
+    // Back to pending if the day cannot be marked after all
+    const reopen = () =>
+      RegularizationRequest.updateOne(
+        { _id: approved._id },
+        {
+          status: 'pending',
+          $unset: { reviewedBy: 1, reviewedAt: 1, reviewComment: 1 },
+        }
+      );
+    // Marked as /admin/attendance/mark would: replacing a day of approved
+    // leave gives the day back to the balance
+    let marked;
+    try {
+      marked = await markDay(
+        approved.employee,
+        approved.date,
+        approved.requestedStatus
+      );
+    } catch (e) {
+      await reopen();
+      throw e;
+    }
+    if (marked.error) {
+      await reopen();
+      return res
+        .status(marked.httpStatus)
+        .json({ ok: false, error: marked.error });
+    }
+    recordChange(res, {
+      targetType: 'RegularizationRequest',
+      target: approved,
+      employee: approved.employee,
+      before: request,
+      after: approved,
+    });
+
+    res.json({
+      ok: true,
+      message: 'Regularization request approved; attendance updated',
+      request: withLocalDates(approved, 'date'),
+      attendance: withLocalDates(marked.attendance, 'date'),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Reject Regularization Request
+app.post('/admin/attendance/regularization/reject', authenticate, requirePermission('attendance:write'), audited('regularization.reject'), async (req, res) => {
+  try {
+    const { requestId, comment } = req.body;
+
+    if (!requestId) {
+      return res.status(400).json({ ok: false, error: 'Request ID required' });
+    }
+
+    // Returns the request as it was before rejecting it
+    const before = await RegularizationRequest.findOneAndUpdate(
+      { _id: requestId, status: 'pending' },
+      {
+        status: 'rejected',
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        reviewComment: comment,
+      }
+    );
+
+    if (!before) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Pending regularization request not found',
+      });
+    }
+
+    const request = await RegularizationRequest.findById(requestId);
+    recordChange(res, {
+      targetType: 'RegularizationRequest',
+      target: request,
+      employee: request.employee,
+      before,
+      after: request,
+    });
+
+    res.json({
+      ok: true,
+      message: 'Regularization request rejected',
+      request: withLocalDates(request, 'date'),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+//------------------ LEAVE TYPES (ADMIN) ------------------//
+
+// Create Leave Type
+app.post('/admin/leave-types/create', authenticate, requirePermission('leave-types:write'), audited('leave-type.create'), async (req, res) => {
+  try {
+    const {
+      code,
+      name,
+      annualAccrual,
+      carryForward,
+      maxCarryForward,
+      paid,
+      encashable,
+    } = req.body;
+
+    if (!code || !name || annualAccrual == null) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Code, name and annualAccrual required',
+      });
+    }
+
+    if (await LeaveType.exists({ code: String(code).toUpperCase() })) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Leave type code already exists',
+      });
+    }
+
+    const leaveType = await LeaveType.create({
+      code,
+      name,
+      annualAccrual,
+      carryForward,
+      maxCarryForward,
+      paid,
+      encashable,
+    });
+    recordChange(res, {
+      targetType: 'LeaveType',
+      target: leaveType,
+      after: leaveType,
+    });
+
+    res.json({
+      ok: true,
+      message: 'Leave type created successfully',
+      leaveType,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// List Leave Types
+app.post('/admin/leave-types/list', authenticate, requirePermission('leave:read'), async (req, res) => {
+  try {
+    const leaveTypes = await LeaveType.find().sort({ code: 1 }).lean();
+    res.json({ ok: true, leaveTypes, count: leaveTypes.length });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Update Leave Type (accrual changes apply to balances opened afterwards)
+app.post('/admin/leave-types/update', authenticate, requirePermission('leave-types:write'), audited('leave-type.update'), async (req, res) => {
+  try {
+    const { leaveTypeId } = req.body;
+
+    if (!leaveTypeId) {
+      return res
+        .status(400)
+        .json({ ok: false, error: 'Leave type ID required' });
+    }
+
+    const updateData = {};
+    for (const field of [
+      'name',
+      'annualAccrual',
+      'carryForward',
+      'maxCarryForward',
+      'paid',
+      'encashable',
+      'active',
+    ]) {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    }
+
+    const before = await LeaveType.findById(leaveTypeId).lean();
+    if (!before) {
+      return res.status(404).json({ ok: false, error: 'Leave type not found' });
+    }
+
+    const leaveType = await LeaveType.findByIdAndUpdate(leaveTypeId, updateData, {
+      new: true,
+      runValidators: true,
+    });
+    recordChange(res, {
+      targetType: 'LeaveType',
+      target: leaveType,
+      before,
+      after: leaveType,
+    });
+
+    res.json({
+      ok: true,
+      message: 'Leave type updated successfully',
+      leaveType,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+//------------------ LEAVE APPROVALS (ADMIN) ------------------//
+
+// List Leave Requests (optionally by status and employee)
+app.post('/admin/leave/requests', authenticate, requirePermission('leave:read'), async (req, res) => {
+  try {
+    const { status, employeeId } = req.body;
+
+    const query = {};
+    if (status) query.status = status;
+    if (employeeId) query.employee = employeeId;
+
+    const requests = await LeaveRequest.find(query)
+      .sort({ createdAt: -1 })
+      .populate('employee', 'name empId username')
+      .populate('leaveType', 'code name paid')
+      .lean();
+
+    res.json({
+      ok: true,
+      requests: requests.map((r) => withLocalDates(r, 'from', 'to')),
+      count: requests.length,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Approve Leave Request
+app.post('/admin/leave/approve', authenticate, requirePermission('leave:approve'), audited('leave.approve'), async (req, res) => {
+  try {
+    const { requestId, comment } = req.body;
+
+    if (!requestId) {
+      return res.status(400).json({ ok: false, error: 'Request ID required' });
+    }
+
+    const request = await LeaveRequest.findById(requestId);
+    if (!request) {
+      return res
+        .status(404)
+        .json({ ok: false, error: 'Leave request not found' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        ok: false,
+        error: `Leave request is already ${request.status}`,
+      });
+    }
+
+    const lockedMonths = await findLockedMonths([request.from, request.to]);
+    if (lockedMonths.length) {
+      return res.status(409).json({
+        ok: false,
+        error: `Payroll is finalized for ${lockedMonths.join(', ')}`,
+      });
+    }
+
+    const leaveType = await LeaveType.findById(request.leaveType);
+    if (leaveType.paid) {
+      const balance = await ensureLeaveBalance(
+        request.employee,
+        leaveType,
+        monthOf(request.from).year
+      );
+      if (availableDays(balance) < request.days) {
+        return res.status(400).json({
+          ok: false,
+          error: `Insufficient ${leaveType.code} balance (${availableDays(
+            balance
+          )} day(s) available)`,
+        });
+      }
+    }
+
+    // Claimed atomically, so a second approval at the same time cannot
+    // charge the balance again
+    const approved = await LeaveRequest.findOneAndUpdate(
+      { _id: requestId, status: 'pending' },
+      {
+        status: 'approved',
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        reviewComment: comment,
+      },
+      { new: true }
+    );
+    if (!approved) {
+      return res.status(409).json({
+        ok: false,
+        error: 'Leave request is no longer pending',
+      });
+    }
+    // Back to pending if the leave cannot be applied after all
+    const reopen = () =>
+      LeaveRequest.updateOne(
+        { _id: approved._id },
+        {
+          status: 'pending',
+          $unset: { reviewedBy: 1, reviewedAt: 1, reviewComment: 1 },
+        }
+      );
+    let applied;
+    try {
+      applied = await applyApprovedLeave(approved, leaveType);
+    } catch (e) {
+      await reopen();
+      throw e;
+    }
+    if (!applied) {
+      await reopen();
+      return res.status(400).json({
+        ok: false,
+        error: `Insufficient ${leaveType.code} balance`,
+      });
+    }
+    recordChange(res, {
+      targetType: 'LeaveRequest',
+      target: approved,
+      employee: approved.employee,
+      before: request,
+      after: approved,
+    });
+
+    res.json({
+      ok: true,
+      message: 'Leave request approved',
+      request: withLocalDates(approved, 'from', 'to'),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Reject Leave Request
+app.post('/admin/leave/reject', authenticate, requirePermission('leave:approve'), audited('leave.reject'), async (req, res) => {
+  try {
+    const { requestId, comment } = req.body;
+
+    if (!requestId) {
+      return res.status(400).json({ ok: false, error: 'Request ID required' });
+    }
+
+    // Returns the request as it was before rejecting it
+    const before = await LeaveRequest.findOneAndUpdate(
+      { _id: requestId, status: 'pending' },
+      {
+        status: 'rejected',
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        reviewComment: comment,
+      }
+    );
+
+    if (!before) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Pending leave request not found',
+      });
+    }
+
+    const request = await LeaveRequest.findById(requestId);
+    recordChange(res, {
+      targetType: 'LeaveRequest',
+      target: request,
+      employee: request.employee,
+      before,
+      after: request,
+    });
+
+    res.json({
+      ok: true,
+      message: 'Leave request rejected',
+      request: withLocalDates(request, 'from', 'to'),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// View Leave Balances of an Employee
+app.post('/admin/leave/balances', authenticate, requirePermission('leave:read'), async (req, res) => {
+  try {
+    const { employeeId, year } = req.body;
+
+    if (!employeeId) {
+      return res
+        .status(400)
+        .json({ ok: false, error: 'Employee ID required' });
+    }
+
+    if (!(await Employee.exists({ _id: employeeId }))) {
+      return res.status(404).json({ ok: false, error: 'Employee not found' });
+    }
+
+    const balanceYear = +year || monthOf(new Date()).year;
+    res.json({
+      ok: true,
+      year: balanceYear,
+      balances: await getLeaveBalances(employeeId, balanceYear),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+//------------------ ORGANIZATION CALENDAR (ADMIN) ------------------//
+
+// Get Organization Settings
+app.post('/admin/settings/get', authenticate, requirePermission('settings:read'), async (req, res) => {
+  try {
+    res.json({ ok: true, settings: await getOrganization() });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Copy of a settings group with the given fields overwritten
+function mergeSettings(current, updates, fields) {
+  const merged = { ...current.toObject() };
+  for (const field of fields) {
+    if (updates[field] !== undefined) merged[field] = updates[field];
+  }
+  return merged;
+}
+
+// Update Weekly Offs / Proration Basis / Attendance Policy / Branding /
+// Time Zone / Income Tax / Notifications / Payment File. Changing the time
+// zone saves it first, then moves every stored day so it keeps its calendar
+// date (see applyTimeZoneMove).
+app.post('/admin/settings/update', authenticate, requirePermission('settings:write'), audited('settings.update'), async (req, res) => {
+  try {
+    const {
+      weeklyOffs,
+      prorationBasis,
+      attendancePolicy,
+      branding,
+      timezone,
+      tax,
+      notifications,
+      paymentFile,
+    } = req.body;
+
+    if (
+      weeklyOffs !== undefined &&
+      (!Array.isArray(weeklyOffs) ||
+        weeklyOffs.some((d) => !Number.isInteger(d) || d < 0 || d > 6))
+    ) {
+      return res.status(400).json({
+        ok: false,
+        error: 'weeklyOffs must be an array of weekdays (0 = Sunday ... 6 = Saturday)',
+      });
+    }
+
+    if (prorationBasis !== undefined && !PRORATION_BASES.includes(prorationBasis)) {
+      return res.status(400).json({
+        ok: false,
+        error: `prorationBasis must be one of ${PRORATION_BASES.join(', ')}`,
+      });
+    }
+
+    const policyError =
+      attendancePolicy !== undefined &&
+      validateAttendancePolicy(attendancePolicy);
+    if (policyError) {
+      return res.status(400).json({ ok: false, error: policyError });
+    }
+
+    const brandingError = branding !== undefined && validateBranding(branding);
+    if (brandingError) {
+      return res.status(400).json({ ok: false, error: brandingError });
+    }
+
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'timezone must be an IANA time zone, e.g. Asia/Kolkata',
+      });
+    }
+
+    if (tax !== undefined && (!tax || typeof tax !== 'object')) {
+      return res
+        .status(400)
+        .json({ ok: false, error: 'tax must be an object' });
+    }
+
+    const notificationsError =
+      notifications !== undefined &&
+      validateNotificationSettings(notifications);
+    if (notificationsError) {
+      return res.status(400).json({ ok: false, error: notificationsError });
+    }
+
+    const paymentFileError =
+      paymentFile !== undefined && validatePaymentFileSettings(paymentFile);
+    if (paymentFileError) {
+      return res.status(400).json({ ok: false, error: paymentFileError });
+    }
+
+    const settings = await getOrganization();
+    const before = settings.toObject();
+
+    // Attendance policy and branding fields can be updated one at a time
+    if (attendancePolicy !== undefined) {
+      const merged = mergeSettings(
+        settings.attendancePolicy,
+        attendancePolicy,
+        ATTENDANCE_POLICY_FIELDS
+      );
+      const error = validateAttendancePolicy(merged);
+      if (error) return res.status(400).json({ ok: false, error });
+      settings.attendancePolicy = merged;
+    }
+    if (branding !== undefined) {
+      settings.branding = mergeSettings(
+        settings.branding,
+        branding,
+        BRANDING_FIELDS
+      );
+    }
+    // ...and so can tax settings, down to the fields of each regime
+    if (tax !== undefined) {
+      const merged = mergeSettings(settings.tax, tax, TAX_SETTINGS_FIELDS);
+      for (const regime of TAX_REGIMES) {
+        if (tax[regime] && typeof tax[regime] === 'object') {
+          merged[regime] = mergeSettings(
+            settings.tax[regime],
+            tax[regime],
+            TAX_REGIME_FIELDS
+          );
+        }
+      }
+      const error = validateTaxSettings(merged);
+      if (error) return res.status(400).json({ ok: false, error });
+      settings.tax = merged;
+    }
+    if (notifications !== undefined) {
+      settings.notifications = mergeSettings(
+        settings.notifications,
+        notifications,
+        NOTIFICATION_SETTINGS_FIELDS
+      );
+    }
+    if (paymentFile !== undefined) {
+      settings.paymentFile = mergeSettings(
+        settings.paymentFile,
+        paymentFile,
+        PAYMENT_FILE_SETTINGS_FIELDS
+      );
+    }
+
+    if (weeklyOffs !== undefined) settings.weeklyOffs = [...new Set(weeklyOffs)];
+    if (prorationBasis !== undefined) settings.prorationBasis = prorationBasis;
+    const movingZone =
+      timezone !== undefined && timezone !== settings.timezone;
+    if (movingZone) {
+      if (settings.timezoneMove && settings.timezoneMove.to) {
+        return res.status(409).json({
+          ok: false,
+          error: `Stored days are still being moved to ${settings.timezoneMove.to}; try again once that finishes`,
+        });
+      }
+      settings.timezoneMove = { from: settings.timezone, to: timezone };
+      settings.timezone = timezone;
+    }
+    await settings.save();
+    if (movingZone) {
+      setTimeZone(timezone);
+      try {
+        await applyTimeZoneMove();
+      } catch (e) {
+        return res.status(500).json({
+          ok: false,
+          error: `${timezone} is saved, but moving stored days stopped (${e.message}); it resumes on the next restart`,
+        });
+      }
+      settings.timezoneMove = undefined;
+    }
+    recordChange(res, {
+      targetType: 'Organization',
+      target: settings,
+      before,
+      after: settings,
+    });
+
+    res.json({
+      ok: true,
+      message: 'Settings updated successfully',
+      settings,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Add Holiday
+app.post('/admin/holidays/create', authenticate, requirePermission('holidays:write'), audited('holiday.create'), async (req, res) => {
+  try {
+    const { date, name } = req.body;
+
+    if (!date || !name) {
+      return res
+        .status(400)
+        .json({ ok: false, error: 'Date and name required' });
+    }
+
+    const holidayDate = parseDay(date);
+    if (!holidayDate) {
+      return res
+        .status(400)
+        .json({ ok: false, error: 'Date must be YYYY-MM-DD' });
+    }
+
+    if (await Holiday.exists({ date: holidayDate })) {
+      return res.status(400).json({
+        ok: false,
+        error: 'A holiday already exists on this date',
+      });
+    }
+
+    const holiday = await Holiday.create({ date: holidayDate, name });
+    recordChange(res, { targetType: 'Holiday', target: holiday, after: holiday });
+
+    res.json({
+      ok: true,
+      message: 'Holiday added successfully',
+      holiday: withLocalDates(holiday, 'date'),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// List Holidays (optionally for one year)
+app.post('/admin/holidays/list', authenticate, requirePermission('settings:read'), async (req, res) => {
+  try {
+    const { year } = req.body;
+
+    const query = {};
+    if (year) {
+      query.date = { $gte: startOfMonth(+year, 1), $lte: endOfMonth(+year, 12) };
+    }
+
+    const holidays = await Holiday.find(query).sort({ date: 1 }).lean();
+    res.json({
+      ok: true,
+      holidays: holidays.map((h) => withLocalDates(h, 'date')),
+      count: holidays.length,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Delete Holiday
+app.post('/admin/holidays/delete', authenticate, requirePermission('holidays:write'), audited('holiday.delete'), async (req, res) => {
+  try {
+    const { holidayId } = req.body;
+
+    if (!holidayId) {
+      return res.status(400).json({ ok: false, error: 'Holiday ID required' });
+    }
+
+    const deleted = await Holiday.findByIdAndDelete(holidayId);
+    if (!deleted) {
+      return res.status(404).json({ ok: false, error: 'Holiday not found' });
+    }
+    recordChange(res, {
+      targetType: 'Holiday',
+      target: deleted,
+      before: deleted,
+      after: null,
+    });
+
+    res.json({ ok: true, message: 'Holiday deleted successfully' });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+//------------------ PAYROLL RUNS (ADMIN) ------------------//
+
+// Compute (or recompute) the draft payroll for a month
+app.post('/admin/payroll/run', authenticate, requirePermission('payroll:run'), audited('payroll.run'), async (req, res) => {
+  try {
+    const { month, year } = req.body;
+
+    const periodError = payrollPeriodError(year, month);
+    if (periodError) {
+      return res.status(400).json({ ok: false, error: periodError });
+    }
+
+    const existing = await PayrollRun.findOne({ year: +year, month: +month });
+    if (existing && existing.status !== 'draft') {
+      return res.status(409).json({
+        ok: false,
+        error: `Payroll for ${month}/${year} is already ${existing.status}`,
+      });
+    }
+
+    const run = await runPayroll(+year, +month, req.user);
+    recordChange(res, {
+      targetType: 'PayrollRun',
+      target: run,
+      before: existing,
+      after: run,
+    });
+
+    res.json({
+      ok: true,
+      message: run.failures.length
+        ? `Payroll computed with ${run.failures.length} failure(s)`
+        : 'Payroll computed successfully',
+      payrollRun: run,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Move a payroll run to the next state (draft -> finalized -> paid)
+function transitionPayroll(from, to, stampField, actorField) {
+  return async (req, res) => {
+    try {
+      const { month, year } = req.body;
+
+      const periodError = payrollPeriodError(year, month);
+      if (periodError) {
+        return res.status(400).json({ ok: false, error: periodError });
+      }
+
+      const run = await PayrollRun.findOne({ year: +year, month: +month });
+      if (!run) {
+        return res
+          .status(404)
+          .json({ ok: false, error: 'Payroll run not found' });
+      }
+
+      if (run.status !== from) {
+        return res.status(409).json({
+          ok: false,
+          error: `Payroll is ${run.status}; only a ${from} payroll can be marked ${to}`,
+        });
+      }
+
+      const before = run.toObject();
+      // Finalizing freezes the payslips, so the draft is recomputed first:
+      // attendance, leave, salaries and joiners may have changed since it ran
+      if (to === 'finalized') {
+        const recomputed = await runPayroll(run.year, run.month, req.user);
+        if (recomputed.failures.length) {
+          return res.status(409).json({
+            ok: false,
+            error: 'Resolve the failed payslips and re-run before finalizing',
+            failures: recomputed.failures,
+          });
+        }
+      }
+
+      // Only moves on if nobody else did in the meantime
+      const updated = await PayrollRun.findOneAndUpdate(
+        { _id: run._id, status: from },
+        { status: to, [stampField]: new Date(), [actorField]: req.user._id },
+        { new: true }
+      );
+      if (!updated) {
+        return res.status(409).json({
+          ok: false,
+          error: `Payroll for ${month}/${year} changed; reload and try again`,
+        });
+      }
+      recordChange(res, {
+        targetType: 'PayrollRun',
+        target: updated,
+        before,
+        after: updated,
+      });
+      // Finalized payslips no longer change, so employees can be told
+      if (to === 'finalized') await notifyPayslipsReady(updated);
+
+      res.json({
+        ok: true,
+        message: `Payroll for ${month}/${year} marked ${to}`,
+        payrollRun: updated,
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  };
+}
+
+app.post(
+  '/admin/payroll/finalize',
+  authenticate,
+  requirePermission('payroll:finalize'),
+  audited('payroll.finalize'),
+  transitionPayroll('draft', 'finalized', 'finalizedAt', 'finalizedBy')
+);
+app.post(
+  '/admin/payroll/mark-paid',
+  authenticate,
+  requirePermission('payroll:pay'),
+  audited('payroll.mark-paid'),
+  transitionPayroll('finalized', 'paid', 'paidAt', 'paidBy')
+);
+
+// List Payroll Runs (optionally for one year)
+app.post('/admin/payroll/list', authenticate, requirePermission('payroll:read'), async (req, res) => {
+  try {
+    const { year } = req.body;
+
+    const query = {};
+    if (year) query.year = +year;
+
+    const payrollRuns = await PayrollRun.find(query)
+      .sort({ year: -1, month: -1 })
+      .lean();
+
+    res.json({ ok: true, payrollRuns, count: payrollRuns.length });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Get one Payroll Run with a summary line per payslip
+app.post('/admin/payroll/get', authenticate, requirePermission('payroll:read'), async (req, res) => {
+  try {
+    const { month, year } = req.body;
+
+    const periodError = payrollPeriodError(year, month);
+    if (periodError) {
+      return res.status(400).json({ ok: false, error: periodError });
+    }
+
+    const payrollRun = await PayrollRun.findOne({
+      year: +year,
+      month: +month,
+    }).lean();
+    if (!payrollRun) {
+      return res
+        .status(404)
+        .json({ ok: false, error: 'Payroll run not found' });
+    }
+
+    const payslips = await Payslip.find({ payrollRun: payrollRun._id })
+      .select('employee grossEarnings totalDeductions netPay updatedAt')
+      .populate('employee', 'name empId username')
+      .lean();
+
+    res.json({ ok: true, payrollRun, payslips });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Bulk Payment File: the bank's instructions to pay each employee's net pay
+// of a finalized or paid payroll, with the control total. Returns a preview
+// with masked account numbers and the employees left out, or the file itself
+// with `download: true`.
+app.post('/admin/payroll/payment-file', authenticate, requirePermission('payroll:pay'), audited('payroll.payment-file'), async (req, res) => {
+  try {
+    const { month, year, download } = req.body;
+
+    const periodError = payrollPeriodError(year, month);
+    if (periodError) {
+      return res.status(400).json({ ok: false, error: periodError });
+    }
+
+    const organization = await getOrganization();
+    const { format = organization.paymentFile.format } = req.body;
+    if (!PAYMENT_FILE_FORMATS.includes(format)) {
+      return res.status(400).json({
+        ok: false,
+        error: `format must be one of ${PAYMENT_FILE_FORMATS.join(', ')}`,
+      });
+    }
+    if (format === 'neft' && !organization.paymentFile.debitAccountNumber) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Set paymentFile.debitAccountNumber in the settings first',
+      });
+    }
+
+    const run = await PayrollRun.findOne({ year: +year, month: +month });
+    if (!run) {
+      return res
+        .status(404)
+        .json({ ok: false, error: 'Payroll run not found' });
+    }
+    // A draft can still change, so only a finalized payroll is paid out
+    if (!LOCKED_PAYROLL_STATUSES.includes(run.status)) {
+      return res.status(409).json({
+        ok: false,
+        error: 'Finalize the payroll before generating the payment file',
+      });
+    }
+
+    const file = await buildPaymentFile(run, format, organization);
+    recordChange(res, {
+      targetType: 'PayrollRun',
+      target: run,
+      details: {
+        year: run.year,
+        month: run.month,
+        format,
+        download: Boolean(download),
+        control: file.control,
+        excluded: file.excluded.map((e) => e.empId),
+      },
+    });
+
+    if (download) {
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename=${file.filename}`
+      );
+      return res.send(file.content);
+    }
+
+    res.json({
+      ok: true,
+      payrollRun: { year: run.year, month: run.month, status: run.status },
+      format,
+      filename: file.filename,
+      control: file.control,
+      payments: file.payments.map(({ accountNumber, ...payment }) => payment),
+      excluded: file.excluded,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+//------------------ REPORTS (ADMIN) ------------------//
+
+// Send a report table as JSON, or as a CSV / XLSX download
+async function sendReport(res, table, format) {
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename=${table.name}.csv`
+    );
+    return res.send(`\uFEFF${tableToCsv(table)}`);
+  }
+  if (format === 'xlsx') {
+    res.setHeader(
+      'Content-Type',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename=${table.name}.xlsx`
+    );
+    return res.send(Buffer.from(await tableToXlsx(table)));
+  }
+  res.json({ ok: true, report: table });
+}
+
+function reportRequestError({ month, year, format = 'json' }) {
+  if (!month || !year) return 'Month and year required';
+  if (!REPORT_FORMATS.includes(format)) {
+    return `format must be one of ${REPORT_FORMATS.join(', ')}`;
+  }
+  return null;
+}
+
+// Payroll Register: one row per payslip of the month's payroll run
+app.post(
+  '/admin/reports/payroll-register',
+  authenticate,
+  requirePermission('reports:read'),
+  async (req, res) => {
+    try {
+      const error = reportRequestError(req.body);
+      if (error) return res.status(400).json({ ok: false, error });
+
+      const { month, year, format = 'json' } = req.body;
+      const table = await payrollRegister(+year, +month);
+      if (!table) {
+        return res.status(404).json({
+          ok: false,
+          error: 'No payroll has been run for this month',
+        });
+      }
+
+      await sendReport(res, table, format);
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+// Attendance Matrix: employees x days of the month
+app.post(
+  '/admin/reports/attendance-matrix',
+  authenticate,
+  requirePermission('reports:read'),
+  async (req, res) => {
+    try {
+      const error = reportRequestError(req.body);
+      if (error) return res.status(400).json({ ok: false, error });
+
+      const { month, year, format = 'json' } = req.body;
+      await sendReport(res, await attendanceMatrix(+year, +month), format);
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+//------------------ PAYSLIP GENERATION (ADMIN) ------------------//
+
+// Generate Payslip
+app.post(
+  '/admin/payslip/generate',
+  authenticate,
+  requirePermission('payslips:read'),
+  async (req, res) => {
+    try {
+      const { employeeId, month, year } = req.body;
+
+      if (!employeeId || !month || !year) {
+        return res.status(400).json({
+          ok: false,
+          error: 'Employee ID, month, and year required',
+        });
+      }
+
+      const payslip = await getPayslip(employeeId, +year, +month);
+
+      res.json({
+        ok: true,
+        payslip,
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
+//------------------ PAYSLIP PDF (PROFESSIONAL FORMAT) ------------------//
+app.post('/admin/payslip/pdf', authenticate, requirePermission('payslips:read'), async (req, res) => {
+  try {
+    const { employeeId, month, year } = req.body;
+    if (!employeeId || !month || !year)
+      return res.status(400).json({ ok: false, error: 'Employee ID, month, and year required' });
+
+    const payslip = await getPayslip(employeeId, +year, +month);
+    const { branding } = await getOrganization();
+    const doc = createPdfDocument();
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename=payslip_${payslip.employee.empId}_${year}_${month}.pdf`
+    );
+    doc.pipe(res);
+    drawPayslip(doc, payslip, branding);
+    doc.end();
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Bulk Payslip Export: one merged PDF, or a ZIP of one PDF per employee.
+// Body: { month, year, format: "pdf" | "zip", employeeIds?, empIds? }
+app.post('/admin/payslip/export', authenticate, requirePermission('payslips:export'), async (req, res) => {
+  try {
+    const { month, year, employeeIds, empIds, format = 'pdf' } = req.body;
+
+    if (!month || !year) {
+      return res
+        .status(400)
+        .json({ ok: false, error: 'Month and year required' });
+    }
+
+    if (!PAYSLIP_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        ok: false,
+        error: `format must be one of ${PAYSLIP_EXPORT_FORMATS.join(', ')}`,
+      });
+    }
+
+    if (
+      (employeeIds !== undefined && !Array.isArray(employeeIds)) ||
+      (empIds !== undefined && !Array.isArray(empIds))
+    ) {
+      return res.status(400).json({
+        ok: false,
+        error: 'employeeIds and empIds must be arrays',
+      });
+    }
+
+    const result = await collectPayslips(+year, +month, { employeeIds, empIds });
+    const { branding } = await getOrganization();
+
+    res.setHeader(
+      'Content-Type',
+      format === 'zip' ? 'application/zip' : 'application/pdf'
+    );
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename=payslips_${year}_${month}.${format}`
+    );
+    res.setHeader('X-Payslips-Generated', result.payslips.length);
+    res.setHeader('X-Payslips-Skipped', result.skipped.length);
+
+    if (format === 'zip') {
+      await writeZip(res, result, branding);
+    } else {
+      writeMergedPdf(res, result, branding);
+    }
+  } catch (e) {
+    // Once streaming has started the only option is to abort the download
+    if (res.headersSent) return res.destroy(e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+//------------------ INCOME TAX (ADMIN) ------------------//
+
+// financialYear of a request (the year it starts in), by default the current
+// one; null if invalid
+function requestedFinancialYear(body) {
+  if (body.financialYear == null) return currentFinancialYear();
+  const year = +body.financialYear;
+  return Number.isInteger(year) && year >= 1970 ? year : null;
+}
+
+const FINANCIAL_YEAR_ERROR =
+  'financialYear must be the year the financial year starts in, e.g. 2025';
+
+// A declaration with the deductions each regime allows
+async function taxDeclarationDetails(employeeId, financialYear) {
+  const { tax } = await getOrganization();
+  const declaration = await getDeclaration(employeeId, financialYear);
+  return {
+    financialYear: financialYearLabel(financialYear),
+    regime: declaration.regime || tax.defaultRegime,
+    declaration,
+    allowedDeductions: Object.fromEntries(
+      TAX_REGIMES.map((regime) => [regime, tax[regime].deductions])
+    ),
+  };
+}
+
+// View an Employee's Tax Regime and Declarations
+app.post('/admin/tax/declaration/get', authenticate, requirePermission('payslips:read'), async (req, res) => {
+  try {
+    const { employeeId } = req.body;
+    const financialYear = requestedFinancialYear(req.body);
+
+    if (!employeeId) {
+      return res.status(400).json({ ok: false, error: 'Employee ID required' });
+    }
+    if (!financialYear) {
+      return res.status(400).json({ ok: false, error: FINANCIAL_YEAR_ERROR });
+    }
+    if (!(await Employee.exists({ _id: employeeId, role: 'employee' }))) {
+      return res.status(404).json({ ok: false, error: 'Employee not found' });
+    }
+
+    res.json({
+      ok: true,
+      ...(await taxDeclarationDetails(employeeId, financialYear)),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Update an Employee's Tax Regime and Declarations (regime null = default)
+app.post('/admin/tax/declaration/update', authenticate, requirePermission('salary:write'), audited('tax.declaration'), async (req, res) => {
+  try {
+    const { employeeId } = req.body;
+    const financialYear = requestedFinancialYear(req.body);
+
+    if (!employeeId) {
+      return res.status(400).json({ ok: false, error: 'Employee ID required' });
+    }
+    if (!financialYear) {
+      return res.status(400).json({ ok: false, error: FINANCIAL_YEAR_ERROR });
+    }
+    const { tax } = await getOrganization();
+    const error = validateDeclaration(req.body, tax);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    if (!(await Employee.exists({ _id: employeeId, role: 'employee' }))) {
+      return res.status(404).json({ ok: false, error: 'Employee not found' });
+    }
+
+    const before = await TaxDeclaration.findOne({
+      employee: employeeId,
+      financialYear,
+    }).lean();
+    const declaration = await saveDeclaration(
+      employeeId,
+      financialYear,
+      req.body
+    );
+    recordChange(res, {
+      targetType: 'TaxDeclaration',
+      target: declaration,
+      employee: employeeId,
+      before,
+      after: declaration,
+    });
+
+    res.json({
+      ok: true,
+      message: 'Tax declaration saved; draft payrolls pick it up when re-run',
+      ...(await taxDeclarationDetails(employeeId, financialYear)),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Annual Tax Computation Statement of an Employee
+app.post('/admin/tax/statement', authenticate, requirePermission('payslips:read'), async (req, res) => {
+  try {
+    const { employeeId } = req.body;
+    const financialYear = requestedFinancialYear(req.body);
+
+    if (!employeeId) {
+      return res.status(400).json({ ok: false, error: 'Employee ID required' });
+    }
+    if (!financialYear) {
+      return res.status(400).json({ ok: false, error: FINANCIAL_YEAR_ERROR });
+    }
+    if (!(await Employee.exists({ _id: employeeId, role: 'employee' }))) {
+      return res.status(404).json({ ok: false, error: 'Employee not found' });
+    }
+
+    res.json({
+      ok: true,
+      statement: await getTaxStatement(employeeId, financialYear),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+//------------------ ANNUAL STATEMENT (ADMIN) ------------------//
+
+// { basis, year, format } of a statement request with defaults applied:
+// the current financial year as JSON
+function annualStatementRequest(body) {
+  const { basis = 'financial', format = 'json' } = body;
+  if (!STATEMENT_BASES.includes(basis)) {
+    return { error: `basis must be one of ${STATEMENT_BASES.join(', ')}` };
+  }
+  if (!STATEMENT_FORMATS.includes(format)) {
+    return { error: `format must be one of ${STATEMENT_FORMATS.join(', ')}` };
+  }
+  const year = body.year == null ? currentPeriod(basis) : +body.year;
+  if (!Number.isInteger(year) || year < 1970) {
+    return {
+      error:
+        basis === 'financial'
+          ? 'year must be the year the financial year starts in, e.g. 2025'
+          : 'year must be a calendar year, e.g. 2025',
+    };
+  }
+  return { basis, year, format };
+}
+
+async function sendAnnualStatement(res, employeeId, { basis, year, format }) {
+  const statement = await getAnnualStatement(employeeId, basis, year);
+  if (format === 'json') return res.json({ ok: true, statement });
+
+  const { branding } = await getOrganization();
+  const doc = createPdfDocument();
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename=annual_statement_${statement.employee.empId}_` +
+      `${statement.period}.pdf`
+  );
+  doc.pipe(res);
+  drawAnnualStatement(doc, statement, branding);
+  doc.end();
+}
+
+// Annual Salary Statement of an Employee (JSON or PDF)
+app.post(
+  '/admin/statement/annual',
+  authenticate,
+  requirePermission('payslips:read'),
+  async (req, res) => {
+    try {
+      const { employeeId } = req.body;
+      if (!employeeId) {
+        return res
+          .status(400)
+          .json({ ok: false, error: 'Employee ID required' });
+      }
+      const request = annualStatementRequest(req.body);
+      if (request.error) {
+        return res.status(400).json({ ok: false, error: request.error });
+      }
+      if (!(await Employee.exists({ _id: employeeId, role: 'employee' }))) {
+        return res.status(404).json({ ok: false, error: 'Employee not found' });
+      }
+
+      await sendAnnualStatement(res, employeeId, request);
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+//------------------ NOTIFICATIONS (ADMIN) ------------------//
+
+// List the Notification Outbox by status, event and employee
+app.post('/admin/notifications/list', authenticate, requirePermission('settings:read'), async (req, res) => {
+  try {
+    const { status, event, employeeId } = req.body;
+    const page = Math.max(+req.body.page || 1, 1);
+    const limit = Math.min(Math.max(+req.body.limit || 50, 1), 200);
+
+    if (status && !NOTIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        ok: false,
+        error: `status must be one of ${NOTIFICATION_STATUSES.join(', ')}`,
+      });
+    }
+    if (event && !NOTIFICATION_EVENTS.includes(event)) {
+      return res.status(400).json({
+        ok: false,
+        error: `event must be one of ${NOTIFICATION_EVENTS.join(', ')}`,
+      });
+    }
+    if (employeeId && !mongoose.isValidObjectId(employeeId)) {
+      return res.status(400).json({ ok: false, error: 'Invalid employeeId' });
+    }
+
+    const query = {};
+    if (status) query.status = status;
+    if (event) query.event = event;
+    if (employeeId) query.employee = employeeId;
+
+    const result = await listNotifications(query, { page, limit });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Message Templates: the built-in ones and the organization's replacements
+app.post('/admin/notifications/templates', authenticate, requirePermission('settings:read'), async (req, res) => {
+  try {
+    const { notifications } = await getOrganization();
+    res.json({
+      ok: true,
+      events: NOTIFICATION_EVENTS,
+      defaultTemplates: DEFAULT_TEMPLATES,
+      templates: notifications.templates,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Retry a Failed Notification from its first attempt
+app.post('/admin/notifications/retry', authenticate, requirePermission('settings:write'), audited('notification.retry'), async (req, res) => {
+  try {
+    const { notificationId } = req.body;
+
+    if (!notificationId) {
+      return res
+        .status(400)
+        .json({ ok: false, error: 'Notification ID required' });
+    }
+
+    const failed = await Notification.findOne({
+      _id: notificationId,
+      status: 'failed',
+    }).lean();
+    if (!failed) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Failed notification not found',
+      });
+    }
+    if (hasSecrets(failed)) {
+      return res.status(409).json({
+        ok: false,
+        error: `A failed ${failed.event} message cannot be sent again; reset the employee's password instead`,
+      });
+    }
+
+    const notification = await retryNotification(notificationId);
+    if (!notification) {
+      return res.status(409).json({
+        ok: false,
+        error: 'Notification was retried meanwhile',
+      });
+    }
+    recordChange(res, {
+      targetType: 'Notification',
+      target: notification,
+      employee: notification.employee,
+      details: { event: notification.event, to: notification.to },
+    });
+
+    res.json({
+      ok: true,
+      message: 'Notification queued for delivery',
+      notification: {
+        _id: notification._id,
+        event: notification.event,
+        to: notification.to,
+        status: notification.status,
+      },
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+//------------------ AUDIT LOG (ADMIN) ------------------//
+
+// Query the Audit Log by actor, employee, action, target type and date range
+app.post('/admin/audit/logs', authenticate, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { actorId, employeeId, action, targetType, from, to } = req.body;
+    const page = Math.max(+req.body.page || 1, 1);
+    const limit = Math.min(Math.max(+req.body.limit || 50, 1), 200);
+
+    for (const [field, id] of [
+      ['actorId', actorId],
+      ['employeeId', employeeId],
+    ]) {
+      if (id && !mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ ok: false, error: `Invalid ${field}` });
+      }
+    }
+
+    const query = {};
+    if (actorId) query.actor = actorId;
+    if (employeeId) query.employee = employeeId;
+    if (action) query.action = Array.isArray(action) ? { $in: action } : action;
+    if (targetType) query.targetType = targetType;
+    if (from || to) {
+      const fromDay = parseDay(from);
+      const toDay = parseDay(to);
+      if ((from && !fromDay) || (to && !toDay)) {
+        return res.status(400).json({ ok: false, error: 'Invalid date range' });
+      }
+      query.createdAt = {};
+      if (fromDay) query.createdAt.$gte = fromDay;
+      if (toDay) query.createdAt.$lte = endOfDay(toDay);
+    }
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('employee', 'name empId')
+        .lean(),
+      AuditLog.countDocuments(query),
+    ]);
+
+    res.json({ ok: true, logs, total, page, limit });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+//------------------ EMPLOYEE LOGIN ------------------//
+app.post('/employee/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Username and password required',
+      });
+    }
+
+    const employee = await findByCredentials(username, password, 'employee');
+
+    if (!employee) {
+      return res.status(401).json({
+        ok: false,
+        error: 'Invalid employee credentials',
+      });
+    }
+
+    const tokens = await issueTokens(employee, req);
+    setAuthCookies(res, tokens);
+
+    res.json({
+      ok: true,
+      message: 'Employee login successful',
+      user: withoutPassword(employee),
+      mustChangePassword: employee.mustChangePassword,
+      ...tokens,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+//------------------ SESSIONS (REFRESH / LOGOUT) ------------------//
+
+// Exchange a refresh token for a new token pair (the refresh token is rotated)
+app.post('/auth/refresh', async (req, res) => {
+  try {
+    const refreshToken = req.body.refreshToken || req.cookies.refreshToken;
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        ok: false,
+        error: 'Refresh token required',
+      });
+    }
+
+    const session = await Session.findOne({
+      refreshTokenHash: hashRefreshToken(refreshToken),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+    const user =
+      session &&
+      (await Employee.findOne({
+        _id: session.employee,
+        status: { $ne: 'exited' },
+      }));
+
+    if (!user) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        ok: false,
+        error: 'Invalid or expired refresh token',
+      });
+    }
+
+    const tokens = await issueTokens(user, req, session);
+    setAuthCookies(res, tokens);
+
+    res.json({
+      ok: true,
+      message: 'Token refreshed',
+      ...tokens,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Revoke the current session
+app.post('/auth/logout', authenticate, async (req, res) => {
+  try {
+    req.authSession.revokedAt = new Date();
+    await req.authSession.save();
+    clearAuthCookies(res);
+
+    res.json({ ok: true, message: 'Logged out successfully' });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Revoke every session of the current user (all devices)
+app.post('/auth/logout-all', authenticate, async (req, res) => {
+  try {
+    const result = await Session.updateMany(
+      { employee: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    clearAuthCookies(res);
+
+    res.json({
+      ok: true,
+      message: 'All sessions revoked',
+      revokedSessions: result.modifiedCount,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+//------------------ CHANGE PASSWORD ------------------//
+async function changePassword(req, res) {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        ok: false,
+        error: 'currentPassword and newPassword required',
+      });
+    }
+
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ ok: false, error: passwordError });
+    }
+
+    if (!(await verifyPassword(currentPassword, req.user.password))) {
+      return res.status(401).json({
+        ok: false,
+        error: 'Current password is incorrect',
+      });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        ok: false,
+        error: 'New password must be different from the current password',
+      });
+    }
+
+    req.user.password = await hashPassword(newPassword);
+    req.user.mustChangePassword = false;
+    req.user.passwordChangedAt = new Date();
+    await req.user.save();
+
+    // Keep the current session, sign out every other device
+    await Session.updateMany(
+      {
+        employee: req.user._id,
+        _id: { $ne: req.authSession._id },
+        revokedAt: null,
+      },
+      { revokedAt: new Date() }
+    );
+
+    res.json({ ok: true, message: 'Password changed successfully' });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+}
+
+app.post('/employee/password/change', authenticate, employeeOnly, changePassword);
+app.post('/admin/password/change', authenticate, adminOnly, audited('admin.password-change'), changePassword);
+
+//------------------ EMPLOYEE SELF-SERVICE ------------------//
+
+// Get Own Information
+app.post('/employee/me', authenticate, employeeOnly, async (req, res) => {
+  try {
+    const employee = await Employee.findById(req.user._id)
+      .select('-password')
+      .lean();
+
+    res.json({
+      ok: true,
+      employee,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// View Own Attendance
+app.post(
+  '/employee/attendance',
+  authenticate,
+  employeeOnly,
+  async (req, res) => {
+    try {
+      const { month, year } = req.body;
+
+      let query = { employee: req.user._id };
+
+      if (month && year) {
+        const from = startOfMonth(+year, +month);
+        const to = endOfMonth(+year, +month);
+        query.date = { $gte: from, $lte: to };
+      }
+
+      const attendance = await Attendance.find(query).sort({ date: -1 }).lean();
+
+      const presentDays = attendance.filter(
+        (a) => a.status === 'present'
+      ).length;
+      const absentDays = attendance.filter((a) => a.status === 'absent').length;
+      const leaveDays = attendance.filter((a) => a.status === 'leave').length;
+      const halfDays = attendance.filter((a) => a.status === 'half-day').length;
+      const overtimeMinutes = countOvertimeMinutes(attendance);
+
+      res.json({
+        ok: true,
+        attendance: attendance.map((a) => withLocalDates(a, 'date')),
+        summary: {
+          totalRecords: attendance.length,
+          presentDays,
+          absentDays,
+          leaveDays,
+          halfDays,
+          lateMarks: attendance.filter((a) => a.lateByMinutes > 0).length,
+          overtimeHours: Math.round((overtimeMinutes / 60) * 100) / 100,
+        },
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+// View Own Payslip
+app.post('/employee/payslip', authenticate, employeeOnly, async (req, res) => {
+  try {
+    const { month, year } = req.body;
+
+    if (!month || !year) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Month and year required',
+      });
+    }
+
+    const payslip = await getPayslip(req.user._id, +year, +month);
+
+    res.json({
+      ok: true,
+      payslip,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+//------------------ EMPLOYEE PAYSLIP PDF (PROFESSIONAL FORMAT) ------------------//
+app.post('/employee/payslip/pdf', authenticate, employeeOnly, async (req, res) => {
+  try {
+    const { month, year } = req.body;
+    if (!month || !year)
+      return res.status(400).json({ ok: false, error: 'Month and year required' });
+
+    const payslip = await getPayslip(req.user._id, +year, +month);
+    const { branding } = await getOrganization();
+    const doc = createPdfDocument();
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename=my_payslip_${year}_${month}.pdf`
+    );
+    doc.pipe(res);
+    drawPayslip(doc, payslip, branding);
+    doc.end();
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+
+//------------------ TEAM ATTENDANCE (MANAGERS) ------------------//
+// Employees with reports can view and mark attendance for everyone below
+// them in the reporting tree
+
+// My Team: reporting tree below the signed-in employee
+app.post('/employee/team', authenticate, employeeOnly, async (req, res) => {
+  try {
+    const [me] = await getOrgChart(req.user._id);
+    const reportIds = await getReportIds(req.user._id);
+
+    res.json({ ok: true, team: me.reports, count: reportIds.length });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post(
+  '/employee/team/attendance/view',
+  authenticate,
+  employeeOnly,
+  reportsOnly,
+  viewAttendance
+);
+app.post(
+  '/employee/team/attendance/mark',
+  authenticate,
+  employeeOnly,
+  reportsOnly,
+  audited('attendance.mark'),
+  markAttendance
+);
+
+//------------------ EMPLOYEE CHECK-IN / CHECK-OUT ------------------//
+
+// Today's attendance record of the logged-in employee, if any
+function findTodaysAttendance(employeeId, now) {
+  return Attendance.findOne({
+    employee: employeeId,
+    date: { $gte: startOfDay(now), $lte: endOfDay(now) },
+  });
+}
+
+// Check In: starts today's record as present, flagging a late arrival
+app.post('/employee/checkin', authenticate, employeeOnly, async (req, res) => {
+  try {
+    const now = new Date();
+    const { year, month } = monthOf(now);
+
+    if (await isPayrollLocked(year, month)) {
+      return res.status(409).json({
+        ok: false,
+        error: 'Payroll for this month is finalized; attendance is locked',
+      });
+    }
+
+    const existing = await findTodaysAttendance(req.user._id, now);
+    if (existing && existing.leaveRequest) {
+      return res
+        .status(409)
+        .json({ ok: false, error: 'You are on approved leave today' });
+    }
+    if (existing && existing.checkIn) {
+      return res
+        .status(409)
+        .json({ ok: false, error: 'Already checked in today' });
+    }
+
+    const { attendancePolicy } = await getOrganization();
+    const attendance = await Attendance.findOneAndUpdate(
+      {
+        employee: req.user._id,
+        date: { $gte: startOfDay(now), $lte: endOfDay(now) },
+      },
+      {
+        $set: {
+          employee: req.user._id,
+          date: startOfDay(now),
+          status: 'present',
+          checkIn: now,
+          lateByMinutes: lateByMinutes(now, attendancePolicy),
+        },
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      ok: true,
+      message: attendance.lateByMinutes
+        ? `Checked in ${attendance.lateByMinutes} minutes late`
+        : 'Checked in successfully',
+      attendance: withLocalDates(attendance, 'date'),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Check Out: records worked hours, early exit, overtime and half-day status
+app.post('/employee/checkout', authenticate, employeeOnly, async (req, res) => {
+  try {
+    const now = new Date();
+    const { year, month } = monthOf(now);
+
+    if (await isPayrollLocked(year, month)) {
+      return res.status(409).json({
+        ok: false,
+        error: 'Payroll for this month is finalized; attendance is locked',
+      });
+    }
+
+    const attendance = await findTodaysAttendance(req.user._id, now);
+    if (!attendance || !attendance.checkIn) {
+      return res
+        .status(400)
+        .json({ ok: false, error: 'You have not checked in today' });
+    }
+    if (attendance.checkOut) {
+      return res
+        .status(409)
+        .json({ ok: false, error: 'Already checked out today' });
+    }
+
+    const { attendancePolicy } = await getOrganization();
+    attendance.checkOut = now;
+    Object.assign(
+      attendance,
+      summarizeWorkday(attendance.checkIn, now, attendancePolicy)
+    );
+    await attendance.save();
+
+    res.json({
+      ok: true,
+      message: 'Checked out successfully',
+      attendance: withLocalDates(attendance, 'date'),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
 
-// Get Attendance for Employee (Admin can view any employee)
-app.post(
-  '/admin/attendance/view',
-  authenticate,
-  adminOnly,
-  async (req, res) => {
-    try {
-      const { employeeId, month, year } = req.body;
+//------------------ EMPLOYEE LEAVE ------------------//
 
-      if (!employeeId) {
-        return res
-          .status(400)
-          .json({ ok: false, error: 'Employee ID required' });
-      }
+// Apply for Leave
+app.post('/employee/leave/apply', authenticate, employeeOnly, async (req, res) => {
+  try {
+    const { leaveType: code, from, to, reason } = req.body;
 
-      let query = { employee: employeeId };
+    if (!code || !from) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Leave type and from date required',
+      });
+    }
 
-      if (month && year) {
-        const from = startOfMonth(+year, +month);
-        const to = endOfMonth(+year, +month);
-        query.date = { $gte: from, $lte: to };
-      }
+    const leaveType = await LeaveType.findOne({
+      code: String(code).toUpperCase(),
+      active: true,
+    });
+    if (!leaveType) {
+      return res.status(404).json({ ok: false, error: 'Leave type not found' });
+    }
 
-      const attendance = await Attendance.find(query)
-        .sort({ date: -1 })
-        .populate('employee', 'name empId username')
-        .lean();
+    const fromDate = parseDay(from);
+    const toDate = parseDay(to || from);
+    if (!fromDate || !toDate || toDate < fromDate) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Invalid date range; use YYYY-MM-DD dates',
+      });
+    }
 
-      const presentDays = attendance.filter(
-        (a) => a.status === 'present'
-      ).length;
-      const absentDays = attendance.filter((a) => a.status === 'absent').length;
+    const year = monthOf(fromDate).year;
+    if (year !== monthOf(toDate).year) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Leave cannot span two calendar years; apply separately',
+      });
+    }
 
-      res.json({
-        ok: true,
-        attendance,
-        summary: {
-          totalRecords: attendance.length,
-          presentDays,
-          absentDays,
-        },
+    const lockedMonths = await findLockedMonths([fromDate, toDate]);
+    if (lockedMonths.length) {
+      return res.status(409).json({
+        ok: false,
+        error: `Payroll is finalized for ${lockedMonths.join(', ')}`,
       });
-    } catch (e) {
-      res.status(500).json({ ok: false, error: e.message });
     }
-  }
-);
 
-//------------------ PAYSLIP GENERATION (ADMIN) ------------------//
+    if (await findOverlappingLeave(req.user._id, fromDate, toDate)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Leave already requested for some of these dates',
+      });
+    }
 
-// Generate Payslip
-app.post(
-  '/admin/payslip/generate',
-  authenticate,
-  adminOnly,
-  async (req, res) => {
-    try {
-      const { employeeId, month, year } = req.body;
+    const days = (await leaveDates(fromDate, toDate)).length;
+    if (!days) {
+      return res.status(400).json({
+        ok: false,
+        error: 'No working days in the selected range',
+      });
+    }
 
-      if (!employeeId || !month || !year) {
+    // Pending requests reserve balance until they are decided
+    if (leaveType.paid) {
+      const balance = await ensureLeaveBalance(req.user._id, leaveType, year);
+      const available =
+        availableDays(balance) -
+        (await pendingLeaveDays(req.user._id, leaveType._id, year));
+
+      if (available < days) {
         return res.status(400).json({
           ok: false,
-          error: 'Employee ID, month, and year required',
+          error: `Insufficient ${leaveType.code} balance (${available} day(s) available)`,
         });
       }
+    }
 
-      const payslip = await calculateSalary(employeeId, +year, +month);
+    const request = await LeaveRequest.create({
+      employee: req.user._id,
+      leaveType: leaveType._id,
+      from: fromDate,
+      to: toDate,
+      days,
+      reason,
+    });
 
-      res.json({
-        ok: true,
-        payslip,
-      });
-    } catch (e) {
-      res.status(500).json({ ok: false, error: e.message });
-    }
+    res.json({
+      ok: true,
+      message: 'Leave request submitted',
+      request: withLocalDates(request, 'from', 'to'),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
   }
-);
-//------------------ PAYSLIP PDF (PROFESSIONAL FORMAT) ------------------//
-app.post('/admin/payslip/pdf', authenticate, adminOnly, async (req, res) => {
-  try {
-    const { employeeId, month, year } = req.body;
-    if (!employeeId || !month || !year)
-      return res.status(400).json({ ok: false, error: 'Employee ID, month, and year required' });
+});
 
-    const payslip = await calculateSalary(employeeId, +year, +month);
-    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+// View Own Leave Requests
+app.post('/employee/leave/requests', authenticate, employeeOnly, async (req, res) => {
+  try {
+    const { status } = req.body;
 
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader(
-      'Content-Disposition',
-      `attachment; filename=payslip_${payslip.employee.empId}_${year}_${month}.pdf`
-    );
-    doc.pipe(res);
+    const query = { employee: req.user._id };
+    if (status) query.status = status;
 
-    // Header Box
-    doc
-      .rect(50, 50, 500, 50)
-      .fill('#0A3D62')
-      .stroke()
-      .fillColor('#FFFFFF')
-      .fontSize(20)
-      .text('SALARY SLIP', 0, 65, { align: 'center' })
-      .fillColor('#000000');
-
-    // Company + Month Info
-    doc.moveDown(2);
-    doc.fontSize(11).text(`Payroll Month: ${month}/${year}`, { align: 'right' });
-    doc.moveDown(1);
-
-    // Employee Information
-    doc
-      .fontSize(13)
-      .text('Employee Details', { underline: true })
-      .moveDown(0.8)
-      .fontSize(11);
-    const emp = payslip.employee;
-    doc.text(`Employee Name: ${emp.name}`);
-    doc.text(`Employee ID: ${emp.empId}`);
-    doc.text(`Username: ${emp.username}`);
-    doc.text(`Designation: ${emp.role === 'admin' ? 'Administrator' : 'Employee'}`);
-    doc.moveDown(1.5);
-
-    // Salary Table
-    const tableTop = doc.y;
-    const startX = 60;
-    const column1Width = 250;
-    const column2Width = 200;
-
-    // Table header
-    doc
-      .fontSize(12)
-      .fillColor('#0A3D62')
-      .text('Earnings', startX, tableTop, { bold: true })
-      .text('Amount (Rs.)', startX + column1Width, tableTop)
-      .moveDown(0.8)
-      .fillColor('#000000');
-
-    // Divider line
-    doc.moveTo(startX, tableTop + 15).lineTo(startX + 400, tableTop + 15).stroke();
-
-    // Salary details
-    let y = tableTop + 25;
-    const details = [
-      ['Base Monthly Salary', payslip.baseSalary],
-      ['Per Day Salary', payslip.perDaySalary],
-      ['Total Days in Month', payslip.totalDaysInMonth],
-      ['Present Days', payslip.presentDays],
-      ['Calculated Net Salary', payslip.calculatedSalary]
-    ];
+    const requests = await LeaveRequest.find(query)
+      .sort({ from: -1 })
+      .populate('leaveType', 'code name paid')
+      .lean();
 
-    details.forEach(([label, value]) => {
-      doc.text(label, startX, y).text(value.toString(), startX + column1Width, y);
-      y += 20;
+    res.json({
+      ok: true,
+      requests: requests.map((r) => withLocalDates(r, 'from', 'to')),
+      count: requests.length,
     });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Cancel Own Pending Leave Request
+app.post('/employee/leave/cancel', authenticate, employeeOnly, async (req, res) => {
+  try {
+    const { requestId } = req.body;
+
+    if (!requestId) {
+      return res.status(400).json({ ok: false, error: 'Request ID required' });
+    }
 
-    // Highlight final salary
-    doc
-      .fontSize(13)
-      .moveDown(1)
-      .fillColor('#0A3D62')
-      .text(`Net Payable Salary: Rs.${payslip.calculatedSalary}`, { align: 'center', underline: true });
+    const request = await LeaveRequest.findOneAndUpdate(
+      { _id: requestId, employee: req.user._id, status: 'pending' },
+      { status: 'cancelled' },
+      { new: true }
+    );
 
-    // Footer
-    doc
-      .fillColor('#555')
-      .fontSize(10)
-      .text('This is a computer-generated payslip. No signature required.', 0, 770, {
-        align: 'center'
+    if (!request) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Pending leave request not found',
       });
+    }
 
-    doc.end();
+    res.json({
+      ok: true,
+      message: 'Leave request cancelled',
+      request: withLocalDates(request, 'from', 'to'),
+    });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
-//------------------ EMPLOYEE LOGIN ------------------//
-app.post('/employee/login', async (req, res) => {
+// View Own Leave Balances
+app.post('/employee/leave/balance', authenticate, employeeOnly, async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { year } = req.body;
+    const balanceYear = +year || monthOf(new Date()).year;
 
-    if (!username || !password) {
+    res.json({
+      ok: true,
+      year: balanceYear,
+      balances: await getLeaveBalances(req.user._id, balanceYear),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+//------------------ EMPLOYEE ATTENDANCE REGULARIZATION ------------------//
+
+// Request a Correction of Own Attendance on a Past Day
+app.post('/employee/attendance/regularize', authenticate, employeeOnly, async (req, res) => {
+  try {
+    const { date, status, reason } = req.body;
+
+    if (!date || !status || !reason || !String(reason).trim()) {
       return res.status(400).json({
         ok: false,
-        error: 'Username and password required',
+        error: 'Date, status and reason required',
       });
     }
 
-    const employee = await Employee.findOne({
-      username,
-      password,
-      role: 'employee',
-    }).select('-password');
+    if (!MARKABLE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        ok: false,
+        error: `Status must be one of ${MARKABLE_STATUSES.join(', ')}`,
+      });
+    }
 
-    if (!employee) {
-      return res.status(401).json({
+    const attendanceDate = parseDay(date);
+    if (!attendanceDate) {
+      return res
+        .status(400)
+        .json({ ok: false, error: 'Date must be YYYY-MM-DD' });
+    }
+    if (attendanceDate > startOfDay(new Date())) {
+      return res.status(400).json({
         ok: false,
-        error: 'Invalid employee credentials',
+        error: 'Attendance of a future day cannot be regularized',
+      });
+    }
+
+    const { year, month } = monthOf(attendanceDate);
+    if (await isPayrollLocked(year, month)) {
+      return res.status(409).json({
+        ok: false,
+        error: 'Payroll for this month is finalized; attendance is locked',
+      });
+    }
+
+    const currentStatus = await attendanceStatusOn(
+      req.user._id,
+      attendanceDate
+    );
+    if (currentStatus === status) {
+      return res.status(400).json({
+        ok: false,
+        error: `Attendance is already ${status} on this day`,
+      });
+    }
+
+    if (
+      await RegularizationRequest.exists({
+        employee: req.user._id,
+        date: attendanceDate,
+        status: 'pending',
+      })
+    ) {
+      return res.status(400).json({
+        ok: false,
+        error: 'A regularization request for this day is already pending',
       });
     }
 
+    const request = await RegularizationRequest.create({
+      employee: req.user._id,
+      date: attendanceDate,
+      requestedStatus: status,
+      currentStatus,
+      reason: String(reason).trim(),
+    });
+
     res.json({
       ok: true,
-      message: 'Employee login successful',
-      user: employee,
+      message: 'Regularization request submitted',
+      request: withLocalDates(request, 'date'),
     });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
-//------------------ EMPLOYEE SELF-SERVICE ------------------//
-
-// Get Own Information
-app.post('/employee/me', authenticate, employeeOnly, async (req, res) => {
+// View Own Regularization Requests
+app.post('/employee/attendance/regularizations', authenticate, employeeOnly, async (req, res) => {
   try {
-    const employee = await Employee.findById(req.user._id)
-      .select('-password')
+    const { status } = req.body;
+
+    const query = { employee: req.user._id };
+    if (status) query.status = status;
+
+    const requests = await RegularizationRequest.find(query)
+      .sort({ date: -1 })
       .lean();
 
     res.json({
       ok: true,
-      employee,
+      requests: requests.map((r) => withLocalDates(r, 'date')),
+      count: requests.length,
     });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
-// View Own Attendance
-app.post(
-  '/employee/attendance',
-  authenticate,
-  employeeOnly,
-  async (req, res) => {
-    try {
-      const { month, year } = req.body;
-
-      let query = { employee: req.user._id };
-
-      if (month && year) {
-        const from = startOfMonth(+year, +month);
-        const to = endOfMonth(+year, +month);
-        query.date = { $gte: from, $lte: to };
-      }
+// Cancel Own Pending Regularization Request
+app.post('/employee/attendance/regularization/cancel', authenticate, employeeOnly, async (req, res) => {
+  try {
+    const { requestId } = req.body;
 
-      const attendance = await Attendance.find(query).sort({ date: -1 }).lean();
+    if (!requestId) {
+      return res.status(400).json({ ok: false, error: 'Request ID required' });
+    }
 
-      const presentDays = attendance.filter(
-        (a) => a.status === 'present'
-      ).length;
-      const absentDays = attendance.filter((a) => a.status === 'absent').length;
+    const request = await RegularizationRequest.findOneAndUpdate(
+      { _id: requestId, employee: req.user._id, status: 'pending' },
+      { status: 'cancelled' },
+      { new: true }
+    );
 
-      res.json({
-        ok: true,
-        attendance,
-        summary: {
-          totalRecords: attendance.length,
-          presentDays,
-          absentDays,
-        },
+    if (!request) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Pending regularization request not found',
       });
-    } catch (e) {
-      res.status(500).json({ ok: false, error: e.message });
     }
+
+    res.json({
+      ok: true,
+      message: 'Regularization request cancelled',
+      request: withLocalDates(request, 'date'),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
   }
-);
+});
 
-// View Own Payslip
-app.post('/employee/payslip', authenticate, employeeOnly, async (req, res) => {
-  try {
-    const { month, year } = req.body;
+//------------------ EMPLOYEE INCOME TAX ------------------//
 
-    if (!month || !year) {
-      return res.status(400).json({
-        ok: false,
-        error: 'Month and year required',
-      });
+// View Own Tax Regime and Declarations
+app.post('/employee/tax/declaration/get', authenticate, employeeOnly, async (req, res) => {
+  try {
+    const financialYear = requestedFinancialYear(req.body);
+    if (!financialYear) {
+      return res.status(400).json({ ok: false, error: FINANCIAL_YEAR_ERROR });
     }
 
-    const payslip = await calculateSalary(req.user._id, +year, +month);
-
     res.json({
       ok: true,
-      payslip,
+      ...(await taxDeclarationDetails(req.user._id, financialYear)),
     });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
-//------------------ EMPLOYEE PAYSLIP PDF (PROFESSIONAL FORMAT) ------------------//
-app.post('/employee/payslip/pdf', authenticate, employeeOnly, async (req, res) => {
+
+// Declare Own Tax Regime, Investments and Previous Employer's Salary
+app.post('/employee/tax/declaration/update', authenticate, employeeOnly, async (req, res) => {
   try {
-    const { month, year } = req.body;
-    if (!month || !year)
-      return res.status(400).json({ ok: false, error: 'Month and year required' });
+    const financialYear = requestedFinancialYear(req.body);
+    if (!financialYear) {
+      return res.status(400).json({ ok: false, error: FINANCIAL_YEAR_ERROR });
+    }
+    const { tax } = await getOrganization();
+    const error = validateDeclaration(req.body, tax);
+    if (error) return res.status(400).json({ ok: false, error });
 
-    const payslip = await calculateSalary(req.user._id, +year, +month);
-    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    await saveDeclaration(req.user._id, financialYear, req.body);
 
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader(
-      'Content-Disposition',
-      `attachment; filename=my_payslip_${year}_${month}.pdf`
-    );
-    doc.pipe(res);
+    res.json({
+      ok: true,
+      message: 'Tax declaration saved',
+      ...(await taxDeclarationDetails(req.user._id, financialYear)),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
 
-    // Header bar
-    doc
-      .rect(50, 50, 500, 50)
-      .fill('#0A3D62')
-      .stroke()
-      .fillColor('#FFFFFF')
-      .fontSize(20)
-      .text('SALARY SLIP', 0, 65, { align: 'center' })
-      .fillColor('#000000');
-
-    // Payroll Info
-    doc.moveDown(2);
-    doc.fontSize(11).text(`Payroll Month: ${month}/${year}`, { align: 'right' });
-    doc.moveDown(1);
-
-    // Employee Information
-    const emp = payslip.employee;
-    doc
-      .fontSize(13)
-      .text('Employee Details', { underline: true })
-      .moveDown(0.8)
-      .fontSize(11);
-    doc.text(`Employee Name: ${emp.name}`);
-    doc.text(`Employee ID: ${emp.empId}`);
-    doc.text(`Username: ${emp.username}`);
-    doc.text(`Designation: ${emp.role === 'admin' ? 'Administrator' : 'Employee'}`);
-    doc.moveDown(1.5);
-
-    // Salary Table
-    const tableTop = doc.y;
-    const startX = 60;
-    const column1Width = 250;
-
-    // Table header
-    doc
-      .fontSize(12)
-      .fillColor('#0A3D62')
-      .text('Earnings', startX, tableTop, { bold: true })
-      .text('Amount (Rs.)', startX + column1Width, tableTop)
-      .moveDown(0.8)
-      .fillColor('#000000');
-
-    // Divider line
-    doc.moveTo(startX, tableTop + 15).lineTo(startX + 400, tableTop + 15).stroke();
-
-    // Salary details
-    let y = tableTop + 25;
-    const details = [
-      ['Base Monthly Salary', payslip.baseSalary],
-      ['Per Day Salary', payslip.perDaySalary],
-      ['Total Days in Month', payslip.totalDaysInMonth],
-      ['Present Days', payslip.presentDays],
-      ['Calculated Net Salary', payslip.calculatedSalary]
-    ];
+// Own Annual Tax Computation Statement
+app.post('/employee/tax/statement', authenticate, employeeOnly, async (req, res) => {
+  try {
+    const financialYear = requestedFinancialYear(req.body);
+    if (!financialYear) {
+      return res.status(400).json({ ok: false, error: FINANCIAL_YEAR_ERROR });
+    }
 
-    details.forEach(([label, value]) => {
-      doc.text(label, startX, y).text(value.toString(), startX + column1Width, y);
-      y += 20;
+    res.json({
+      ok: true,
+      statement: await getTaxStatement(req.user._id, financialYear),
     });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
 
-    // Highlight final salary
-    doc
-      .fontSize(13)
-      .moveDown(1)
-      .fillColor('#0A3D62')
-      .text(`Net Payable Salary: Rs.${payslip.calculatedSalary}`, { align: 'center', underline: true });
+//------------------ EMPLOYEE ANNUAL STATEMENT ------------------//
 
-    // Footer
-    doc
-      .fillColor('#555')
-      .fontSize(10)
-      .text('This is a computer-generated payslip. No signature required.', 0, 770, {
-        align: 'center'
-      });
+// Own Annual Salary Statement (JSON or PDF)
+app.post('/employee/statement/annual', authenticate, employeeOnly, async (req, res) => {
+  try {
+    const request = annualStatementRequest(req.body);
+    if (request.error) {
+      return res.status(400).json({ ok: false, error: request.error });
+    }
 
-    doc.end();
+    await sendAnnualStatement(res, req.user._id, request);
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
-
 //------------------ SERVER START ------------------//
 app.listen(PORT, () => {
   console.log('=================================');
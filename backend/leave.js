@@ -0,0 +1,240 @@
+const {
+  Attendance,
+  LeaveType,
+  LeaveBalance,
+  LeaveRequest,
+} = require('./models');
+const {
+  startOfDay,
+  endOfDay,
+  startOfMonth,
+  endOfMonth,
+  monthOf,
+} = require('./dates');
+const { getCalendarDays } = require('./calendar');
+
+// Seeded by migration when no leave types exist yet
+const DEFAULT_LEAVE_TYPES = [
+  { code: 'CL', name: 'Casual Leave', annualAccrual: 12 },
+  { code: 'SL', name: 'Sick Leave', annualAccrual: 12 },
+  {
+    code: 'EL',
+    name: 'Earned Leave',
+    annualAccrual: 15,
+    carryForward: true,
+    maxCarryForward: 30,
+  },
+  { code: 'LOP', name: 'Loss of Pay', annualAccrual: 0, paid: false },
+];
+
+function availableDays(balance) {
+  return balance.opening + balance.accrued - balance.used;
+}
+
+function carriedForward(leaveType, previous) {
+  if (!leaveType.carryForward || !previous) return 0;
+  return Math.min(Math.max(availableDays(previous), 0), leaveType.maxCarryForward);
+}
+
+// Balance for one year, opened on first use with the yearly accrual and
+// whatever the previous year's balance allows to be carried forward
+async function ensureLeaveBalance(employeeId, leaveType, year) {
+  const filter = { employee: employeeId, leaveType: leaveType._id, year };
+  const existing = await LeaveBalance.findOne(filter);
+  if (existing) return existing;
+
+  const previous = await LeaveBalance.findOne({ ...filter, year: year - 1 });
+  try {
+    return await LeaveBalance.create({
+      ...filter,
+      opening: carriedForward(leaveType, previous),
+      accrued: leaveType.annualAccrual,
+    });
+  } catch (e) {
+    // Opened concurrently by another request
+    if (e.code === 11000) return LeaveBalance.findOne(filter);
+    throw e;
+  }
+}
+
+// Keep next year's opening in line after this year's balance changed
+async function refreshCarryForward(balance, leaveType) {
+  if (!leaveType.carryForward) return;
+  await LeaveBalance.updateOne(
+    {
+      employee: balance.employee,
+      leaveType: balance.leaveType,
+      year: balance.year + 1,
+    },
+    { opening: carriedForward(leaveType, balance) }
+  );
+}
+
+// Days still waiting for approval, which the balance must also cover
+async function pendingLeaveDays(employeeId, leaveTypeId, year) {
+  const pending = await LeaveRequest.find({
+    employee: employeeId,
+    leaveType: leaveTypeId,
+    status: 'pending',
+    from: { $gte: startOfMonth(year, 1), $lte: endOfMonth(year, 12) },
+  })
+    .select('days')
+    .lean();
+  return pending.reduce((sum, r) => sum + r.days, 0);
+}
+
+// Working days covered by a leave request; weekly offs and holidays are free
+async function leaveDates(from, to) {
+  const days = await getCalendarDays(from, to);
+  return days.filter((d) => d.type === 'working').map((d) => d.date);
+}
+
+// Pending or approved requests that overlap the given range
+function findOverlappingLeave(employeeId, from, to) {
+  return LeaveRequest.findOne({
+    employee: employeeId,
+    status: { $in: ['pending', 'approved'] },
+    from: { $lte: endOfDay(to) },
+    to: { $gte: startOfDay(from) },
+  });
+}
+
+// Deduct the balance and write one attendance record per leave day. Returns
+// false, changing nothing, when the balance cannot cover the request; if
+// writing the attendance fails, the balance is given back.
+async function applyApprovedLeave(request, leaveType) {
+  let charged = null;
+  if (leaveType.paid) {
+    const balance = await ensureLeaveBalance(
+      request.employee,
+      leaveType,
+      monthOf(request.from).year
+    );
+    // Checked and charged in one update, so approvals of other requests at
+    // the same time cannot overdraw the balance between them
+    charged = await LeaveBalance.findOneAndUpdate(
+      {
+        _id: balance._id,
+        $expr: {
+          $gte: [
+            { $subtract: [{ $add: ['$opening', '$accrued'] }, '$used'] },
+            request.days,
+          ],
+        },
+      },
+      { $inc: { used: request.days } },
+      { new: true }
+    );
+    if (!charged) return false;
+  }
+
+  try {
+    await writeLeaveAttendance(request, leaveType);
+  } catch (e) {
+    if (charged) {
+      charged = await LeaveBalance.findByIdAndUpdate(
+        charged._id,
+        { $inc: { used: -request.days } },
+        { new: true }
+      );
+    }
+    throw e;
+  } finally {
+    if (charged) await refreshCarryForward(charged, leaveType);
+  }
+  return true;
+}
+
+async function writeLeaveAttendance(request, leaveType) {
+  const status = leaveType.paid ? 'leave' : 'absent';
+  const dates = await leaveDates(request.from, request.to);
+  if (!dates.length) return;
+
+  await Attendance.bulkWrite(
+    dates.map((day) => ({
+      updateOne: {
+        filter: {
+          employee: request.employee,
+          date: { $gte: startOfDay(day), $lte: endOfDay(day) },
+        },
+        update: {
+          $set: {
+            employee: request.employee,
+            date: startOfDay(day),
+            status,
+            leaveType: leaveType._id,
+            leaveRequest: request._id,
+          },
+        },
+        upsert: true,
+      },
+    }))
+  );
+}
+
+// Give back leave days whose attendance records were marked over (e.g. the
+// employee worked after all): each approved request covers that many fewer
+// days, and paid leave returns to the balance it was charged to
+async function releaseLeaveDays(records) {
+  const daysByRequest = new Map();
+  for (const { leaveRequest } of records) {
+    if (!leaveRequest) continue;
+    const id = String(leaveRequest);
+    daysByRequest.set(id, (daysByRequest.get(id) || 0) + 1);
+  }
+
+  for (const [requestId, days] of daysByRequest) {
+    const request = await LeaveRequest.findByIdAndUpdate(
+      requestId,
+      { $inc: { days: -days } },
+      { new: true }
+    );
+    if (!request) continue;
+    const leaveType = await LeaveType.findById(request.leaveType);
+    if (!leaveType || !leaveType.paid) continue;
+    const balance = await LeaveBalance.findOneAndUpdate(
+      {
+        employee: request.employee,
+        leaveType: leaveType._id,
+        year: monthOf(request.from).year,
+      },
+      { $inc: { used: -days } },
+      { new: true }
+    );
+    if (balance) await refreshCarryForward(balance, leaveType);
+  }
+}
+
+async function getLeaveBalances(employeeId, year) {
+  const types = await LeaveType.find({ active: true }).sort({ code: 1 });
+  const balances = [];
+
+  for (const type of types) {
+    const balance = type.paid
+      ? await ensureLeaveBalance(employeeId, type, year)
+      : null;
+    const pending = await pendingLeaveDays(employeeId, type._id, year);
+    balances.push({
+      leaveType: { _id: type._id, code: type.code, name: type.name },
+      paid: type.paid,
+      opening: balance ? balance.opening : 0,
+      accrued: balance ? balance.accrued : 0,
+      used: balance ? balance.used : 0,
+      pending,
+      available: balance ? availableDays(balance) - pending : null,
+    });
+  }
+  return balances;
+}
+
+module.exports = {
+  DEFAULT_LEAVE_TYPES,
+  availableDays,
+  ensureLeaveBalance,
+  pendingLeaveDays,
+  leaveDates,
+  findOverlappingLeave,
+  applyApprovedLeave,
+  releaseLeaveDays,
+  getLeaveBalances,
+};
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Ways of delivering an email { from, to, subject, text, attachments }. A
+// factory takes the mail config and returns { send(message) }; send resolves
+// to a reference to the delivered message (SMTP message id, file written).
+const TRANSPORTS = {
+  smtp: ({ smtp }) => {
+    const transporter = nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+    });
+    return {
+      send: async (message) => (await transporter.sendMail(message)).messageId,
+    };
+  },
+  // Each message as an .eml file in config.dir, for local testing
+  file: ({ dir }) => {
+    const transporter = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+    });
+    return {
+      send: async (message) => {
+        const { messageId, message: raw } = await transporter.sendMail(message);
+        await fs.promises.mkdir(dir, { recursive: true });
+        const file = path.join(
+          dir,
+          `${Date.now()}-${messageId.replace(/[^\w.@-]/g, '')}.eml`
+        );
+        await fs.promises.writeFile(file, raw);
+        return file;
+      },
+    };
+  },
+  // Recipient and subject of each message on stdout; the body can hold a
+  // temporary password, so it is never printed
+  console: () => ({
+    send: async ({ to, subject }) => {
+      console.log(`✉ To: ${to}\n  Subject: ${subject}`);
+      return null;
+    },
+  }),
+  // Without MAIL_TRANSPORT nothing is sent; messages fail in the outbox
+  disabled: () => ({
+    send: async () => {
+      throw new Error('MAIL_TRANSPORT is not set; email is disabled');
+    },
+  }),
+};
+
+// Make another transport available as MAIL_TRANSPORT=<name>
+function registerTransport(name, factory) {
+  TRANSPORTS[name] = factory;
+}
+
+function mailConfig(env = process.env) {
+  return {
+    transport: env.MAIL_TRANSPORT || 'disabled',
+    from: env.MAIL_FROM || 'Payroll <payroll@localhost>',
+    smtp: {
+      host: env.SMTP_HOST || 'localhost',
+      port: +env.SMTP_PORT || 587,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+    },
+    dir: env.MAIL_DIR || 'mail',
+  };
+}
+
+// { name, from, send(message) } for the configured transport
+function createTransport(config = mailConfig()) {
+  const factory = TRANSPORTS[config.transport];
+  if (!factory) {
+    throw new Error(
+      `Unknown mail transport "${config.transport}"; use one of ${Object.keys(
+        TRANSPORTS
+      ).join(', ')}`
+    );
+  }
+  return { name: config.transport, from: config.from, ...factory(config) };
+}
+
+module.exports = {
+  registerTransport,
+  mailConfig,
+  createTransport,
+};
@@ -0,0 +1,48 @@
+// Usage:
+//   node migrate.js            apply pending migrations and bootstrap the admin
+//   node migrate.js status     list migrations and when they were applied
+//   node migrate.js reset --yes  DROP ALL DATA, then migrate and bootstrap
+require('dotenv').config();
+const mongoose = require('mongoose');
+const {
+  getMigrationStatus,
+  runMigrations,
+  bootstrapAdmin,
+  resetDatabase,
+} = require('./migrations');
+
+async function main(command = 'up', ...flags) {
+  switch (command) {
+    case 'up':
+      await runMigrations();
+      await bootstrapAdmin();
+      break;
+
+    case 'status':
+      for (const m of await getMigrationStatus()) {
+        const state = m.appliedAt ? m.appliedAt.toISOString() : 'pending';
+        console.log(`${String(m.version).padStart(4)}  ${m.name}  ${state}`);
+      }
+      break;
+
+    case 'reset':
+      if (!flags.includes('--yes')) {
+        throw new Error('reset deletes every record; re-run with --yes');
+      }
+      await resetDatabase();
+      break;
+
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(() => main(...process.argv.slice(2)))
+  .then(() => mongoose.disconnect())
+  .catch(async (e) => {
+    console.error(e.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const {
+  Employee,
+  Role,
+  LeaveType,
+  Migration,
+  SalaryRevision,
+} = require('./models');
+const {
+  hashPassword,
+  isPasswordHash,
+  validatePassword,
+  generateTemporaryPassword,
+} = require('./passwords');
+const { DEFAULT_LEAVE_TYPES } = require('./leave');
+const { startOfDay } = require('./dates');
+const {
+  getOrganization,
+  loadTimeZone,
+  moveStoredDays,
+} = require('./calendar');
+const { DEFAULT_ROLES } = require('./permissions');
+
+//------------------ MIGRATIONS ------------------//
+// Append new migrations at the end with the next version number.
+// Never edit or reorder one that has already been released.
+const migrations = [
+  {
+    version: 1,
+    name: 'hash-plaintext-passwords',
+    async up() {
+      const employees = await Employee.find();
+      for (const emp of employees) {
+        if (isPasswordHash(emp.password)) continue;
+        emp.password = await hashPassword(emp.password);
+        emp.passwordChangedAt = new Date();
+        await emp.save();
+      }
+    },
+  },
+  {
+    version: 2,
+    name: 'seed-leave-types',
+    async up() {
+      if (await LeaveType.exists({})) return;
+      await LeaveType.insertMany(DEFAULT_LEAVE_TYPES);
+    },
+  },
+  {
+    version: 3,
+    name: 'seed-salary-revisions',
+    // The salary on record becomes each employee's opening revision
+    async up() {
+      const revised = await SalaryRevision.distinct('employee');
+      const employees = await Employee.find({ _id: { $nin: revised } })
+        .select('_id salary createdAt')
+        .lean();
+      await SalaryRevision.insertMany(
+        employees.map((emp) => ({
+          employee: emp._id,
+          effectiveFrom: startOfDay(emp.createdAt || new Date()),
+          salary: emp.salary,
+          reason: 'joining',
+          note: 'Opening salary',
+        }))
+      );
+    },
+  },
+  {
+    version: 4,
+    name: 'seed-access-roles',
+    // Existing admin accounts keep full access
+    async up() {
+      for (const role of DEFAULT_ROLES) {
+        if (!(await Role.exists({ name: role.name }))) await Role.create(role);
+      }
+      const administrator = await Role.findOne({ name: 'Administrator' });
+      await Employee.updateMany(
+        { role: 'admin', accessRole: null },
+        { accessRole: administrator._id }
+      );
+    },
+  },
+  {
+    version: 5,
+    name: 'set-employee-status',
+    async up() {
+      await Employee.updateMany(
+        { status: { $exists: false } },
+        { status: 'active' }
+      );
+    },
+  },
+  {
+    version: 6,
+    name: 'organization-timezone-days',
+    // Days used to be stored as midnight in the time zone of the server
+    // writing them; run with TZ set to that zone (Render: TZ=UTC)
+    async up() {
+      const serverZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      const { timezone } = await getOrganization();
+      if (serverZone !== timezone) {
+        await moveStoredDays(serverZone, timezone);
+      }
+      await loadTimeZone();
+    },
+  },
+];
+
+migrations.forEach((m, i) => {
+  if (i > 0 && m.version <= migrations[i - 1].version) {
+    throw new Error(`Migration versions out of order at ${m.name}`);
+  }
+});
+
+async function getMigrationStatus() {
+  const applied = await Migration.find().lean();
+  const byVersion = new Map(applied.map((m) => [m.version, m]));
+
+  return migrations.map((m) => ({
+    version: m.version,
+    name: m.name,
+    appliedAt: byVersion.has(m.version)
+      ? byVersion.get(m.version).appliedAt
+      : null,
+  }));
+}
+
+// Apply every migration that is not yet recorded, in version order
+async function runMigrations() {
+  const applied = new Set(
+    (await Migration.find().select('version').lean()).map((m) => m.version)
+  );
+  const pending = migrations.filter((m) => !applied.has(m.version));
+
+  for (const m of pending) {
+    const started = Date.now();
+    await m.up();
+    await Migration.create({
+      version: m.version,
+      name: m.name,
+      durationMs: Date.now() - started,
+    });
+    console.log(`✓ Migration ${m.version} (${m.name}) applied`);
+  }
+
+  if (!pending.length) console.log('✓ Database schema up to date');
+  return pending.map((m) => m.version);
+}
+
+//------------------ ADMIN BOOTSTRAP ------------------//
+// Creates the first admin only when the database has none
+async function bootstrapAdmin() {
+  if (await Employee.exists({ role: 'admin' })) return null;
+
+  const generated = !process.env.ADMIN_PASSWORD;
+  const password = process.env.ADMIN_PASSWORD || generateTemporaryPassword();
+  const passwordError = validatePassword(password);
+  if (passwordError) throw new Error(`ADMIN_PASSWORD: ${passwordError}`);
+
+  // Seeded by migration 4, which runs first
+  const administrator = await Role.findOne({ name: 'Administrator' }).lean();
+
+  const admin = await Employee.create({
+    name: process.env.ADMIN_NAME || 'System Admin',
+    username: process.env.ADMIN_USERNAME || 'admin',
+    password: await hashPassword(password),
+    // A generated password is only ever printed to the log, so replace it
+    mustChangePassword: generated,
+    role: 'admin',
+    accessRole: administrator && administrator._id,
+    salary: 50000,
+    empId: process.env.ADMIN_EMP_ID || 'ADMIN001',
+  });
+
+  console.log('✓ Admin account created');
+  console.log(`  Username: ${admin.username}`);
+  if (generated) console.log(`  Temporary password: ${password}`);
+  return admin;
+}
+
+// Drops all data, then rebuilds indexes, schema and the admin account
+async function resetDatabase() {
+  await mongoose.connection.db.dropDatabase();
+  console.log('Database cleared');
+
+  await mongoose.connection.syncIndexes();
+  await runMigrations();
+  await bootstrapAdmin();
+}
+
+module.exports = {
+  migrations,
+  getMigrationStatus,
+  runMigrations,
+  bootstrapAdmin,
+  resetDatabase,
+};
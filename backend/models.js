@@ -0,0 +1,756 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TIME_ZONE } = require('./dates');
+
+//------------------ SCHEMAS ------------------//
+// One line of an employee's salary structure (see salary.js)
+const salaryComponentSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, uppercase: true, trim: true },
+    name: { type: String, required: true },
+    type: { type: String, enum: ['earning', 'deduction'], required: true },
+    calculation: {
+      type: String,
+      enum: ['fixed', 'percentage', 'balance'],
+      required: true,
+    },
+    amount: { type: Number },
+    percentage: { type: Number },
+    of: { type: String, uppercase: true, trim: true },
+    cap: { type: Number },
+    applicableUpTo: { type: Number },
+    prorated: { type: Boolean },
+  },
+  { _id: false }
+);
+
+// Salary account. The number is stored encrypted (see bankDetails.js) and is
+// only read when asked for, e.g. by the payment file; everywhere else the
+// masked copy is shown.
+function hideAccountNumber(doc, ret) {
+  delete ret.accountNumber;
+  return ret;
+}
+
+const bankAccountSchema = new mongoose.Schema(
+  {
+    accountHolderName: { type: String, required: true, trim: true },
+    ifsc: { type: String, required: true, uppercase: true, trim: true },
+    accountNumber: { type: String, select: false },
+    maskedAccountNumber: { type: String, required: true },
+  },
+  {
+    _id: false,
+    toObject: { transform: hideAccountNumber },
+    toJSON: { transform: hideAccountNumber },
+  }
+);
+
+const employeeSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    username: { type: String, unique: true, required: true },
+    password: { type: String, required: true },
+    mustChangePassword: { type: Boolean, default: false },
+    passwordChangedAt: { type: Date },
+    role: { type: String, enum: ['admin', 'employee'], default: 'employee' },
+    // What an admin account may do (see permissions.js); unused for employees
+    accessRole: { type: mongoose.Schema.Types.ObjectId, ref: 'Role' },
+    salary: { type: Number, default: 30000 },
+    salaryStructure: { type: [salaryComponentSchema], default: undefined },
+    empId: { type: String, unique: true, required: true },
+    // Where notifications are sent; none are sent without one
+    email: { type: String, trim: true, lowercase: true },
+    bankAccount: { type: bankAccountSchema, default: undefined },
+    department: { type: mongoose.Schema.Types.ObjectId, ref: 'Department' },
+    designation: { type: mongoose.Schema.Types.ObjectId, ref: 'Designation' },
+    // Reporting manager; chains never loop (see org.js)
+    manager: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+    // Lifecycle: on notice after resigning, exited once settled. Exited
+    // employees cannot sign in; their records are kept.
+    status: {
+      type: String,
+      enum: ['active', 'notice', 'exited'],
+      default: 'active',
+    },
+    resignationDate: { type: Date },
+    lastWorkingDay: { type: Date },
+    exitReason: { type: String },
+    exitedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+// Employee list sorting and filtering (see /admin/employees/list)
+employeeSchema.index({ role: 1, createdAt: -1 });
+employeeSchema.index({ role: 1, name: 1 });
+employeeSchema.index({ role: 1, salary: 1 });
+employeeSchema.index({ department: 1 });
+employeeSchema.index({ designation: 1 });
+employeeSchema.index({ manager: 1 });
+employeeSchema.index({ role: 1, status: 1 });
+
+// Named permission set assigned to admin accounts
+const roleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    description: { type: String },
+    permissions: { type: [String], default: [] },
+    // Built-in roles cannot be edited or deleted
+    builtIn: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+// Departments and designations (job titles) employees are assigned to
+const departmentSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    description: { type: String },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+const designationSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    description: { type: String },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+const attendanceSchema = new mongoose.Schema(
+  {
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee',
+      required: true,
+    },
+    date: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: ['present', 'absent', 'leave', 'half-day'],
+      default: 'present',
+    },
+    // Employee self check-in / check-out (see attendance.js)
+    checkIn: { type: Date },
+    checkOut: { type: Date },
+    workedMinutes: { type: Number },
+    lateByMinutes: { type: Number, default: 0 },
+    earlyExitByMinutes: { type: Number, default: 0 },
+    overtimeMinutes: { type: Number, default: 0 },
+    // Set when the record was written by an approved leave request
+    leaveType: { type: mongoose.Schema.Types.ObjectId, ref: 'LeaveType' },
+    leaveRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'LeaveRequest' },
+  },
+  { timestamps: true }
+);
+
+// Create unique index for employee + date combination
+attendanceSchema.index({ employee: 1, date: 1 }, { unique: true });
+
+// One session per login; the refresh token is only stored as a hash
+const sessionSchema = new mongoose.Schema(
+  {
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee',
+      required: true,
+    },
+    refreshTokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    userAgent: { type: String },
+    ip: { type: String },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB purge sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const leaveTypeSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true },
+    name: { type: String, required: true },
+    // Days credited at the start of each calendar year
+    annualAccrual: { type: Number, required: true, min: 0 },
+    carryForward: { type: Boolean, default: false },
+    maxCarryForward: { type: Number, default: 0, min: 0 },
+    // Unpaid leave is recorded on attendance as absent
+    paid: { type: Boolean, default: true },
+    // Remaining days are paid out in a full-and-final settlement
+    encashable: { type: Boolean, default: false },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+// available = opening + accrued - used
+const leaveBalanceSchema = new mongoose.Schema(
+  {
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee',
+      required: true,
+    },
+    leaveType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LeaveType',
+      required: true,
+    },
+    year: { type: Number, required: true },
+    opening: { type: Number, default: 0 },
+    accrued: { type: Number, default: 0 },
+    used: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+leaveBalanceSchema.index(
+  { employee: 1, leaveType: 1, year: 1 },
+  { unique: true }
+);
+
+const leaveRequestSchema = new mongoose.Schema(
+  {
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee',
+      required: true,
+    },
+    leaveType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LeaveType',
+      required: true,
+    },
+    from: { type: Date, required: true },
+    to: { type: Date, required: true },
+    days: { type: Number, required: true },
+    reason: { type: String },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'cancelled'],
+      default: 'pending',
+    },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+    reviewedAt: { type: Date },
+    reviewComment: { type: String },
+  },
+  { timestamps: true }
+);
+
+leaveRequestSchema.index({ employee: 1, from: 1 });
+leaveRequestSchema.index({ status: 1, createdAt: -1 });
+
+// An employee's request to correct the attendance of one day; approving it
+// marks the day with requestedStatus (see attendance.js)
+const regularizationRequestSchema = new mongoose.Schema(
+  {
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee',
+      required: true,
+    },
+    date: { type: Date, required: true },
+    requestedStatus: {
+      type: String,
+      enum: ['present', 'absent', 'half-day'],
+      required: true,
+    },
+    // Attendance of the day when the request was raised (null if unmarked)
+    currentStatus: { type: String, default: null },
+    reason: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'cancelled'],
+      default: 'pending',
+    },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+    reviewedAt: { type: Date },
+    reviewComment: { type: String },
+  },
+  { timestamps: true }
+);
+
+regularizationRequestSchema.index({ employee: 1, date: 1 });
+regularizationRequestSchema.index({ status: 1, createdAt: -1 });
+
+// One band of an income tax slab table: income above the previous band and
+// up to upTo is taxed at rate percent; the last band has no upTo
+const taxSlabSchema = new mongoose.Schema(
+  {
+    upTo: { type: Number, default: null },
+    rate: { type: Number, required: true, min: 0, max: 100 },
+  },
+  { _id: false }
+);
+
+// A deduction a regime allows against declarations, e.g. 80C up to 150000;
+// no limit means the declared amount is deducted in full
+const taxDeductionSchema = new mongoose.Schema(
+  {
+    section: { type: String, required: true },
+    name: { type: String, required: true },
+    limit: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+// Income tax rules of one regime (see tax.js)
+const taxRegimeSchema = new mongoose.Schema(
+  {
+    standardDeduction: { type: Number, default: 0, min: 0 },
+    slabs: { type: [taxSlabSchema], default: undefined },
+    // Section 87A: tax up to maxRebate is waived when taxable income is at
+    // most incomeUpTo; with marginalRelief the tax on income just above it
+    // never exceeds that excess income
+    rebate: {
+      incomeUpTo: { type: Number, default: 0, min: 0 },
+      maxRebate: { type: Number, default: 0, min: 0 },
+      marginalRelief: { type: Boolean, default: false },
+    },
+    deductions: { type: [taxDeductionSchema], default: [] },
+  },
+  { _id: false }
+);
+
+// Organization-wide settings; there is exactly one document (key "default")
+const organizationSchema = new mongoose.Schema(
+  {
+    key: { type: String, default: 'default', unique: true },
+    // IANA time zone that days and months are counted in (see dates.js)
+    timezone: { type: String, default: DEFAULT_TIME_ZONE },
+    // A time zone change whose stored days are still being moved, with the
+    // last document moved (see calendar.js); cleared once it is done
+    timezoneMove: {
+      from: { type: String },
+      to: { type: String },
+      model: { type: String },
+      lastId: { type: mongoose.Schema.Types.ObjectId },
+    },
+    // Days of the week that are off, 0 = Sunday ... 6 = Saturday
+    weeklyOffs: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: [0],
+    },
+    // How a month's salary is divided into days (see calendar.js)
+    prorationBasis: {
+      type: String,
+      enum: ['calendar', 'working', 'fixed30', 'fixed26'],
+      default: 'fixed30',
+    },
+    // Office timings for check-in/check-out, times are "HH:mm"
+    attendancePolicy: {
+      officeStart: { type: String, default: '09:30' },
+      officeEnd: { type: String, default: '18:30' },
+      graceMinutes: { type: Number, default: 10, min: 0 },
+      // A checked-out day with fewer worked hours becomes a half-day
+      halfDayBelowHours: { type: Number, default: 4, min: 0 },
+      // Overtime pays this multiple of the hourly rate
+      overtimeRate: { type: Number, default: 1.5, min: 0 },
+    },
+    // Company details and styling for payslips (see pdf.js)
+    branding: {
+      companyName: { type: String, default: '' },
+      address: { type: String, default: '' },
+      // PNG or JPEG as a data: URL
+      logo: { type: String, default: null },
+      payslipTitle: { type: String, default: 'SALARY SLIP' },
+      primaryColor: { type: String, default: '#0A3D62' },
+      textColor: { type: String, default: '#000000' },
+      mutedColor: { type: String, default: '#555555' },
+      // The built-in PDF fonts have no rupee sign, hence "Rs."
+      currencySymbol: { type: String, default: 'Rs.' },
+      currencyName: { type: String, default: 'Rupees' },
+      currencySubunitName: { type: String, default: 'Paise' },
+      // indian: 12,34,567.00 and lakh/crore; international: 1,234,567.00
+      numberFormat: {
+        type: String,
+        enum: ['indian', 'international'],
+        default: 'indian',
+      },
+      footerNote: {
+        type: String,
+        default: 'This is a computer-generated payslip. No signature required.',
+      },
+    },
+    // Income tax withheld from salaries (TDS); defaults are FY 2025-26 rates
+    tax: {
+      enabled: { type: Boolean, default: true },
+      // Regime of employees who have not declared one
+      defaultRegime: { type: String, enum: ['old', 'new'], default: 'new' },
+      // Health and education cess, percent of the tax
+      cessPercent: { type: Number, default: 4, min: 0 },
+      old: {
+        type: taxRegimeSchema,
+        default: () => ({
+          standardDeduction: 50000,
+          slabs: [
+            { upTo: 250000, rate: 0 },
+            { upTo: 500000, rate: 5 },
+            { upTo: 1000000, rate: 20 },
+            { upTo: null, rate: 30 },
+          ],
+          rebate: { incomeUpTo: 500000, maxRebate: 12500 },
+          deductions: [
+            {
+              section: '80C',
+              name: 'Investments (PPF, ELSS, LIC, ...)',
+              limit: 150000,
+            },
+            {
+              section: '80CCD(1B)',
+              name: 'Additional NPS contribution',
+              limit: 50000,
+            },
+            { section: '80D', name: 'Health insurance premium', limit: 25000 },
+            { section: '80E', name: 'Education loan interest' },
+            {
+              section: '80TTA',
+              name: 'Savings account interest',
+              limit: 10000,
+            },
+            { section: '24(b)', name: 'Home loan interest', limit: 200000 },
+            { section: '10(13A)', name: 'House rent allowance exemption' },
+          ],
+        }),
+      },
+      new: {
+        type: taxRegimeSchema,
+        default: () => ({
+          standardDeduction: 75000,
+          slabs: [
+            { upTo: 400000, rate: 0 },
+            { upTo: 800000, rate: 5 },
+            { upTo: 1200000, rate: 10 },
+            { upTo: 1600000, rate: 15 },
+            { upTo: 2000000, rate: 20 },
+            { upTo: 2400000, rate: 25 },
+            { upTo: null, rate: 30 },
+          ],
+          rebate: {
+            incomeUpTo: 1200000,
+            maxRebate: 60000,
+            marginalRelief: true,
+          },
+          deductions: [
+            { section: '80CCD(2)', name: 'Employer NPS contribution' },
+          ],
+        }),
+      },
+    },
+    // Emails to employees (see notifications.js)
+    notifications: {
+      enabled: { type: Boolean, default: true },
+      // Events nobody is notified of, e.g. ['attendance.absent']
+      disabledEvents: { type: [String], default: [] },
+      // Attach the payslip PDF when a payslip is ready
+      attachPayslip: { type: Boolean, default: true },
+      // Replace the built-in subject and text of an event's message
+      templates: [
+        {
+          _id: false,
+          event: { type: String, required: true },
+          subject: { type: String, required: true },
+          text: { type: String, required: true },
+        },
+      ],
+    },
+    // Bulk salary payment file for the bank (see payments.js)
+    paymentFile: {
+      format: { type: String, enum: ['csv', 'neft'], default: 'csv' },
+      // Company account the salaries are paid from
+      debitAccountNumber: { type: String, default: '' },
+      // Remark on each payment; {{period}} becomes e.g. "NOV 2025"
+      narration: { type: String, default: 'SALARY {{period}}' },
+    },
+  },
+  { timestamps: true }
+);
+
+const holidaySchema = new mongoose.Schema(
+  {
+    date: { type: Date, required: true, unique: true },
+    name: { type: String, required: true },
+  },
+  { timestamps: true }
+);
+
+// One payroll run per month: draft -> finalized -> paid
+const payrollRunSchema = new mongoose.Schema(
+  {
+    year: { type: Number, required: true },
+    month: { type: Number, required: true, min: 1, max: 12 },
+    status: {
+      type: String,
+      enum: ['draft', 'finalized', 'paid'],
+      default: 'draft',
+    },
+    totals: {
+      employees: { type: Number, default: 0 },
+      grossEarnings: { type: Number, default: 0 },
+      totalDeductions: { type: Number, default: 0 },
+      netPay: { type: Number, default: 0 },
+    },
+    // Employees whose payslip could not be computed in the last run
+    failures: [
+      {
+        _id: false,
+        employee: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+        empId: { type: String },
+        error: { type: String },
+      },
+    ],
+    computedAt: { type: Date },
+    computedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+    finalizedAt: { type: Date },
+    finalizedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+    paidAt: { type: Date },
+    paidBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+  },
+  { timestamps: true }
+);
+
+payrollRunSchema.index({ year: 1, month: 1 }, { unique: true });
+
+// Stored result of calculateSalary for one employee in one payroll run
+const payslipSchema = new mongoose.Schema(
+  {
+    payrollRun: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PayrollRun',
+      required: true,
+    },
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee',
+      required: true,
+    },
+    year: { type: Number, required: true },
+    month: { type: Number, required: true },
+    grossEarnings: { type: Number, required: true },
+    totalDeductions: { type: Number, required: true },
+    netPay: { type: Number, required: true },
+    data: { type: mongoose.Schema.Types.Mixed, required: true },
+  },
+  { timestamps: true }
+);
+
+payslipSchema.index({ employee: 1, year: 1, month: 1 }, { unique: true });
+payslipSchema.index({ payrollRun: 1 });
+
+// Full-and-final settlement stored when an employee exits (see settlement.js)
+const settlementSchema = new mongoose.Schema(
+  {
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee',
+      required: true,
+      unique: true,
+    },
+    netPayable: { type: Number, required: true },
+    data: { type: mongoose.Schema.Types.Mixed, required: true },
+    settledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+  },
+  { timestamps: true }
+);
+
+// An employee's income tax regime and declarations for one financial year
+// (April to March, see tax.js)
+const taxDeclarationSchema = new mongoose.Schema(
+  {
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee',
+      required: true,
+    },
+    // Year the financial year starts in: 2025 is FY 2025-26
+    financialYear: { type: Number, required: true },
+    // Unset means the organization's default regime
+    regime: { type: String, enum: ['old', 'new'], default: null },
+    declarations: [
+      {
+        _id: false,
+        section: { type: String, required: true },
+        amount: { type: Number, required: true, min: 0 },
+      },
+    ],
+    // Salary and tax withheld by an earlier employer this financial year
+    previousEmployer: {
+      income: { type: Number, default: 0, min: 0 },
+      tds: { type: Number, default: 0, min: 0 },
+    },
+  },
+  { timestamps: true }
+);
+
+taxDeclarationSchema.index({ employee: 1, financialYear: 1 }, { unique: true });
+
+// Outbox of emails to employees, delivered in the background with retries
+// (see notifications.js)
+const notificationSchema = new mongoose.Schema(
+  {
+    event: { type: String, required: true },
+    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+    to: { type: String, required: true },
+    // Template placeholders; secrets in it are dropped once delivery ends
+    data: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // Files generated when the message is sent
+    attachments: [
+      {
+        _id: false,
+        kind: { type: String, enum: ['payslip'], required: true },
+        year: { type: Number },
+        month: { type: Number },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ['pending', 'sending', 'sent', 'failed'],
+      default: 'pending',
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    // When a dispatcher claimed it; a stale claim is retried
+    lockedAt: { type: Date },
+    lastError: { type: String },
+    // As sent: rendered subject, transport and its reference to the message
+    subject: { type: String },
+    transport: { type: String },
+    reference: { type: String },
+    sentAt: { type: Date },
+  },
+  { timestamps: true, minimize: false }
+);
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ employee: 1, createdAt: -1 });
+
+// Applied schema migrations, one document per version
+const migrationSchema = new mongoose.Schema({
+  version: { type: Number, required: true, unique: true },
+  name: { type: String, required: true },
+  appliedAt: { type: Date, default: Date.now },
+  durationMs: { type: Number },
+});
+
+// Monthly salary from effectiveFrom until the next revision (see revisions.js)
+const salaryRevisionSchema = new mongoose.Schema(
+  {
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee',
+      required: true,
+    },
+    effectiveFrom: { type: Date, required: true },
+    salary: { type: Number, required: true, min: 0 },
+    reason: {
+      type: String,
+      enum: ['joining', 'appraisal', 'promotion', 'correction', 'other'],
+      required: true,
+    },
+    note: { type: String },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+  },
+  { timestamps: true }
+);
+
+salaryRevisionSchema.index({ employee: 1, effectiveFrom: 1 }, { unique: true });
+
+// Who changed what through the admin API. Append-only: entries are never
+// updated or deleted through the application.
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee',
+      required: true,
+    },
+    // Kept in case the actor is deleted later
+    actorUsername: { type: String },
+    action: { type: String, required: true },
+    targetType: { type: String },
+    targetId: { type: String },
+    // The employee the change concerns, if any
+    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+    // { field: { before, after } } for every top-level field that changed
+    changes: { type: mongoose.Schema.Types.Mixed },
+    details: { type: mongoose.Schema.Types.Mixed },
+    ip: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, versionKey: false }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ employee: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+auditLogSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  function () {
+    throw new Error('The audit log is append-only');
+  }
+);
+auditLogSchema.pre('save', function () {
+  if (!this.isNew) throw new Error('The audit log is append-only');
+});
+
+const Employee = mongoose.model('Employee', employeeSchema);
+const Attendance = mongoose.model('Attendance', attendanceSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const Role = mongoose.model('Role', roleSchema);
+const Department = mongoose.model('Department', departmentSchema);
+const Designation = mongoose.model('Designation', designationSchema);
+const LeaveType = mongoose.model('LeaveType', leaveTypeSchema);
+const LeaveBalance = mongoose.model('LeaveBalance', leaveBalanceSchema);
+const LeaveRequest = mongoose.model('LeaveRequest', leaveRequestSchema);
+const RegularizationRequest = mongoose.model(
+  'RegularizationRequest',
+  regularizationRequestSchema
+);
+const Organization = mongoose.model('Organization', organizationSchema);
+const Holiday = mongoose.model('Holiday', holidaySchema);
+const PayrollRun = mongoose.model('PayrollRun', payrollRunSchema);
+const Payslip = mongoose.model('Payslip', payslipSchema);
+const Settlement = mongoose.model('Settlement', settlementSchema);
+const SalaryRevision = mongoose.model('SalaryRevision', salaryRevisionSchema);
+const TaxDeclaration = mongoose.model('TaxDeclaration', taxDeclarationSchema);
+const Notification = mongoose.model('Notification', notificationSchema);
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+const Migration = mongoose.model('Migration', migrationSchema);
+
+module.exports = {
+  Employee,
+  Role,
+  Department,
+  Designation,
+  Attendance,
+  Session,
+  LeaveType,
+  LeaveBalance,
+  LeaveRequest,
+  RegularizationRequest,
+  Organization,
+  Holiday,
+  PayrollRun,
+  Payslip,
+  Settlement,
+  SalaryRevision,
+  TaxDeclaration,
+  Notification,
+  AuditLog,
+  Migration,
+};
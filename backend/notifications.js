@@ -0,0 +1,407 @@
+const { Employee, Payslip, Notification } = require('./models');
+const { getOrganization } = require('./calendar');
+const { getPayslip } = require('./payroll');
+const { renderPayslipPdf, formatAmount } = require('./pdf');
+const { dateKey } = require('./dates');
+const { createTransport } = require('./mailer');
+
+// Events are recorded in the outbox when they happen; a background
+// dispatcher renders and sends them, retrying failures with backoff.
+const NOTIFICATION_EVENTS = [
+  'account.created',
+  'password.reset',
+  'payslip.ready',
+  'attendance.absent',
+];
+const NOTIFICATION_STATUSES = Notification.schema.path('status').enumValues;
+const NOTIFICATION_SETTINGS_FIELDS = [
+  'enabled',
+  'disabledEvents',
+  'attachPayslip',
+  'templates',
+];
+
+// Subject and text of each event's message. {{field}} is replaced by the
+// notification's data; name and companyName are always available.
+const DEFAULT_TEMPLATES = {
+  'account.created': {
+    subject: 'Your {{companyName}} account',
+    text:
+      'Hello {{name}},\n\n' +
+      'An account has been created for you.\n\n' +
+      'Username: {{username}}\n' +
+      'Temporary password: {{temporaryPassword}}\n\n' +
+      'You will be asked to choose a new password when you first sign in.',
+  },
+  'password.reset': {
+    subject: 'Your {{companyName}} password was reset',
+    text:
+      'Hello {{name}},\n\n' +
+      'Your password has been reset by an administrator.\n\n' +
+      'Username: {{username}}\n' +
+      'Temporary password: {{temporaryPassword}}\n\n' +
+      'You will be asked to choose a new password when you next sign in.',
+  },
+  'payslip.ready': {
+    subject: 'Your payslip for {{period}}',
+    text:
+      'Hello {{name}},\n\n' +
+      'Your payslip for {{period}} is ready. Net pay: {{netPay}}.\n\n' +
+      'You can also download it from self-service at any time.',
+  },
+  'attendance.absent': {
+    subject: 'Marked absent on {{date}}',
+    text:
+      'Hello {{name}},\n\n' +
+      'You have been marked absent on {{date}}. If this is a mistake, ' +
+      'raise an attendance regularization request with the reason.',
+  },
+};
+
+// Data that must not stay in the outbox once a message is sent or given up on
+const SECRET_FIELDS = {
+  'account.created': ['temporaryPassword'],
+  'password.reset': ['temporaryPassword'],
+};
+
+const MAX_ATTEMPTS = 5;
+// Delay before the first retry; doubled after every further failure
+const RETRY_DELAY_MS = 60 * 1000;
+// A claim older than this is from a dispatcher that died while sending
+const SENDING_TIMEOUT_MS = 10 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isValidEmail(email) {
+  return typeof email === 'string' && EMAIL_PATTERN.test(email.trim());
+}
+
+function validateNotificationSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    return 'notifications must be an object';
+  }
+  for (const field of ['enabled', 'attachPayslip']) {
+    if (
+      settings[field] !== undefined &&
+      typeof settings[field] !== 'boolean'
+    ) {
+      return `notifications.${field} must be true or false`;
+    }
+  }
+  const { disabledEvents, templates } = settings;
+  if (
+    disabledEvents !== undefined &&
+    (!Array.isArray(disabledEvents) ||
+      disabledEvents.some((e) => !NOTIFICATION_EVENTS.includes(e)))
+  ) {
+    return `notifications.disabledEvents must list events out of ${NOTIFICATION_EVENTS.join(', ')}`;
+  }
+  if (templates !== undefined) {
+    if (!Array.isArray(templates)) {
+      return 'notifications.templates must be an array';
+    }
+    const seen = new Set();
+    for (const t of templates) {
+      if (!t || !NOTIFICATION_EVENTS.includes(t.event)) {
+        return `Template event must be one of ${NOTIFICATION_EVENTS.join(', ')}`;
+      }
+      if (seen.has(t.event)) return `Duplicate template for ${t.event}`;
+      seen.add(t.event);
+      for (const field of ['subject', 'text']) {
+        if (typeof t[field] !== 'string' || !t[field].trim()) {
+          return `Template ${field} required for ${t.event}`;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// "Hello {{name}}" -> "Hello John Doe"; unknown fields become empty
+function renderTemplate(template, data) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, field) =>
+    data[field] == null ? '' : String(data[field])
+  );
+}
+
+function monthName(year, month) {
+  return new Date(year, month - 1).toLocaleString('en-US', {
+    month: 'long',
+    year: 'numeric',
+  });
+}
+
+//------------------ OUTBOX ------------------//
+
+// Queue one message per { employee, data, attachments } of an event.
+// Employees without an email address are left out, and nothing is queued
+// while notifications or the event are switched off. Returns the queued
+// notifications.
+async function notifyAll(event, items) {
+  const { notifications, branding } = await getOrganization();
+  if (
+    !notifications.enabled ||
+    notifications.disabledEvents.includes(event)
+  ) {
+    return [];
+  }
+
+  const docs = items
+    .filter(({ employee }) => employee && employee.email)
+    .map(({ employee, data = {}, attachments = [] }) => ({
+      event,
+      employee: employee._id,
+      to: employee.email,
+      data: {
+        name: employee.name,
+        // Without branding the messages read "Your Payroll account"
+        companyName: branding.companyName || 'Payroll',
+        ...data,
+      },
+      attachments,
+    }));
+  return docs.length ? Notification.insertMany(docs) : [];
+}
+
+async function notify(event, employee, data, attachments) {
+  const [notification] = await notifyAll(event, [
+    { employee, data, attachments },
+  ]);
+  return notification || null;
+}
+
+// payslip.ready for every payslip of a payroll run
+async function notifyPayslipsReady(run) {
+  const [{ notifications, branding }, payslips] = await Promise.all([
+    getOrganization(),
+    Payslip.find({ payrollRun: run._id })
+      .select('employee netPay')
+      .populate('employee', 'name email')
+      .lean(),
+  ]);
+  const { year, month } = run;
+
+  return notifyAll(
+    'payslip.ready',
+    payslips.map((p) => ({
+      employee: p.employee,
+      data: {
+        period: monthName(year, month),
+        year,
+        month,
+        netPay: formatAmount(p.netPay, branding),
+      },
+      attachments: notifications.attachPayslip
+        ? [{ kind: 'payslip', year, month }]
+        : [],
+    }))
+  );
+}
+
+// attendance.absent for each { employeeId, date } marked absent
+async function notifyMarkedAbsent(records) {
+  if (!records.length) return [];
+  const employees = await Employee.find({
+    _id: { $in: records.map((r) => r.employeeId) },
+  })
+    .select('name email')
+    .lean();
+  const byId = new Map(employees.map((e) => [String(e._id), e]));
+
+  return notifyAll(
+    'attendance.absent',
+    records.map(({ employeeId, date }) => ({
+      employee: byId.get(String(employeeId)),
+      data: { date: dateKey(date) },
+    }))
+  );
+}
+
+// Outbox entries, newest first, without secrets that are still pending
+async function listNotifications(query, { page = 1, limit = 50 } = {}) {
+  const hidden = [...new Set(Object.values(SECRET_FIELDS).flat())].map(
+    (field) => `-data.${field}`
+  );
+  const [notifications, total] = await Promise.all([
+    Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select(hidden.join(' '))
+      .populate('employee', 'name empId')
+      .lean(),
+    Notification.countDocuments(query),
+  ]);
+  return { notifications, total, page, limit };
+}
+
+// Whether a message carried data that is dropped once delivery ends, so
+// that it cannot be sent again
+function hasSecrets(notification) {
+  return Boolean(SECRET_FIELDS[notification.event]);
+}
+
+// Send a failed notification again from the first attempt
+function retryNotification(id) {
+  return Notification.findOneAndUpdate(
+    { _id: id, status: 'failed' },
+    {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      $unset: { lastError: 1 },
+    },
+    { new: true }
+  );
+}
+
+//------------------ DISPATCHER ------------------//
+
+async function buildAttachments(notification, branding) {
+  const files = [];
+  for (const attachment of notification.attachments) {
+    if (attachment.kind === 'payslip') {
+      const { year, month } = attachment;
+      const payslip = await getPayslip(notification.employee, year, month);
+      files.push({
+        filename: `payslip_${payslip.employee.empId}_${year}_${month}.pdf`,
+        content: await renderPayslipPdf(payslip, branding),
+        contentType: 'application/pdf',
+      });
+    }
+  }
+  return files;
+}
+
+async function deliver(notification, transport) {
+  const { notifications, branding } = await getOrganization();
+  const template =
+    notifications.templates.find((t) => t.event === notification.event) ||
+    DEFAULT_TEMPLATES[notification.event];
+  if (!template) throw new Error(`No template for ${notification.event}`);
+
+  const subject = renderTemplate(template.subject, notification.data);
+  const reference = await transport.send({
+    from: transport.from,
+    to: notification.to,
+    subject,
+    text: renderTemplate(template.text, notification.data),
+    attachments: await buildAttachments(notification, branding),
+  });
+  return { subject, reference };
+}
+
+// Take the next due notification so that no two dispatchers send it
+function claimNext(now) {
+  return Notification.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        {
+          status: 'sending',
+          lockedAt: { $lte: new Date(now - SENDING_TIMEOUT_MS) },
+        },
+      ],
+    },
+    { status: 'sending', lockedAt: now, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+// Once delivery ends, either way, secrets are no longer needed
+function withoutSecrets(notification, update) {
+  const secrets = SECRET_FIELDS[notification.event] || [];
+  if (!secrets.length) return update;
+  return {
+    ...update,
+    $unset: Object.fromEntries(secrets.map((f) => [`data.${f}`, 1])),
+  };
+}
+
+// Send up to `limit` due notifications; returns { sent, failed, retrying }
+async function dispatchPending(transport, { limit = 50 } = {}) {
+  const result = { sent: 0, failed: 0, retrying: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const now = new Date();
+    const notification = await claimNext(now);
+    if (!notification) break;
+
+    let update;
+    try {
+      const { subject, reference } = await deliver(notification, transport);
+      update = withoutSecrets(notification, {
+        status: 'sent',
+        sentAt: new Date(),
+        subject,
+        transport: transport.name,
+        reference,
+        lastError: null,
+      });
+      result.sent++;
+    } catch (e) {
+      if (notification.attempts >= MAX_ATTEMPTS) {
+        update = withoutSecrets(notification, {
+          status: 'failed',
+          lastError: e.message,
+        });
+        result.failed++;
+      } else {
+        const delay = RETRY_DELAY_MS * 2 ** (notification.attempts - 1);
+        update = {
+          status: 'pending',
+          nextAttemptAt: new Date(now.getTime() + delay),
+          lastError: e.message,
+        };
+        result.retrying++;
+      }
+    }
+    await Notification.updateOne({ _id: notification._id }, update);
+  }
+  return result;
+}
+
+// Poll the outbox every intervalMs; returns a function that stops it
+function startDispatcher({ intervalMs = 30 * 1000, transport } = {}) {
+  const mail = transport || createTransport();
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { sent, failed, retrying } = await dispatchPending(mail);
+      if (sent || failed || retrying) {
+        console.log(
+          `Notifications: ${sent} sent, ${retrying} to retry, ${failed} failed`
+        );
+      }
+    } catch (e) {
+      console.error('Notification dispatch error:', e.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_STATUSES,
+  NOTIFICATION_SETTINGS_FIELDS,
+  DEFAULT_TEMPLATES,
+  isValidEmail,
+  validateNotificationSettings,
+  renderTemplate,
+  notify,
+  notifyPayslipsReady,
+  notifyMarkedAbsent,
+  listNotifications,
+  hasSecrets,
+  retryNotification,
+  dispatchPending,
+  startDispatcher,
+};
@@ -0,0 +1,280 @@
+// Just enough OpenAPI 3.0 for the v2 API (see apiV2.js): the document is
+// built from a route table and every request is checked against it.
+const OPENAPI_VERSION = '3.0.3';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+//------------------ SCHEMA VALIDATION ------------------//
+// Supported keywords: type, nullable, enum, format (date), pattern,
+// minimum, maximum, minLength, minItems, items, properties, required and
+// additionalProperties.
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? 'number' : null;
+  }
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describeType(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+// Appends a message to errors for every way value breaks schema
+function validateValue(schema, value, path, errors = []) {
+  if (value === null) {
+    if (!schema.nullable) errors.push(`${path} must not be null`);
+    return errors;
+  }
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push(`${path} must be ${describeType(schema.type)}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.format === 'date' && !DATE_PATTERN.test(value)) {
+      errors.push(`${path} must be a date (YYYY-MM-DD)`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} must match ${schema.pattern}`);
+    }
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) =>
+        validateValue(schema.items, item, `${path}[${i}]`, errors)
+      );
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push(`${path}.${name} is required`);
+    }
+    for (const [name, v] of Object.entries(value)) {
+      if (v === undefined) continue;
+      if (properties[name]) {
+        validateValue(properties[name], v, `${path}.${name}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name} is not allowed`);
+      }
+    }
+  }
+  return errors;
+}
+
+// Path and query parameters arrive as strings (or arrays of strings for a
+// repeated query parameter); convert them to the type the schema expects
+function coerceParameter(schema, raw) {
+  if (schema.type === 'array') {
+    return [].concat(raw).map((v) => coerceParameter(schema.items || {}, v));
+  }
+  if (typeof raw !== 'string') return raw;
+  if (['integer', 'number'].includes(schema.type)) {
+    return /^-?\d+(\.\d+)?$/.test(raw) ? Number(raw) : raw;
+  }
+  if (schema.type === 'boolean' && ['true', 'false'].includes(raw)) {
+    return raw === 'true';
+  }
+  return raw;
+}
+
+//------------------ DOCUMENT ------------------//
+
+// "/employees/{id}" -> "/employees/:id"
+function toExpressPath(path) {
+  return path.replace(/\{(\w+)\}/g, ':$1');
+}
+
+// get /employees/{id}/attendance -> getEmployeeByIdAttendance
+function operationId(method, path) {
+  const words = path
+    .split('/')
+    .filter(Boolean)
+    .map((part) => {
+      const param = /^\{(\w+)\}$/.exec(part);
+      const word = param ? `by-${param[1]}` : part;
+      return word
+        .split(/[-.]/)
+        .map((w) => w[0].toUpperCase() + w.slice(1))
+        .join('');
+    });
+  return method + words.join('');
+}
+
+const BINARY = { type: 'string', format: 'binary' };
+
+const JSON_RESPONSE = (description, ref) => ({
+  description,
+  content: {
+    'application/json': { schema: { $ref: `#/components/schemas/${ref}` } },
+  },
+});
+
+// The OpenAPI operation for one route of the table:
+// { method, path, summary, tag, public, params, query, body, produces }
+function buildOperation(route) {
+  const parameters = [
+    ...Object.entries(route.params || {}).map(([name, param]) => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: param.schema,
+    })),
+    ...Object.entries((route.query && route.query.properties) || {}).map(
+      ([name, schema]) => ({
+        name,
+        in: 'query',
+        required: (route.query.required || []).includes(name),
+        schema,
+        ...(schema.type === 'array' ? { style: 'form', explode: true } : {}),
+      })
+    ),
+  ];
+
+  const operation = {
+    operationId: operationId(route.method, route.path),
+    summary: route.summary,
+    tags: [route.tag],
+    parameters,
+    responses: {
+      200: route.produces
+        ? {
+            description: 'Success',
+            content: { [route.produces]: { schema: BINARY } },
+          }
+        : JSON_RESPONSE('Success', 'Success'),
+      400: JSON_RESPONSE('Invalid request', 'Error'),
+      default: JSON_RESPONSE('Error', 'Error'),
+    },
+  };
+  if (route.public) operation.security = [];
+  if (route.body) {
+    operation.requestBody = {
+      required: Boolean(route.body.required && route.body.required.length),
+      content: { 'application/json': { schema: route.body } },
+    };
+  }
+  if (route.rawBody) {
+    operation.requestBody = {
+      required: true,
+      content: { [route.rawBody]: { schema: { type: 'string' } } },
+    };
+  }
+  return operation;
+}
+
+function buildDocument({ title, version, description, serverUrl, routes }) {
+  const paths = {};
+  for (const route of routes) {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method] = buildOperation(route);
+  }
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: { title, version, description },
+    servers: [{ url: serverUrl }],
+    security: [{ bearerAuth: [] }, { cookieAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        cookieAuth: { type: 'apiKey', in: 'cookie', name: 'accessToken' },
+      },
+      schemas: {
+        Success: {
+          type: 'object',
+          required: ['ok'],
+          properties: { ok: { type: 'boolean', enum: [true] } },
+          additionalProperties: true,
+        },
+        Error: {
+          type: 'object',
+          required: ['ok', 'error'],
+          properties: {
+            ok: { type: 'boolean', enum: [false] },
+            error: { type: 'string' },
+            errors: { type: 'array', items: { type: 'string' } },
+          },
+          additionalProperties: true,
+        },
+      },
+    },
+  };
+}
+
+//------------------ REQUEST VALIDATION ------------------//
+
+// Middleware checking a request against its operation. Coerced parameters
+// are left in res.locals.params ({ path, query }); on failure it answers
+// 400 with every problem found.
+function validateRequest(operation) {
+  const queryNames = new Set(
+    operation.parameters.filter((p) => p.in === 'query').map((p) => p.name)
+  );
+
+  return (req, res, next) => {
+    const errors = [];
+    const params = { path: {}, query: {} };
+
+    for (const p of operation.parameters) {
+      const raw = (p.in === 'path' ? req.params : req.query)[p.name];
+      if (raw === undefined || raw === '') {
+        if (p.required) errors.push(`${p.in}.${p.name} is required`);
+        continue;
+      }
+      const value = coerceParameter(p.schema, raw);
+      validateValue(p.schema, value, `${p.in}.${p.name}`, errors);
+      params[p.in][p.name] = value;
+    }
+    for (const name of Object.keys(req.query)) {
+      if (!queryNames.has(name)) errors.push(`query.${name} is not allowed`);
+    }
+
+    const json =
+      operation.requestBody &&
+      operation.requestBody.content['application/json'];
+    if (json) validateValue(json.schema, req.body, 'body', errors);
+
+    if (errors.length) {
+      return res.status(400).json({ ok: false, error: errors[0], errors });
+    }
+    res.locals.params = params;
+    next();
+  };
+}
+
+module.exports = {
+  validateValue,
+  coerceParameter,
+  toExpressPath,
+  buildDocument,
+  validateRequest,
+};
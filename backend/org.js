@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const { Employee, Department, Designation } = require('./models');
+
+// _ids of everyone reporting to managerId, directly or indirectly
+async function getReportIds(managerId) {
+  if (!mongoose.isValidObjectId(managerId)) return [];
+  const [result] = await Employee.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(String(managerId)) } },
+    {
+      $graphLookup: {
+        from: Employee.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'manager',
+        as: 'reports',
+      },
+    },
+    { $project: { reports: '$reports._id' } },
+  ]);
+  return result ? result.reports : [];
+}
+
+async function isReportOf(employeeId, managerId) {
+  const reports = await getReportIds(managerId);
+  return reports.some((id) => String(id) === String(employeeId));
+}
+
+// Making managerId the manager of employeeId loops if the manager is the
+// employee or already reports to them
+async function createsReportingCycle(employeeId, managerId) {
+  return (
+    String(employeeId) === String(managerId) ||
+    (await isReportOf(managerId, employeeId))
+  );
+}
+
+// Turn departmentId / designationId / managerId from a request body into an
+// employee update; null or '' clears the field. employeeId is the employee
+// being updated (none while creating). Returns { error } or { update }.
+async function resolveOrgAssignment(body, employeeId) {
+  const references = [
+    ['departmentId', 'department', Department, 'Department'],
+    ['designationId', 'designation', Designation, 'Designation'],
+    ['managerId', 'manager', Employee, 'Manager'],
+  ];
+  const update = {};
+  for (const [input, field, Model, label] of references) {
+    const id = body[input];
+    if (id === undefined) continue;
+    if (id === null || id === '') {
+      update[field] = null;
+      continue;
+    }
+    if (!mongoose.isValidObjectId(id) || !(await Model.exists({ _id: id }))) {
+      return { error: `${label} not found` };
+    }
+    update[field] = id;
+  }
+
+  if (
+    update.manager &&
+    employeeId &&
+    (await createsReportingCycle(employeeId, update.manager))
+  ) {
+    return {
+      error: 'The manager cannot be the employee or one of their reports',
+    };
+  }
+  return { update };
+}
+
+// Reporting tree of current staff:
+// [{ _id, name, empId, department, designation, reports }].
+// Without rootId, everyone without a manager is a root.
+async function getOrgChart(rootId) {
+  const employees = await Employee.find({ status: { $ne: 'exited' } })
+    .select('name empId role manager department designation')
+    .populate('department', 'name')
+    .populate('designation', 'name')
+    .sort({ name: 1 })
+    .lean();
+
+  const nodes = new Map(
+    employees.map((e) => [
+      String(e._id),
+      {
+        _id: e._id,
+        name: e.name,
+        empId: e.empId,
+        role: e.role,
+        department: e.department ? e.department.name : null,
+        designation: e.designation ? e.designation.name : null,
+        reports: [],
+      },
+    ])
+  );
+
+  const roots = [];
+  for (const e of employees) {
+    const manager = e.manager && nodes.get(String(e.manager));
+    (manager ? manager.reports : roots).push(nodes.get(String(e._id)));
+  }
+
+  if (!rootId) return roots;
+  const root = nodes.get(String(rootId));
+  return root ? [root] : null;
+}
+
+module.exports = {
+  getReportIds,
+  isReportOf,
+  resolveOrgAssignment,
+  getOrgChart,
+};
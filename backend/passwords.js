@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const MIN_PASSWORD_LENGTH = 8;
+
+// Stored as "scrypt$<salt>$<hash>" (hex), salt is per password
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+function isPasswordHash(value) {
+  return typeof value === 'string' && value.startsWith('scrypt$');
+}
+
+async function verifyPassword(password, stored) {
+  if (!isPasswordHash(stored) || typeof password !== 'string') return false;
+
+  const [, salt, hash] = stored.split('$');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Hash of a random password, made up front so the first check is not slower
+const dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// Check a password when there is no account, so that an unknown username takes
+// as long as a wrong password and cannot be told apart by timing. Never true.
+async function verifyDummyPassword(password) {
+  await verifyPassword(password, await dummyHash);
+  return false;
+}
+
+// Returns an error message, or null if the password is acceptable
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function generateTemporaryPassword() {
+  return crypto.randomBytes(9).toString('base64url');
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  isPasswordHash,
+  verifyPassword,
+  verifyDummyPassword,
+  validatePassword,
+  generateTemporaryPassword,
+};
@@ -0,0 +1,230 @@
+const { Employee, Payslip, Organization } = require('./models');
+const { readBankAccount, hasEncryptionKey } = require('./bankDetails');
+const { formatCsv } = require('./csv');
+const { round2 } = require('./salary');
+const { dateKey } = require('./dates');
+
+// The file the bank is given to pay a month's salaries: one credit per
+// employee's net pay plus a control total (count and amount) the bank checks
+// the payments against
+const PAYMENT_FILE_FORMATS =
+  Organization.schema.path('paymentFile.format').enumValues;
+const PAYMENT_FILE_SETTINGS_FIELDS = [
+  'format',
+  'debitAccountNumber',
+  'narration',
+];
+const DEBIT_ACCOUNT_PATTERN = /^\d{9,18}$/;
+
+function validatePaymentFileSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    return 'paymentFile must be an object';
+  }
+  const { format, debitAccountNumber, narration } = settings;
+  if (format !== undefined && !PAYMENT_FILE_FORMATS.includes(format)) {
+    return `paymentFile.format must be one of ${PAYMENT_FILE_FORMATS.join(', ')}`;
+  }
+  if (
+    debitAccountNumber !== undefined &&
+    debitAccountNumber !== '' &&
+    !DEBIT_ACCOUNT_PATTERN.test(debitAccountNumber)
+  ) {
+    return 'paymentFile.debitAccountNumber must be 9 to 18 digits';
+  }
+  if (narration !== undefined && typeof narration !== 'string') {
+    return 'paymentFile.narration must be a string';
+  }
+  return null;
+}
+
+// "NOV 2025"
+function periodLabel(year, month) {
+  const name = new Date(year, month - 1).toLocaleString('en-US', {
+    month: 'short',
+  });
+  return `${name.toUpperCase()} ${year}`;
+}
+
+//------------------ PAYMENTS ------------------//
+
+// Credits for the payslips of a payroll run, in Emp ID order:
+// { payments, excluded, control }. Employees without valid bank details or
+// with nothing to pay are listed in `excluded` with the reason, and are
+// left out of the control total.
+async function collectPayments(run) {
+  if (!hasEncryptionKey()) {
+    throw new Error('BANK_DETAILS_KEY is not set; employees cannot be paid');
+  }
+
+  const payslips = await Payslip.find({ payrollRun: run._id })
+    .select('employee netPay data.employee.empId data.employee.name')
+    .sort({ 'data.employee.empId': 1 })
+    .lean();
+  const employees = await Employee.find({
+    _id: { $in: payslips.map((p) => p.employee) },
+  })
+    .select('+bankAccount.accountNumber')
+    .lean();
+  const byId = new Map(employees.map((e) => [String(e._id), e]));
+
+  const payments = [];
+  const excluded = [];
+  for (const { employee: employeeId, netPay, data } of payslips) {
+    const emp = byId.get(String(employeeId));
+    const { empId, name } = data.employee;
+    const employee = { employeeId, empId, name };
+    const { details, problem } = emp
+      ? readBankAccount(emp.bankAccount)
+      : { problem: 'Employee not found' };
+    if (problem) {
+      excluded.push({ ...employee, netPay, reason: problem });
+    } else if (!(netPay > 0)) {
+      excluded.push({ ...employee, netPay, reason: 'Nothing to pay' });
+    } else {
+      payments.push({
+        serial: payments.length + 1,
+        ...employee,
+        ...details,
+        maskedAccountNumber: emp.bankAccount.maskedAccountNumber,
+        amount: round2(netPay),
+      });
+    }
+  }
+
+  return {
+    payments,
+    excluded,
+    control: {
+      count: payments.length,
+      total: round2(payments.reduce((sum, p) => sum + p.amount, 0)),
+    },
+  };
+}
+
+//------------------ FILE FORMATS ------------------//
+
+const amountText = (amount) => amount.toFixed(2);
+
+function csvFile({ payments, control }, settings, narration) {
+  return formatCsv([
+    [
+      'Sr No',
+      'Debit Account',
+      'Beneficiary Name',
+      'Beneficiary Account',
+      'IFSC',
+      'Amount',
+      'Narration',
+      'Emp ID',
+    ],
+    ...payments.map((p) => [
+      p.serial,
+      settings.debitAccountNumber,
+      p.accountHolderName,
+      p.accountNumber,
+      p.ifsc,
+      amountText(p.amount),
+      narration,
+      p.empId,
+    ]),
+    [
+      'TOTAL',
+      '',
+      `${control.count} payments`,
+      '',
+      '',
+      amountText(control.total),
+      '',
+      '',
+    ],
+  ]);
+}
+
+// Fixed-width NEFT records, all RECORD_LENGTH characters, CRLF-terminated.
+// Text is upper case without accents or symbols, left-aligned and
+// space-padded; numbers are right-aligned and zero-padded; amounts are in
+// paise.
+//   H  file date YYYYMMDD (8), debit account (18), payment count (6),
+//      control total (15), company name (35)
+//   D  serial (6), IFSC (11), account number (18), beneficiary name (35),
+//      amount (15), narration (30)
+//   T  payment count (6), control total (15)
+const RECORD_LENGTH = 116;
+
+function text(value, width) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9 .\-/]+/g, ' ')
+    .replace(/ +/g, ' ')
+    .slice(0, width)
+    .padEnd(width);
+}
+
+function number(value, width) {
+  return String(value).padStart(width, '0');
+}
+
+const paise = (amount) => Math.round(amount * 100);
+
+function neftFile({ payments, control }, settings, narration, companyName) {
+  const records = [
+    [
+      'H',
+      dateKey(new Date()).replace(/-/g, ''),
+      text(settings.debitAccountNumber, 18),
+      number(control.count, 6),
+      number(paise(control.total), 15),
+      text(companyName, 35),
+    ],
+    ...payments.map((p) => [
+      'D',
+      number(p.serial, 6),
+      text(p.ifsc, 11),
+      text(p.accountNumber, 18),
+      text(p.accountHolderName, 35),
+      number(paise(p.amount), 15),
+      text(narration, 30),
+    ]),
+    ['T', number(control.count, 6), number(paise(control.total), 15)],
+  ];
+  return records
+    .map((fields) => `${fields.join('').padEnd(RECORD_LENGTH)}\r\n`)
+    .join('');
+}
+
+const FILE_TYPES = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  neft: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+};
+
+// The payment file of a finalized or paid payroll run in `format`:
+// { filename, contentType, content, payments, excluded, control }
+async function buildPaymentFile(run, format, organization) {
+  const { paymentFile: settings, branding } = organization;
+  const collected = await collectPayments(run);
+  const narration = settings.narration.replace(
+    /\{\{\s*period\s*\}\}/g,
+    periodLabel(run.year, run.month)
+  );
+  const content =
+    format === 'neft'
+      ? neftFile(collected, settings, narration, branding.companyName)
+      : csvFile(collected, settings, narration);
+  const { extension, contentType } = FILE_TYPES[format];
+
+  return {
+    filename: `salary_payments_${run.year}_${run.month}.${extension}`,
+    contentType,
+    content,
+    ...collected,
+  };
+}
+
+module.exports = {
+  PAYMENT_FILE_FORMATS,
+  PAYMENT_FILE_SETTINGS_FIELDS,
+  validatePaymentFileSettings,
+  buildPaymentFile,
+};
@@ -0,0 +1,467 @@
+const {
+  Employee,
+  Attendance,
+  PayrollRun,
+  Payslip,
+  SalaryRevision,
+} = require('./models');
+const { round2, computeSalaryComponents } = require('./salary');
+const {
+  startOfMonth,
+  endOfMonth,
+  endOfDay,
+  monthOf,
+  dateKey,
+} = require('./dates');
+const {
+  getOrganization,
+  getCalendarDays,
+  computePayableDays,
+  computePayableShare,
+  scheduledMinutes,
+  countOvertimeMinutes,
+} = require('./calendar');
+const { getSalarySegments } = require('./revisions');
+const { TDS, computeMonthlyTds } = require('./tax');
+const { yearToDate } = require('./statements');
+
+// Months whose payroll reached one of these states can no longer change
+const LOCKED_PAYROLL_STATUSES = ['finalized', 'paid'];
+
+// Settlement lines for salary revisions backdated into locked months
+const ARREARS = 'ARREARS';
+const ARREARS_RECOVERY = 'ARREARS_RECOVERY';
+
+//------------------ SALARY CALCULATION ------------------//
+// Payslip for one month. Salary revisions during the month are paid for the
+// days they were in force; unless withArrears is false, revisions backdated
+// into already locked months are settled through an arrears line. Unless
+// withTax is false, income tax is withheld (see tax.js).
+// salarySegments overrides the revisions (used to re-price a locked month),
+// lastWorkingDay the stored one (used to settle an exit not yet stored).
+async function calculateSalary(
+  employeeId,
+  year,
+  month,
+  { withArrears = true, withTax = true, salarySegments, lastWorkingDay } = {}
+) {
+  const emp = await Employee.findById(employeeId)
+    .select('-password')
+    .populate('department', 'name')
+    .populate('designation', 'name')
+    .lean();
+  if (!emp) throw new Error('Employee not found');
+  if (lastWorkingDay) emp.lastWorkingDay = lastWorkingDay;
+
+  const from = startOfMonth(year, month);
+  const to = endOfMonth(year, month);
+
+  const organization = await getOrganization();
+  const days = await getCalendarDays(from, to, organization);
+  const attendance = await Attendance.find({
+    employee: employeeId,
+    date: { $gte: from, $lte: to },
+  })
+    .select('date status overtimeMinutes')
+    .lean();
+  const statusByKey = new Map(attendance.map((a) => [dateKey(a.date), a.status]));
+  // Nothing is earned after an employee's last working day
+  if (emp.lastWorkingDay) {
+    const lastDay = endOfDay(emp.lastWorkingDay);
+    days
+      .filter((d) => d.date > lastDay)
+      .forEach((d) => statusByKey.set(d.key, 'absent'));
+  }
+
+  // Present, leave, weekly off and holiday days are paid (see calendar.js)
+  const { payableRatio, ...dayBreakdown } = computePayableDays(
+    days,
+    statusByKey,
+    organization.prorationBasis
+  );
+
+  // Each revision earns its share of the month; the result is expressed as
+  // one blended monthly salary so caps and thresholds apply once
+  const segments = salarySegments || (await getSalarySegments(emp, from, to));
+  const shares = segments.map((segment) =>
+    computePayableShare(
+      days.filter((d) => d.date >= segment.from && d.date <= segment.to),
+      days,
+      statusByKey,
+      organization.prorationBasis
+    )
+  );
+  const totalShare = shares.reduce((a, b) => a + b, 0);
+  const monthlySalary = totalShare
+    ? segments.reduce((sum, seg, i) => sum + seg.salary * shares[i], 0) /
+      totalShare
+    : segments[segments.length - 1].salary;
+
+  // Overtime is paid at overtimeRate x (daily salary / scheduled hours)
+  const policy = organization.attendancePolicy;
+  const overtimeMinutes = countOvertimeMinutes(attendance);
+  const hourlyRate =
+    monthlySalary /
+    (dayBreakdown.divisor || 1) /
+    (scheduledMinutes(policy) / 60);
+  const overtimePay = (overtimeMinutes / 60) * hourlyRate * policy.overtimeRate;
+
+  const arrears = withArrears ? await computeArrears(emp, year, month) : [];
+  const arrearsTotal = round2(arrears.reduce((sum, a) => sum + a.amount, 0));
+
+  const additionalEarnings = [
+    { code: 'OVERTIME', name: 'Overtime', amount: overtimePay },
+    { code: ARREARS, name: 'Salary Arrears', amount: arrearsTotal },
+  ];
+  const additionalDeductions = [
+    { code: ARREARS_RECOVERY, name: 'Salary Recovery', amount: -arrearsTotal },
+  ];
+  let components = computeSalaryComponents(
+    emp.salaryStructure,
+    monthlySalary,
+    payableRatio,
+    { additionalEarnings, additionalDeductions }
+  );
+
+  // Tax is withheld on the month's gross earnings, so it is added last
+  const tax = withTax
+    ? await computeMonthlyTds(emp, year, month, components.grossEarnings)
+    : null;
+  if (tax && tax.amount) {
+    components = computeSalaryComponents(
+      emp.salaryStructure,
+      monthlySalary,
+      payableRatio,
+      {
+        additionalEarnings,
+        additionalDeductions: [
+          ...additionalDeductions,
+          { code: TDS, name: 'Income Tax (TDS)', amount: tax.amount },
+        ],
+      }
+    );
+  }
+
+  return {
+    employee: emp,
+    year,
+    month,
+    ...dayBreakdown,
+    baseSalary: round2(monthlySalary),
+    salarySegments: segments.map((seg) => ({
+      from: seg.from,
+      to: seg.to,
+      salary: seg.salary,
+    })),
+    perDaySalary: round2(monthlySalary / (dayBreakdown.divisor || 1)),
+    overtimeHours: round2(overtimeMinutes / 60),
+    overtimeRate: policy.overtimeRate,
+    arrears,
+    tax,
+    ...components,
+    calculatedSalary: components.netPay,
+    ytd: await yearToDate(emp._id, year, month, components),
+  };
+}
+
+// Gross earnings of a payslip other than arrears paid for earlier months
+function earnedForMonth(payslip) {
+  return payslip.earnings
+    .filter((e) => e.code !== ARREARS)
+    .reduce((sum, e) => sum + e.amount, 0);
+}
+
+// Arrears owed for locked months before year/month: [{ year, month, amount }].
+// Only revisions saved after the employee's most recently computed locked
+// payslip can leave anything unpaid. Each affected month is priced twice with
+// today's settings and attendance - once with the salary it was paid at and
+// once with the revisions now on record - and arrears already paid for it in
+// later locked months are subtracted. Negative amounts are overpayments.
+async function computeArrears(emp, year, month) {
+  const lockedRuns = await PayrollRun.find({
+    status: { $in: LOCKED_PAYROLL_STATUSES },
+  })
+    .select('_id')
+    .lean();
+  const lockedSlips = (
+    await Payslip.find({
+      employee: emp._id,
+      payrollRun: { $in: lockedRuns.map((r) => r._id) },
+    })
+      .select('year month updatedAt data')
+      .lean()
+  ).filter((p) => p.year * 12 + p.month < year * 12 + month);
+  if (!lockedSlips.length) return [];
+
+  const settledAt = new Date(Math.max(...lockedSlips.map((p) => p.updatedAt)));
+  const [earliest] = await SalaryRevision.find({
+    employee: emp._id,
+    updatedAt: { $gt: settledAt },
+    effectiveFrom: { $lt: startOfMonth(year, month) },
+  })
+    .sort({ effectiveFrom: 1 })
+    .limit(1)
+    .lean();
+  if (!earliest) return [];
+
+  const monthIndex = (p) => p.year * 12 + p.month;
+  const arrears = [];
+  lockedSlips.sort((a, b) => monthIndex(a) - monthIndex(b));
+  for (const slip of lockedSlips) {
+    if (endOfMonth(slip.year, slip.month) < earliest.effectiveFrom) continue;
+
+    // Payslips stored before revisions existed carry only baseSalary
+    const paidSegments = slip.data.salarySegments || [
+      {
+        from: startOfMonth(slip.year, slip.month),
+        to: endOfMonth(slip.year, slip.month),
+        salary: slip.data.baseSalary,
+      },
+    ];
+    const revised = await calculateSalary(emp._id, slip.year, slip.month, {
+      withArrears: false,
+      withTax: false,
+    });
+    const asPaid = await calculateSalary(emp._id, slip.year, slip.month, {
+      withArrears: false,
+      withTax: false,
+      salarySegments: paidSegments.map((seg) => ({
+        ...seg,
+        from: new Date(seg.from),
+        to: new Date(seg.to),
+      })),
+    });
+
+    const alreadyPaid = lockedSlips
+      .filter((later) => monthIndex(later) > monthIndex(slip))
+      .flatMap((later) => later.data.arrears || [])
+      .filter((a) => a.year === slip.year && a.month === slip.month)
+      .reduce((sum, a) => sum + a.amount, 0);
+
+    const amount = round2(
+      earnedForMonth(revised) - earnedForMonth(asPaid) - alreadyPaid
+    );
+    if (amount) arrears.push({ year: slip.year, month: slip.month, amount });
+  }
+  return arrears;
+}
+
+//------------------ PAYROLL RUNS ------------------//
+// Employee filter for everyone still employed at the start of a month
+function employedDuring(year, month) {
+  return {
+    role: 'employee',
+    $or: [
+      { lastWorkingDay: null },
+      { lastWorkingDay: { $gte: startOfMonth(year, month) } },
+    ],
+  };
+}
+
+// Returns an error message, or null if year and month (numbers or numeric
+// strings) name a payroll month
+function payrollPeriodError(year, month) {
+  if (!month || !year) return 'Month and year required';
+  if (!Number.isInteger(+year) || +year < 1) {
+    return 'year must be a whole number';
+  }
+  if (!Number.isInteger(+month) || +month < 1 || +month > 12) {
+    return 'month must be a whole number from 1 to 12';
+  }
+  return null;
+}
+
+async function isPayrollLocked(year, month) {
+  return Boolean(
+    await PayrollRun.exists({
+      year,
+      month,
+      status: { $in: LOCKED_PAYROLL_STATUSES },
+    })
+  );
+}
+
+// Locked months from the earliest to the latest of the given dates, e.g.
+// ['2025-11']; a range's endpoints cover every month in between
+async function findLockedMonths(dates) {
+  if (!dates.length) return [];
+  const indexes = dates.map((d) => {
+    const { year, month } = monthOf(d);
+    return year * 12 + month - 1;
+  });
+  const first = Math.min(...indexes);
+  const last = Math.max(...indexes);
+
+  const runs = await PayrollRun.find({
+    year: { $gte: Math.floor(first / 12), $lte: Math.floor(last / 12) },
+    status: { $in: LOCKED_PAYROLL_STATUSES },
+  })
+    .select('year month')
+    .sort({ year: 1, month: 1 })
+    .lean();
+  return runs
+    .filter((r) => {
+      const index = r.year * 12 + r.month - 1;
+      return index >= first && index <= last;
+    })
+    .map((r) => `${r.year}-${r.month}`);
+}
+
+// The month's run, created as a draft first so payslips always point at a
+// stored run; the unique (year, month) index keeps concurrent runs to one
+async function findOrCreateRun(year, month) {
+  const upsert = () =>
+    PayrollRun.findOneAndUpdate(
+      { year, month },
+      { $setOnInsert: { year, month } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  try {
+    return await upsert();
+  } catch (e) {
+    // Created by a concurrent run in between; now it is found
+    if (e.code === 11000) return upsert();
+    throw e;
+  }
+}
+
+// Compute and store a payslip for every employee; only allowed while draft
+async function runPayroll(year, month, actor) {
+  const periodError = payrollPeriodError(year, month);
+  if (periodError) throw new Error(periodError);
+  const run = await findOrCreateRun(year, month);
+  if (run.status !== 'draft') {
+    throw new Error(`Payroll for ${month}/${year} is already ${run.status}`);
+  }
+
+  // The month an employee exits in is paid by their settlement; the months
+  // before it are still paid here
+  const employees = await Employee.find({
+    ...employedDuring(year, month),
+    $and: [
+      {
+        $or: [
+          { status: { $ne: 'exited' } },
+          { lastWorkingDay: { $gte: startOfMonth(year, month + 1) } },
+        ],
+      },
+    ],
+  })
+    .select('_id empId')
+    .lean();
+  const failures = [];
+  const computed = [];
+
+  for (const emp of employees) {
+    try {
+      const data = await calculateSalary(emp._id, year, month);
+      await Payslip.findOneAndUpdate(
+        { employee: emp._id, year, month },
+        {
+          payrollRun: run._id,
+          grossEarnings: data.grossEarnings,
+          totalDeductions: data.totalDeductions,
+          netPay: data.netPay,
+          data,
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      computed.push(emp._id);
+    } catch (e) {
+      failures.push({ employee: emp._id, empId: emp.empId, error: e.message });
+    }
+  }
+
+  // Employees removed since an earlier draft no longer belong to the run
+  await Payslip.deleteMany({
+    payrollRun: run._id,
+    employee: { $nin: computed },
+  });
+
+  run.totals = await payslipTotals(run._id);
+  run.failures = failures;
+  run.computedAt = new Date();
+  run.computedBy = actor && actor._id;
+  await run.save();
+  return run;
+}
+
+// Drop an employee's payslip from the month's run if it is still a draft,
+// e.g. the final month of an employee paid by their settlement
+async function removeFromDraftPayroll(employeeId, year, month) {
+  const run = await PayrollRun.findOne({ year, month, status: 'draft' });
+  if (!run) return;
+  const { deletedCount } = await Payslip.deleteMany({
+    payrollRun: run._id,
+    employee: employeeId,
+  });
+  if (!deletedCount) return;
+  run.totals = await payslipTotals(run._id);
+  await run.save();
+}
+
+async function payslipTotals(payrollRunId) {
+  const [sum] = await Payslip.aggregate([
+    { $match: { payrollRun: payrollRunId } },
+    {
+      $group: {
+        _id: null,
+        employees: { $sum: 1 },
+        grossEarnings: { $sum: '$grossEarnings' },
+        totalDeductions: { $sum: '$totalDeductions' },
+        netPay: { $sum: '$netPay' },
+      },
+    },
+  ]);
+
+  return {
+    employees: sum ? sum.employees : 0,
+    grossEarnings: sum ? round2(sum.grossEarnings) : 0,
+    totalDeductions: sum ? round2(sum.totalDeductions) : 0,
+    netPay: sum ? round2(sum.netPay) : 0,
+  };
+}
+
+// The stored snapshot once the month is locked, otherwise a live calculation
+async function getPayslip(employeeId, year, month) {
+  const run = await PayrollRun.findOne({ year, month }).lean();
+
+  if (run && LOCKED_PAYROLL_STATUSES.includes(run.status)) {
+    const stored = await Payslip.findOne({
+      payrollRun: run._id,
+      employee: employeeId,
+    }).lean();
+    if (!stored) {
+      throw new Error(
+        `No payslip in the ${run.status} payroll for ${month}/${year}`
+      );
+    }
+    // Payslips stored before year-to-date totals existed lack them
+    const ytd =
+      stored.data.ytd || (await yearToDate(employeeId, year, month, stored));
+    return {
+      ...stored.data,
+      ytd,
+      payrollStatus: run.status,
+      generatedAt: stored.updatedAt,
+    };
+  }
+
+  return {
+    ...(await calculateSalary(employeeId, year, month)),
+    payrollStatus: run ? run.status : null,
+    generatedAt: new Date(),
+  };
+}
+
+module.exports = {
+  LOCKED_PAYROLL_STATUSES,
+  employedDuring,
+  calculateSalary,
+  payrollPeriodError,
+  isPayrollLocked,
+  findLockedMonths,
+  runPayroll,
+  removeFromDraftPayroll,
+  getPayslip,
+};
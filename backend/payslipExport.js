@@ -0,0 +1,120 @@
+const archiver = require('archiver');
+const mongoose = require('mongoose');
+const { Employee } = require('./models');
+const { employedDuring, getPayslip } = require('./payroll');
+const {
+  createPdfDocument,
+  drawPayslip,
+  renderPayslipPdf,
+  drawExportSummary,
+} = require('./pdf');
+
+const PAYSLIP_EXPORT_FORMATS = ['pdf', 'zip'];
+
+function payslipFileName(payslip) {
+  return `payslip_${payslip.employee.empId}_${payslip.year}_${payslip.month}.pdf`;
+}
+
+// Payslips of every employee, or of those selected by _id or empId.
+// Employees that cannot be found or calculated are skipped with a reason.
+async function collectPayslips(year, month, { employeeIds, empIds } = {}) {
+  const filtered = Boolean(employeeIds || empIds);
+  // Without a selection, employees who left before the month are left out
+  const query = filtered ? { role: 'employee' } : employedDuring(year, month);
+  const ids = (employeeIds || []).map(String);
+  const codes = (empIds || []).map(String);
+
+  if (filtered) {
+    query.$or = [
+      { _id: { $in: ids.filter((id) => mongoose.isValidObjectId(id)) } },
+      { empId: { $in: codes } },
+    ];
+  }
+
+  const employees = await Employee.find(query)
+    .select('_id empId name')
+    .sort({ empId: 1 })
+    .lean();
+
+  const skipped = [];
+  if (filtered) {
+    const foundIds = new Set(employees.map((e) => e._id.toString()));
+    const foundCodes = new Set(employees.map((e) => e.empId));
+    ids
+      .filter((id) => !foundIds.has(id))
+      .forEach((id) =>
+        skipped.push({ employeeId: id, reason: 'Employee not found' })
+      );
+    codes
+      .filter((code) => !foundCodes.has(code))
+      .forEach((code) =>
+        skipped.push({ empId: code, reason: 'Employee not found' })
+      );
+  }
+
+  const payslips = [];
+  for (const emp of employees) {
+    try {
+      payslips.push(await getPayslip(emp._id, year, month));
+    } catch (e) {
+      skipped.push({
+        employeeId: emp._id,
+        empId: emp.empId,
+        name: emp.name,
+        reason: e.message,
+      });
+    }
+  }
+
+  return { year, month, payslips, skipped };
+}
+
+// One multi-page PDF: each payslip starts on a new page, and a summary
+// page closes the document when employees were skipped
+function writeMergedPdf(output, { year, month, payslips, skipped }, branding) {
+  const doc = createPdfDocument();
+  doc.pipe(output);
+
+  payslips.forEach((payslip, i) => {
+    if (i) doc.addPage();
+    drawPayslip(doc, payslip, branding);
+  });
+
+  if (skipped.length || !payslips.length) {
+    if (payslips.length) doc.addPage();
+    drawExportSummary(
+      doc,
+      { year, month, generated: payslips.length, skipped },
+      branding
+    );
+  }
+  doc.end();
+}
+
+// A ZIP with one PDF per employee plus summary.json listing skipped employees
+async function writeZip(output, { year, month, payslips, skipped }, branding) {
+  const archive = archiver('zip');
+  archive.pipe(output);
+
+  for (const payslip of payslips) {
+    archive.append(await renderPayslipPdf(payslip, branding), {
+      name: payslipFileName(payslip),
+    });
+  }
+  archive.append(
+    JSON.stringify(
+      { year, month, generated: payslips.length, skipped },
+      null,
+      2
+    ),
+    { name: 'summary.json' }
+  );
+  await archive.finalize();
+}
+
+module.exports = {
+  PAYSLIP_EXPORT_FORMATS,
+  collectPayslips,
+  writeMergedPdf,
+  writeZip,
+};
@@ -0,0 +1,725 @@
+const PDFDocument = require('pdfkit');
+const { getTimeZone } = require('./dates');
+
+const BRANDING_FIELDS = [
+  'companyName',
+  'address',
+  'logo',
+  'payslipTitle',
+  'primaryColor',
+  'textColor',
+  'mutedColor',
+  'currencySymbol',
+  'currencyName',
+  'currencySubunitName',
+  'numberFormat',
+  'footerNote',
+];
+const NUMBER_FORMATS = ['indian', 'international'];
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const LOGO_PATTERN = /^data:image\/(png|jpeg);base64,([A-Za-z0-9+/=]+)$/;
+const MAX_LOGO_BYTES = 512 * 1024;
+
+const PRORATION_LABELS = {
+  calendar: 'Calendar days',
+  working: 'Working days',
+  fixed30: 'Fixed 30 days',
+  fixed26: 'Fixed 26 days',
+};
+
+// A4 layout, in points
+const LEFT = 50;
+const WIDTH = 500;
+const TABLE_X = 60;
+const TABLE_WIDTH = 440;
+const AMOUNT_WIDTH = 120;
+const ROW_HEIGHT = 18;
+const FOOTER_Y = 770;
+const CONTENT_BOTTOM = FOOTER_Y - 20;
+
+//------------------ BRANDING ------------------//
+
+// Decoded logo image, or null when none is set
+function logoImage(logo) {
+  const match = logo && LOGO_PATTERN.exec(logo);
+  return match ? Buffer.from(match[2], 'base64') : null;
+}
+
+// Returns an error message, or null if the (partial) branding is valid
+function validateBranding(branding) {
+  if (!branding || typeof branding !== 'object') {
+    return 'branding must be an object';
+  }
+  for (const field of BRANDING_FIELDS.filter((f) => f !== 'logo')) {
+    if (branding[field] !== undefined && typeof branding[field] !== 'string') {
+      return `${field} must be a string`;
+    }
+  }
+  for (const field of ['primaryColor', 'textColor', 'mutedColor']) {
+    if (branding[field] !== undefined && !COLOR_PATTERN.test(branding[field])) {
+      return `${field} must be a hex colour like #0A3D62`;
+    }
+  }
+  if (
+    branding.numberFormat !== undefined &&
+    !NUMBER_FORMATS.includes(branding.numberFormat)
+  ) {
+    return `numberFormat must be one of ${NUMBER_FORMATS.join(', ')}`;
+  }
+  if (branding.logo != null) {
+    const image = logoImage(branding.logo);
+    if (!image) {
+      return 'logo must be a PNG or JPEG data URL (data:image/png;base64,...)';
+    }
+    if (image.length > MAX_LOGO_BYTES) {
+      return `logo must be at most ${MAX_LOGO_BYTES / 1024} KB`;
+    }
+    const isPng = image.subarray(0, 4).toString('hex') === '89504e47';
+    const isJpeg = image.subarray(0, 2).toString('hex') === 'ffd8';
+    if (!isPng && !isJpeg) return 'logo is not a valid PNG or JPEG image';
+  }
+  return null;
+}
+
+//------------------ AMOUNTS ------------------//
+
+// 1234567.5 -> "Rs.12,34,567.50" (or "Rs.1,234,567.50" internationally)
+function formatAmount(amount, branding, { symbol = true } = {}) {
+  const locale = branding.numberFormat === 'international' ? 'en-US' : 'en-IN';
+  const formatted = Number(amount || 0).toLocaleString(locale, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+  return symbol ? `${branding.currencySymbol}${formatted}` : formatted;
+}
+
+const ONES = [
+  '',
+  ...(
+    'One Two Three Four Five Six Seven Eight Nine Ten Eleven Twelve ' +
+    'Thirteen Fourteen Fifteen Sixteen Seventeen Eighteen Nineteen'
+  ).split(' '),
+];
+const TENS = [
+  '',
+  '',
+  ...'Twenty Thirty Forty Fifty Sixty Seventy Eighty Ninety'.split(' '),
+];
+const SCALES = {
+  indian: [
+    [1e7, 'Crore'],
+    [1e5, 'Lakh'],
+    [1e3, 'Thousand'],
+  ],
+  international: [
+    [1e9, 'Billion'],
+    [1e6, 'Million'],
+    [1e3, 'Thousand'],
+  ],
+};
+
+function belowThousand(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  const words = [];
+  if (hundreds) words.push(`${ONES[hundreds]} Hundred`);
+  if (rest >= 20) {
+    words.push(TENS[Math.floor(rest / 10)]);
+    if (rest % 10) words.push(ONES[rest % 10]);
+  } else if (rest) {
+    words.push(ONES[rest]);
+  }
+  return words.join(' ');
+}
+
+function integerInWords(n, system) {
+  if (n === 0) return 'Zero';
+  const words = [];
+  for (const [size, name] of SCALES[system]) {
+    if (n >= size) {
+      words.push(`${integerInWords(Math.floor(n / size), system)} ${name}`);
+      n %= size;
+    }
+  }
+  if (n) words.push(belowThousand(n));
+  return words.join(' ');
+}
+
+// 20150.5 -> "Rupees Twenty Thousand One Hundred Fifty and Fifty Paise Only"
+function amountInWords(amount, branding) {
+  const system =
+    branding.numberFormat === 'international' ? 'international' : 'indian';
+  const cents = Math.round(Math.abs(amount || 0) * 100);
+  const whole = Math.floor(cents / 100);
+  const fraction = cents % 100;
+
+  let words = `${branding.currencyName} ${integerInWords(whole, system)}`;
+  if (fraction) {
+    const fractionWords = integerInWords(fraction, system);
+    words += ` and ${fractionWords} ${branding.currencySubunitName}`;
+  }
+  return `${amount < 0 ? 'Minus ' : ''}${words} Only`;
+}
+
+//------------------ DRAWING ------------------//
+
+function createPdfDocument() {
+  return new PDFDocument({ size: 'A4', margin: 50 });
+}
+
+// Company name, address and logo above a coloured title bar
+function drawHeader(doc, branding, title) {
+  const logo = logoImage(branding.logo);
+  let y = LEFT;
+
+  if (branding.companyName || logo) {
+    const textX = logo ? LEFT + 70 : LEFT;
+    const textWidth = LEFT + WIDTH - textX;
+    if (logo) doc.image(logo, LEFT, y, { fit: [60, 60] });
+
+    doc
+      .fillColor(branding.primaryColor)
+      .fontSize(16)
+      .text(branding.companyName || '', textX, y + 4, { width: textWidth });
+    if (branding.address) {
+      doc
+        .fillColor(branding.mutedColor)
+        .fontSize(9)
+        .text(branding.address, textX, doc.y + 2, { width: textWidth });
+    }
+    y = Math.max(doc.y, logo ? y + 60 : 0) + 10;
+  }
+
+  doc.rect(LEFT, y, WIDTH, 40).fill(branding.primaryColor);
+  doc
+    .fillColor('#FFFFFF')
+    .fontSize(18)
+    .text(title, LEFT, y + 11, { width: WIDTH, align: 'center' })
+    .fillColor(branding.textColor);
+  doc.x = LEFT;
+  doc.y = y + 40;
+}
+
+function drawFooter(doc, branding) {
+  doc
+    .fillColor(branding.mutedColor)
+    .fontSize(10)
+    .text(branding.footerNote, 0, FOOTER_Y, {
+      width: doc.page.width,
+      align: 'center',
+      lineBreak: false,
+    })
+    .fillColor(branding.textColor);
+}
+
+// Footer on the current page, then continue on a new one; returns the top y
+function nextPage(doc, branding) {
+  drawFooter(doc, branding);
+  doc.addPage();
+  doc.x = LEFT;
+  return doc.page.margins.top;
+}
+
+function monthLabel(year, month) {
+  const name = new Date(year, month - 1).toLocaleString('en-US', {
+    month: 'long',
+  });
+  return `${name} ${year}`;
+}
+
+// "Nov 2025"
+function shortMonthLabel({ year, month }) {
+  const name = new Date(year, month - 1).toLocaleString('en-US', {
+    month: 'short',
+  });
+  return `${name} ${year}`;
+}
+
+function dateLabel(date) {
+  return new Date(date).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    timeZone: getTimeZone(),
+  });
+}
+
+// period is shown right-aligned above the details, e.g. the payroll month
+function drawEmployeeDetails(doc, emp, period, branding) {
+  doc
+    .moveDown(1)
+    .fontSize(11)
+    .text(period, LEFT, doc.y, { width: WIDTH, align: 'right' })
+    .moveDown(1);
+
+  doc
+    .fillColor(branding.primaryColor)
+    .fontSize(13)
+    .text('Employee Details', LEFT, doc.y, { underline: true })
+    .fillColor(branding.textColor)
+    .moveDown(0.8)
+    .fontSize(11);
+  doc.text(`Employee Name: ${emp.name}`);
+  doc.text(`Employee ID: ${emp.empId}`);
+  doc.text(`Username: ${emp.username}`);
+  if (emp.department) doc.text(`Department: ${emp.department.name}`);
+  // Without a designation (or on older stored payslips) the role is shown
+  const roleTitle = emp.role === 'admin' ? 'Administrator' : 'Employee';
+  doc.text(
+    `Designation: ${emp.designation ? emp.designation.name : roleTitle}`
+  );
+  doc.moveDown(1.5);
+}
+
+function drawAttendanceSummary(doc, payslip, branding) {
+  doc
+    .fontSize(10)
+    .fillColor(branding.textColor)
+    .text(
+      `Base Monthly Salary: ${formatAmount(payslip.baseSalary, branding)}    ` +
+        `Days in Month: ${payslip.totalDaysInMonth}    ` +
+        `Working Days: ${payslip.workingDays}    ` +
+        `Weekly Offs: ${payslip.weeklyOffDays}    ` +
+        `Holidays: ${payslip.holidayDays}`,
+      TABLE_X,
+      doc.y,
+      { width: TABLE_WIDTH }
+    )
+    .text(
+      `Present: ${payslip.presentDays}    ` +
+        `Half Days: ${payslip.halfDays || 0}    ` +
+        `Paid Leave: ${payslip.leaveDays}    ` +
+        `Loss of Pay: ${payslip.lopDays}    ` +
+        `Payable Days: ${payslip.payableDays}    ` +
+        `Basis: ${PRORATION_LABELS[payslip.prorationBasis]}`,
+      { width: TABLE_WIDTH }
+    );
+  if (payslip.overtimeHours) {
+    doc.text(
+      `Overtime: ${payslip.overtimeHours} hrs at ${payslip.overtimeRate}x`,
+      { width: TABLE_WIDTH }
+    );
+  }
+  // Revised mid-month: Base Monthly Salary above is the blended rate
+  if (payslip.salarySegments && payslip.salarySegments.length > 1) {
+    const parts = payslip.salarySegments.map(
+      (seg) =>
+        `${formatAmount(seg.salary, branding)} from ${new Date(
+          seg.from
+        ).toLocaleString('en-US', {
+          day: 'numeric',
+          month: 'short',
+          timeZone: getTimeZone(),
+        })}`
+    );
+    doc.text(`Salary Revised: ${parts.join(', ')}`, { width: TABLE_WIDTH });
+  }
+  if (payslip.arrears && payslip.arrears.length) {
+    const parts = payslip.arrears.map(
+      (a) =>
+        `${new Date(a.year, a.month - 1).toLocaleString('en-US', {
+          month: 'short',
+        })} ${a.year}: ${formatAmount(a.amount, branding)}`
+    );
+    doc.text(`Arrears Settled: ${parts.join(', ')}`, { width: TABLE_WIDTH });
+  }
+  doc.moveDown(1.5);
+}
+
+// One itemized table; rows that do not fit continue on the next page
+function drawTable(doc, branding, { title, rows, totalLabel, total }) {
+  const amountX = TABLE_X + TABLE_WIDTH - AMOUNT_WIDTH;
+  const nameWidth = TABLE_WIDTH - AMOUNT_WIDTH - 10;
+
+  const drawHeading = (heading, top) => {
+    doc
+      .fontSize(12)
+      .fillColor(branding.primaryColor)
+      .text(heading, TABLE_X, top)
+      .text(`Amount (${branding.currencySymbol})`, amountX, top, {
+        width: AMOUNT_WIDTH,
+        align: 'right',
+      })
+      .fillColor(branding.textColor);
+    doc
+      .moveTo(TABLE_X, top + 16)
+      .lineTo(TABLE_X + TABLE_WIDTH, top + 16)
+      .stroke(branding.mutedColor);
+    doc.fontSize(11);
+    return top + 24;
+  };
+
+  let y = doc.y;
+  if (y + 24 + ROW_HEIGHT > CONTENT_BOTTOM) y = nextPage(doc, branding);
+  y = drawHeading(title, y);
+
+  rows.forEach((row) => {
+    if (y + ROW_HEIGHT > CONTENT_BOTTOM) {
+      y = drawHeading(`${title} (continued)`, nextPage(doc, branding));
+    }
+    doc
+      .text(row.name, TABLE_X, y, {
+        width: nameWidth,
+        height: ROW_HEIGHT,
+        ellipsis: true,
+      })
+      .text(formatAmount(row.amount, branding, { symbol: false }), amountX, y, {
+        width: AMOUNT_WIDTH,
+        align: 'right',
+      });
+    y += ROW_HEIGHT;
+  });
+
+  if (y + 30 > CONTENT_BOTTOM) y = nextPage(doc, branding);
+  doc
+    .moveTo(TABLE_X, y)
+    .lineTo(TABLE_X + TABLE_WIDTH, y)
+    .stroke(branding.mutedColor);
+  doc
+    .text(totalLabel, TABLE_X, y + 6)
+    .text(formatAmount(total, branding, { symbol: false }), amountX, y + 6, {
+      width: AMOUNT_WIDTH,
+      align: 'right',
+    });
+  doc.x = LEFT;
+  doc.y = y + 36;
+}
+
+// A table of text columns ({ label, width, align }) with an optional total
+// row below a rule; rows that do not fit continue on the next page
+function drawGrid(doc, branding, { columns, rows, total, fontSize = 10 }) {
+  const drawRow = (values, top) => {
+    let x = TABLE_X;
+    columns.forEach((c, i) => {
+      doc.text(values[i], x, top, {
+        width: c.width,
+        align: c.align || 'left',
+        lineBreak: false,
+      });
+      x += c.width;
+    });
+  };
+  const drawHeading = (top) => {
+    doc.fontSize(fontSize).fillColor(branding.primaryColor);
+    drawRow(
+      columns.map((c) => c.label),
+      top
+    );
+    doc
+      .moveTo(TABLE_X, top + 14)
+      .lineTo(TABLE_X + TABLE_WIDTH, top + 14)
+      .stroke(branding.mutedColor);
+    doc.fillColor(branding.textColor);
+    return top + 20;
+  };
+  const rowHeight = fontSize + 6;
+
+  let y = doc.y;
+  if (y + 20 + rowHeight > CONTENT_BOTTOM) y = nextPage(doc, branding);
+  y = drawHeading(y);
+  rows.forEach((values) => {
+    if (y + rowHeight > CONTENT_BOTTOM) {
+      y = drawHeading(nextPage(doc, branding));
+    }
+    drawRow(values, y);
+    y += rowHeight;
+  });
+
+  if (total) {
+    if (y + rowHeight + 6 > CONTENT_BOTTOM) y = nextPage(doc, branding);
+    doc
+      .moveTo(TABLE_X, y)
+      .lineTo(TABLE_X + TABLE_WIDTH, y)
+      .stroke(branding.mutedColor);
+    drawRow(total, y + 5);
+    y += rowHeight + 5;
+  }
+  doc.x = LEFT;
+  doc.y = y + 12;
+}
+
+// Year-to-date gross, deductions and net on both bases
+function drawYearToDate(doc, ytd, branding) {
+  const amount = (value) => formatAmount(value, branding, { symbol: false });
+  drawGrid(doc, branding, {
+    columns: [
+      { label: 'Year to Date', width: 170 },
+      { label: 'Gross Earnings', width: 90, align: 'right' },
+      { label: 'Deductions', width: 90, align: 'right' },
+      { label: 'Net Pay', width: 90, align: 'right' },
+    ],
+    rows: [
+      [`Financial Year ${ytd.financialYear.period}`, ytd.financialYear],
+      [`Calendar Year ${ytd.calendarYear.period}`, ytd.calendarYear],
+    ].map(([label, totals]) => [
+      label,
+      amount(totals.grossEarnings),
+      amount(totals.totalDeductions),
+      amount(totals.netPay),
+    ]),
+  });
+}
+
+// A complete payslip starting on the current page; callers add pages
+// between payslips when several go into one document
+function drawPayslip(doc, payslip, branding) {
+  drawHeader(doc, branding, branding.payslipTitle);
+  drawEmployeeDetails(
+    doc,
+    payslip.employee,
+    `Payroll Month: ${monthLabel(payslip.year, payslip.month)}`,
+    branding
+  );
+  drawAttendanceSummary(doc, payslip, branding);
+
+  drawTable(doc, branding, {
+    title: 'Earnings',
+    rows: payslip.earnings,
+    totalLabel: 'Gross Earnings',
+    total: payslip.grossEarnings,
+  });
+  drawTable(doc, branding, {
+    title: 'Deductions',
+    rows: payslip.deductions,
+    totalLabel: 'Total Deductions',
+    total: payslip.totalDeductions,
+  });
+  // Payslips stored before year-to-date totals existed have none
+  if (payslip.ytd) drawYearToDate(doc, payslip.ytd, branding);
+
+  drawNetAmount(doc, branding, 'Net Payable Salary', payslip.netPay);
+  drawFooter(doc, branding);
+}
+
+// Centered net amount with the amount in words below it
+function drawNetAmount(doc, branding, label, amount) {
+  if (doc.y + 60 > CONTENT_BOTTOM) doc.y = nextPage(doc, branding);
+  doc
+    .fontSize(13)
+    .fillColor(branding.primaryColor)
+    .text(`${label}: ${formatAmount(amount, branding)}`, LEFT, doc.y, {
+      width: WIDTH,
+      align: 'center',
+      underline: true,
+    })
+    .moveDown(0.5)
+    .fontSize(10)
+    .fillColor(branding.textColor)
+    .text(`(${amountInWords(amount, branding)})`, LEFT, doc.y, {
+      width: WIDTH,
+      align: 'center',
+    });
+}
+
+// Full-and-final settlement statement (see settlement.js)
+function drawSettlement(doc, settlement, branding) {
+  const { finalMonth } = settlement;
+
+  drawHeader(doc, branding, 'FULL AND FINAL SETTLEMENT');
+  drawEmployeeDetails(
+    doc,
+    settlement.employee,
+    settlement.status === 'settled'
+      ? `Settled on ${dateLabel(settlement.settledAt)}`
+      : 'Preview - not yet settled',
+    branding
+  );
+
+  doc
+    .fontSize(10)
+    .fillColor(branding.textColor)
+    .text(
+      `Resignation Date: ${
+        settlement.resignationDate ? dateLabel(settlement.resignationDate) : '-'
+      }    ` +
+        `Last Working Day: ${dateLabel(settlement.lastWorkingDay)}`,
+      TABLE_X,
+      doc.y,
+      { width: TABLE_WIDTH }
+    );
+  if (settlement.exitReason) {
+    doc.text(`Reason: ${settlement.exitReason}`, { width: TABLE_WIDTH });
+  }
+  const salaryMonth = monthLabel(finalMonth.year, finalMonth.month);
+  doc.text(
+    finalMonth.salaryIncluded
+      ? `Salary for ${salaryMonth}: ${finalMonth.payableDays} of ` +
+          `${finalMonth.totalDaysInMonth} days payable`
+      : `Salary for ${salaryMonth} was paid through that month's payroll`,
+    { width: TABLE_WIDTH }
+  );
+  doc.moveDown(1.5);
+
+  drawTable(doc, branding, {
+    title: 'Earnings',
+    rows: settlement.earnings,
+    totalLabel: 'Total Earnings',
+    total: settlement.grossEarnings,
+  });
+  drawTable(doc, branding, {
+    title: 'Deductions & Recoveries',
+    rows: settlement.deductions,
+    totalLabel: 'Total Deductions',
+    total: settlement.totalDeductions,
+  });
+
+  drawNetAmount(doc, branding, 'Net Settlement Amount', settlement.netPayable);
+  drawFooter(doc, branding);
+}
+
+// Annual salary statement: attendance and pay month by month, then the
+// year's totals per component (see statements.js)
+function drawAnnualStatement(doc, statement, branding) {
+  const { totals } = statement;
+  const amount = (value) => formatAmount(value, branding, { symbol: false });
+  const basis =
+    statement.basis === 'financial' ? 'Financial Year' : 'Calendar Year';
+  const range = statement.to
+    ? `${shortMonthLabel(statement.from)} - ${shortMonthLabel(statement.to)}`
+    : 'not started';
+
+  drawHeader(doc, branding, 'ANNUAL SALARY STATEMENT');
+  drawEmployeeDetails(
+    doc,
+    statement.employee,
+    `${basis} ${statement.period} (${range})`,
+    branding
+  );
+
+  const days = (value) => (value == null ? '-' : String(value));
+  drawGrid(doc, branding, {
+    fontSize: 9,
+    columns: [
+      { label: 'Month', width: 62 },
+      { label: 'Present', width: 42, align: 'right' },
+      { label: 'Half', width: 32, align: 'right' },
+      { label: 'Leave', width: 36, align: 'right' },
+      { label: 'LOP', width: 36, align: 'right' },
+      { label: 'Payable', width: 44, align: 'right' },
+      { label: 'Gross', width: 62, align: 'right' },
+      { label: 'Deductions', width: 64, align: 'right' },
+      { label: 'Net Pay', width: 62, align: 'right' },
+    ],
+    rows: statement.months.map((m) => {
+      const paid = m.payrollStatus != null;
+      return [
+        shortMonthLabel(m) + (m.payrollStatus === 'draft' ? '*' : ''),
+        days(m.attendance.present),
+        days(m.attendance.halfDay),
+        days(m.attendance.leave),
+        days(m.attendance.lopDays),
+        days(m.attendance.payableDays),
+        paid ? amount(m.grossEarnings) : '-',
+        paid ? amount(m.totalDeductions) : '-',
+        paid ? amount(m.netPay) : '-',
+      ];
+    }),
+    total: [
+      'Total',
+      days(totals.attendance.present),
+      days(totals.attendance.halfDay),
+      days(totals.attendance.leave),
+      days(totals.attendance.lopDays),
+      days(totals.attendance.payableDays),
+      amount(totals.grossEarnings),
+      amount(totals.totalDeductions),
+      amount(totals.netPay),
+    ],
+  });
+  doc
+    .fontSize(9)
+    .fillColor(branding.mutedColor)
+    .text(
+      '* Draft payroll, may still change. "-" means no payroll has been ' +
+        'run for the month.',
+      TABLE_X,
+      doc.y - 6,
+      { width: TABLE_WIDTH }
+    )
+    .fillColor(branding.textColor)
+    .moveDown(1.5);
+
+  drawTable(doc, branding, {
+    title: 'Earnings',
+    rows: totals.earnings,
+    totalLabel: 'Gross Earnings',
+    total: totals.grossEarnings,
+  });
+  drawTable(doc, branding, {
+    title: 'Deductions',
+    rows: totals.deductions,
+    totalLabel: 'Total Deductions',
+    total: totals.totalDeductions,
+  });
+
+  drawNetAmount(doc, branding, 'Total Net Pay', totals.netPay);
+  drawFooter(doc, branding);
+}
+
+// The finished PDF of a single payslip
+function renderPayslipPdf(payslip, branding) {
+  return new Promise((resolve, reject) => {
+    const doc = createPdfDocument();
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    drawPayslip(doc, payslip, branding);
+    doc.end();
+  });
+}
+
+// Closing page of a bulk export listing the employees that were skipped
+function drawExportSummary(doc, { year, month, generated, skipped }, branding) {
+  const columns = [
+    { label: 'Emp ID', x: TABLE_X, width: 70 },
+    { label: 'Name', x: TABLE_X + 75, width: 125 },
+    { label: 'Reason', x: TABLE_X + 205, width: TABLE_WIDTH - 205 },
+  ];
+
+  drawHeader(doc, branding, 'PAYSLIP EXPORT SUMMARY');
+  doc
+    .moveDown(1)
+    .fontSize(11)
+    .text(`Payroll Month: ${monthLabel(year, month)}`, LEFT, doc.y)
+    .text(`Payslips generated: ${generated}`)
+    .text(`Employees skipped: ${skipped.length}`)
+    .moveDown(1.5);
+
+  const drawHeading = (top) => {
+    doc.fontSize(11).fillColor(branding.primaryColor);
+    columns.forEach((c) => doc.text(c.label, c.x, top, { width: c.width }));
+    doc
+      .moveTo(TABLE_X, top + 16)
+      .lineTo(TABLE_X + TABLE_WIDTH, top + 16)
+      .stroke(branding.mutedColor);
+    doc.fillColor(branding.textColor).fontSize(10);
+    return top + 24;
+  };
+
+  let y = skipped.length ? drawHeading(doc.y) : doc.y;
+  skipped.forEach((s) => {
+    const values = [s.empId || '-', s.name || '-', s.reason];
+    const height = Math.max(
+      ...columns.map((c, i) => doc.heightOfString(values[i], { width: c.width }))
+    );
+    if (y + height > CONTENT_BOTTOM) y = drawHeading(nextPage(doc, branding));
+    columns.forEach((c, i) => doc.text(values[i], c.x, y, { width: c.width }));
+    y += height + 6;
+  });
+
+  drawFooter(doc, branding);
+}
+
+module.exports = {
+  BRANDING_FIELDS,
+  validateBranding,
+  formatAmount,
+  amountInWords,
+  createPdfDocument,
+  drawPayslip,
+  renderPayslipPdf,
+  drawExportSummary,
+  drawSettlement,
+  drawAnnualStatement,
+};
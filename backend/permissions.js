@@ -0,0 +1,107 @@
+// Everything an admin role can grant; routes check one each (see
+// requirePermission in index.js)
+const PERMISSIONS = [
+  'employees:read',
+  'employees:write',
+  'salary:write',
+  'org:write',
+  'attendance:read',
+  'attendance:write',
+  'leave:read',
+  'leave:approve',
+  'leave-types:write',
+  'settings:read',
+  'settings:write',
+  'holidays:write',
+  'payroll:read',
+  'payroll:run',
+  'payroll:finalize',
+  'payroll:pay',
+  'payslips:read',
+  'payslips:export',
+  'reports:read',
+  'audit:read',
+  'access:manage',
+];
+
+// A role listing this is granted every permission, including future ones
+const ALL_PERMISSIONS = '*';
+
+// Seeded by migration 4. Only Administrator is built in (it cannot be edited
+// or deleted, so somebody can always manage access); the others are defaults
+// an organization may adjust.
+const DEFAULT_ROLES = [
+  {
+    name: 'Administrator',
+    description: 'Full access',
+    permissions: [ALL_PERMISSIONS],
+    builtIn: true,
+  },
+  {
+    name: 'HR',
+    description: 'Employees, attendance and leave',
+    permissions: [
+      'employees:read',
+      'employees:write',
+      'org:write',
+      'attendance:read',
+      'attendance:write',
+      'leave:read',
+      'leave:approve',
+      'leave-types:write',
+      'settings:read',
+      'holidays:write',
+      'payslips:read',
+      'reports:read',
+    ],
+  },
+  {
+    name: 'Finance',
+    description: 'Salaries, payroll, payslips and exports',
+    permissions: [
+      'employees:read',
+      'salary:write',
+      'attendance:read',
+      'leave:read',
+      'settings:read',
+      'payroll:read',
+      'payroll:run',
+      'payroll:finalize',
+      'payroll:pay',
+      'payslips:read',
+      'payslips:export',
+      'reports:read',
+    ],
+  },
+  {
+    name: 'Auditor',
+    description: 'Read-only access, including the audit log',
+    permissions: PERMISSIONS.filter((p) => p.endsWith(':read')),
+  },
+];
+
+function hasPermission(role, permission) {
+  return Boolean(
+    role &&
+      (role.permissions.includes(ALL_PERMISSIONS) ||
+        role.permissions.includes(permission))
+  );
+}
+
+// Returns an error message, or null if every entry is a known permission
+function validatePermissions(permissions) {
+  if (!Array.isArray(permissions)) return 'Permissions must be an array';
+  const unknown = permissions.filter(
+    (p) => p !== ALL_PERMISSIONS && !PERMISSIONS.includes(p)
+  );
+  if (unknown.length) return `Unknown permission(s): ${unknown.join(', ')}`;
+  return null;
+}
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLES,
+  hasPermission,
+  validatePermissions,
+};
@@ -0,0 +1,303 @@
+const ExcelJS = require('exceljs');
+const { Employee, Attendance, PayrollRun, Payslip } = require('./models');
+const { round2 } = require('./salary');
+const {
+  startOfMonth,
+  endOfMonth,
+  dayOfMonth,
+  getTimeZone,
+} = require('./dates');
+const { getCalendarDays } = require('./calendar');
+const { employedDuring } = require('./payroll');
+const { formatCsv } = require('./csv');
+
+const REPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+const STATUS_CODES = {
+  present: 'P',
+  absent: 'A',
+  leave: 'L',
+  'half-day': 'HD',
+};
+const DAY_TYPE_CODES = { weeklyOff: 'WO', holiday: 'H' };
+
+// A report is a table: { name, title, columns: [{ key, label, type }],
+// rows, totals }; rows and totals are objects keyed by column key.
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+//------------------ PAYROLL REGISTER ------------------//
+
+// Components in the order they appear on payslips, with column totals
+function componentColumns(path) {
+  return [
+    { $unwind: { path, includeArrayIndex: 'position' } },
+    {
+      $group: {
+        _id: `${path}.code`,
+        name: { $first: `${path}.name` },
+        position: { $min: '$position' },
+        total: { $sum: `${path}.amount` },
+      },
+    },
+    { $sort: { position: 1, _id: 1 } },
+  ];
+}
+
+function amountsByCode(path) {
+  return {
+    $arrayToObject: {
+      $map: {
+        input: path,
+        as: 'c',
+        in: { k: '$$c.code', v: '$$c.amount' },
+      },
+    },
+  };
+}
+
+// One row per payslip of the month's payroll run, or null if none was run
+async function payrollRegister(year, month) {
+  const run = await PayrollRun.findOne({ year, month }).lean();
+  if (!run) return null;
+
+  const [result] = await Payslip.aggregate([
+    { $match: { payrollRun: run._id } },
+    {
+      $facet: {
+        rows: [
+          { $sort: { 'data.employee.empId': 1 } },
+          {
+            $project: {
+              _id: 0,
+              empId: '$data.employee.empId',
+              name: '$data.employee.name',
+              baseSalary: '$data.baseSalary',
+              payableDays: '$data.payableDays',
+              lopDays: '$data.lopDays',
+              earnings: amountsByCode('$data.earnings'),
+              deductions: amountsByCode('$data.deductions'),
+              grossEarnings: 1,
+              totalDeductions: 1,
+              netPay: 1,
+            },
+          },
+        ],
+        earnings: componentColumns('$data.earnings'),
+        deductions: componentColumns('$data.deductions'),
+        totals: [
+          {
+            $group: {
+              _id: null,
+              employees: { $sum: 1 },
+              baseSalary: { $sum: '$data.baseSalary' },
+              grossEarnings: { $sum: '$grossEarnings' },
+              totalDeductions: { $sum: '$totalDeductions' },
+              netPay: { $sum: '$netPay' },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const earningKey = (code) => `earning:${code}`;
+  const deductionKey = (code) => `deduction:${code}`;
+  const amount = (key, label) => ({ key, label, type: 'amount' });
+
+  const columns = [
+    { key: 'empId', label: 'Emp ID' },
+    { key: 'name', label: 'Name' },
+    amount('baseSalary', 'Base Salary'),
+    { key: 'payableDays', label: 'Payable Days', type: 'number' },
+    { key: 'lopDays', label: 'LOP Days', type: 'number' },
+    ...result.earnings.map((c) => amount(earningKey(c._id), c.name)),
+    amount('grossEarnings', 'Gross Earnings'),
+    ...result.deductions.map((c) => amount(deductionKey(c._id), c.name)),
+    amount('totalDeductions', 'Total Deductions'),
+    amount('netPay', 'Net Pay'),
+  ];
+
+  const rows = result.rows.map(({ earnings, deductions, ...row }) => {
+    result.earnings.forEach((c) => {
+      row[earningKey(c._id)] = earnings[c._id] || 0;
+    });
+    result.deductions.forEach((c) => {
+      row[deductionKey(c._id)] = deductions[c._id] || 0;
+    });
+    return row;
+  });
+
+  const sum = result.totals[0] || {};
+  const totals = {
+    empId: 'TOTAL',
+    name: `${sum.employees || 0} employees`,
+    baseSalary: round2(sum.baseSalary || 0),
+    grossEarnings: round2(sum.grossEarnings || 0),
+    totalDeductions: round2(sum.totalDeductions || 0),
+    netPay: round2(sum.netPay || 0),
+  };
+  result.earnings.forEach((c) => {
+    totals[earningKey(c._id)] = round2(c.total);
+  });
+  result.deductions.forEach((c) => {
+    totals[deductionKey(c._id)] = round2(c.total);
+  });
+
+  return {
+    name: `payroll_register_${year}_${pad2(month)}`,
+    title: `Payroll Register ${year}-${pad2(month)}`,
+    payrollStatus: run.status,
+    columns,
+    rows,
+    totals,
+  };
+}
+
+//------------------ ATTENDANCE MATRIX ------------------//
+
+function countStatus(status) {
+  return {
+    $size: {
+      $filter: {
+        input: '$attendance',
+        cond: { $eq: ['$$this.status', status] },
+      },
+    },
+  };
+}
+
+// Employees x days of the month. Cells hold the attendance code, or WO / H
+// for unmarked weekly offs and holidays.
+async function attendanceMatrix(year, month) {
+  const from = startOfMonth(year, month);
+  const to = endOfMonth(year, month);
+  const days = await getCalendarDays(from, to);
+  // Days are stored as local midnight in the organization's time zone
+  const timezone = getTimeZone();
+
+  const employees = await Employee.aggregate([
+    { $match: employedDuring(year, month) },
+    {
+      $lookup: {
+        from: Attendance.collection.name,
+        let: { employee: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$employee', '$$employee'] },
+                  { $gte: ['$date', from] },
+                  { $lte: ['$date', to] },
+                ],
+              },
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              status: 1,
+              day: { $dayOfMonth: { date: '$date', timezone } },
+            },
+          },
+        ],
+        as: 'attendance',
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        empId: 1,
+        name: 1,
+        attendance: 1,
+        present: countStatus('present'),
+        halfDays: countStatus('half-day'),
+        leave: countStatus('leave'),
+        absent: countStatus('absent'),
+      },
+    },
+    { $sort: { empId: 1 } },
+  ]);
+
+  const dayColumns = days.map((d) => ({
+    key: `d${dayOfMonth(d.date)}`,
+    label: `${dayOfMonth(d.date)} ${d.date.toLocaleString('en-US', {
+      weekday: 'short',
+      timeZone: timezone,
+    })}`,
+  }));
+
+  const rows = employees.map(({ attendance, ...employee }) => {
+    const statusByDay = new Map(attendance.map((a) => [a.day, a.status]));
+    const row = { ...employee, unmarked: 0 };
+    days.forEach((d) => {
+      const status = statusByDay.get(dayOfMonth(d.date));
+      row[`d${dayOfMonth(d.date)}`] = status
+        ? STATUS_CODES[status]
+        : DAY_TYPE_CODES[d.type] || '';
+      if (!status && d.type === 'working') row.unmarked += 1;
+    });
+    return row;
+  });
+
+  return {
+    name: `attendance_matrix_${year}_${pad2(month)}`,
+    title: `Attendance ${year}-${pad2(month)}`,
+    legend: { ...STATUS_CODES, ...DAY_TYPE_CODES },
+    columns: [
+      { key: 'empId', label: 'Emp ID' },
+      { key: 'name', label: 'Name' },
+      ...dayColumns,
+      { key: 'present', label: 'Present', type: 'number' },
+      { key: 'halfDays', label: 'Half Days', type: 'number' },
+      { key: 'leave', label: 'Leave', type: 'number' },
+      { key: 'absent', label: 'Absent', type: 'number' },
+      { key: 'unmarked', label: 'Unmarked', type: 'number' },
+    ],
+    rows,
+    totals: null,
+  };
+}
+
+//------------------ EXPORT ------------------//
+
+function tableToCsv(table) {
+  const keys = table.columns.map((c) => c.key);
+  const lines = [
+    table.columns.map((c) => c.label),
+    ...table.rows.map((row) => keys.map((k) => row[k])),
+  ];
+  if (table.totals) lines.push(keys.map((k) => table.totals[k]));
+  return formatCsv(lines);
+}
+
+// Single-sheet workbook with a bold, frozen header row and totals row
+async function tableToXlsx(table) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(table.title, {
+    views: [{ state: 'frozen', xSplit: 2, ySplit: 1 }],
+  });
+
+  sheet.columns = table.columns.map((c) => ({
+    header: c.label,
+    key: c.key,
+    width: c.key === 'name' ? 24 : Math.max(c.label.length + 2, 8),
+    style: c.type === 'amount' ? { numFmt: '#,##0.00' } : {},
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.addRows(table.rows);
+  if (table.totals) sheet.addRow(table.totals).font = { bold: true };
+
+  return workbook.xlsx.writeBuffer();
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  payrollRegister,
+  attendanceMatrix,
+  tableToCsv,
+  tableToXlsx,
+};
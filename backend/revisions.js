@@ -0,0 +1,88 @@
+const { Employee, SalaryRevision } = require('./models');
+const { startOfDay, endOfDay, addDays } = require('./dates');
+
+const SALARY_REVISION_REASONS = [
+  'joining',
+  'appraisal',
+  'promotion',
+  'correction',
+  'other',
+];
+
+function dayBefore(date) {
+  return endOfDay(addDays(date, -1));
+}
+
+// The salary in force on each part of [from, to]:
+// [{ from, to, salary, revision }]. Days before an employee's first revision
+// are paid at that revision; without any revision the employee record is used.
+async function getSalarySegments(employee, from, to) {
+  const [current] = await SalaryRevision.find({
+    employee: employee._id,
+    effectiveFrom: { $lte: from },
+  })
+    .sort({ effectiveFrom: -1 })
+    .limit(1)
+    .lean();
+  const changes = await SalaryRevision.find({
+    employee: employee._id,
+    effectiveFrom: { $gt: from, $lte: to },
+  })
+    .sort({ effectiveFrom: 1 })
+    .lean();
+
+  let starts;
+  if (current) {
+    starts = [{ ...current, effectiveFrom: from }, ...changes];
+  } else if (changes.length) {
+    starts = [{ ...changes[0], effectiveFrom: from }, ...changes.slice(1)];
+  } else {
+    const first = await SalaryRevision.findOne({ employee: employee._id })
+      .sort({ effectiveFrom: 1 })
+      .lean();
+    starts = [first || { _id: null, salary: employee.salary }];
+    starts[0] = { ...starts[0], effectiveFrom: from };
+  }
+
+  return starts.map((r, i) => ({
+    from: r.effectiveFrom,
+    to: i + 1 < starts.length ? dayBefore(starts[i + 1].effectiveFrom) : to,
+    salary: r.salary,
+    revision: r._id,
+  }));
+}
+
+// Keep Employee.salary equal to the revision in force today
+async function syncCurrentSalary(employeeId) {
+  const employee = await Employee.findById(employeeId).select('salary');
+  const today = new Date();
+  const [segment] = await getSalarySegments(employee, today, today);
+  if (employee.salary !== segment.salary) {
+    employee.salary = segment.salary;
+    await employee.save();
+  }
+  return segment.salary;
+}
+
+// Add a revision, replacing one on the same effective date
+async function reviseSalary(employeeId, change, actor) {
+  const { salary, effectiveFrom, reason, note } = change;
+  const revision = await SalaryRevision.findOneAndUpdate(
+    { employee: employeeId, effectiveFrom: startOfDay(effectiveFrom) },
+    {
+      salary,
+      reason,
+      note,
+      createdBy: actor && actor._id,
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  await syncCurrentSalary(employeeId);
+  return revision;
+}
+
+module.exports = {
+  SALARY_REVISION_REASONS,
+  getSalarySegments,
+  reviseSalary,
+};
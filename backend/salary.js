@@ -0,0 +1,284 @@
+// Pseudo-components a percentage can be based on, besides other components
+const SALARY = 'SALARY'; // monthly salary on the employee record
+const GROSS = 'GROSS'; // total earnings for the month (deductions only)
+
+const CALCULATIONS = ['fixed', 'percentage', 'balance'];
+
+// Used when an employee has no structure: the whole salary is Basic
+const DEFAULT_SALARY_STRUCTURE = [
+  {
+    code: 'BASIC',
+    name: 'Basic Salary',
+    type: 'earning',
+    calculation: 'percentage',
+    percentage: 100,
+    of: SALARY,
+  },
+];
+
+// Common Indian CTC split with PF, ESI and professional tax
+const STANDARD_SALARY_STRUCTURE = [
+  {
+    code: 'BASIC',
+    name: 'Basic',
+    type: 'earning',
+    calculation: 'percentage',
+    percentage: 50,
+    of: SALARY,
+  },
+  {
+    code: 'HRA',
+    name: 'House Rent Allowance',
+    type: 'earning',
+    calculation: 'percentage',
+    percentage: 40,
+    of: 'BASIC',
+  },
+  {
+    code: 'SPECIAL',
+    name: 'Special Allowance',
+    type: 'earning',
+    calculation: 'balance',
+  },
+  {
+    code: 'PF',
+    name: 'Provident Fund',
+    type: 'deduction',
+    calculation: 'percentage',
+    percentage: 12,
+    of: 'BASIC',
+    cap: 1800,
+  },
+  {
+    code: 'ESI',
+    name: 'Employee State Insurance',
+    type: 'deduction',
+    calculation: 'percentage',
+    percentage: 0.75,
+    of: GROSS,
+    applicableUpTo: 21000,
+  },
+  {
+    code: 'PT',
+    name: 'Professional Tax',
+    type: 'deduction',
+    calculation: 'fixed',
+    amount: 200,
+  },
+];
+
+const SALARY_STRUCTURE_TEMPLATES = {
+  default: DEFAULT_SALARY_STRUCTURE,
+  standard: STANDARD_SALARY_STRUCTURE,
+};
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Earnings are prorated by attendance unless switched off; deductions are not
+function isProrated(component) {
+  return component.prorated != null
+    ? component.prorated
+    : component.type === 'earning';
+}
+
+// Returns an error message, or null if the structure can be computed
+function validateSalaryStructure(components) {
+  if (!Array.isArray(components) || !components.length) {
+    return 'Salary structure must be a non-empty array of components';
+  }
+
+  const codes = new Set();
+  for (const c of components) {
+    if (!c || !c.code || !c.name) return 'Every component needs a code and name';
+    if ([SALARY, GROSS].includes(c.code)) return `${c.code} is a reserved code`;
+    if (codes.has(c.code)) return `Duplicate component code ${c.code}`;
+    codes.add(c.code);
+
+    if (!['earning', 'deduction'].includes(c.type)) {
+      return `${c.code}: type must be "earning" or "deduction"`;
+    }
+    if (!CALCULATIONS.includes(c.calculation)) {
+      return `${c.code}: calculation must be one of ${CALCULATIONS.join(', ')}`;
+    }
+    if (c.calculation === 'fixed' && !(c.amount >= 0)) {
+      return `${c.code}: fixed components need a non-negative amount`;
+    }
+    if (c.calculation === 'percentage' && !(c.percentage >= 0 && c.of)) {
+      return `${c.code}: percentage components need percentage and of`;
+    }
+    if (c.calculation === 'balance' && c.type !== 'earning') {
+      return `${c.code}: only earnings can take the balance`;
+    }
+    if (c.cap != null && !(c.cap >= 0)) {
+      return `${c.code}: cap must be a non-negative number`;
+    }
+  }
+
+  if (components.filter((c) => c.calculation === 'balance').length > 1) {
+    return 'Only one component can take the balance';
+  }
+
+  const earningCodes = components
+    .filter((c) => c.type === 'earning')
+    .map((c) => c.code);
+  for (const c of components.filter((c) => c.calculation === 'percentage')) {
+    const allowed =
+      c.type === 'earning'
+        ? [SALARY, ...earningCodes]
+        : [SALARY, GROSS, ...codes];
+    if (!allowed.includes(c.of)) {
+      return `${c.code}: unknown base component ${c.of}`;
+    }
+  }
+
+  try {
+    computeSalaryComponents(components, 0, 1);
+  } catch (e) {
+    return e.message;
+  }
+  return null;
+}
+
+// Resolve component amounts in dependency order.
+// lookup(code) supplies bases outside defs, eligibilityBase(code) the
+// full-month base an applicableUpTo limit is checked against.
+function resolveAmounts(defs, { lookup, eligibilityBase, balanceTotal, ratio }) {
+  const byCode = new Map(defs.map((c) => [c.code, c]));
+  const amounts = new Map();
+  const visiting = new Set();
+
+  function amountOf(code) {
+    if (amounts.has(code)) return amounts.get(code);
+    const c = byCode.get(code);
+    if (!c) return lookup(code);
+    if (visiting.has(code)) {
+      throw new Error(`Circular salary component reference at ${code}`);
+    }
+    visiting.add(code);
+
+    let amount = 0;
+    if (c.calculation === 'fixed') {
+      amount = c.amount * (isProrated(c) ? ratio : 1);
+    } else if (c.calculation === 'percentage') {
+      const base = amountOf(c.of);
+      const eligible =
+        c.applicableUpTo == null ||
+        (byCode.has(c.of) ? base : eligibilityBase(c.of)) <= c.applicableUpTo;
+      amount = eligible ? (base * c.percentage) / 100 : 0;
+    } else {
+      const others = defs
+        .filter((d) => d.code !== code)
+        .reduce((sum, d) => sum + amountOf(d.code), 0);
+      amount = Math.max(balanceTotal - others, 0);
+    }
+    if (c.cap != null) amount = Math.min(amount, c.cap);
+
+    visiting.delete(code);
+    amounts.set(code, amount);
+    return amount;
+  }
+
+  defs.forEach((c) => amountOf(c.code));
+  return amounts;
+}
+
+// Compute itemized earnings and deductions for one month.
+// payableRatio is the share of the month that is paid (1 = full month);
+// additionalEarnings (e.g. overtime) are added as-is and count toward GROSS;
+// additionalDeductions (e.g. recovery of an overpayment) are added as-is,
+// after the structure's deductions.
+function computeSalaryComponents(
+  structure,
+  monthlySalary,
+  payableRatio,
+  { additionalEarnings = [], additionalDeductions = [] } = {}
+) {
+  const components =
+    structure && structure.length ? structure : DEFAULT_SALARY_STRUCTURE;
+  const earningDefs = components.filter((c) => c.type === 'earning');
+  const deductionDefs = components.filter((c) => c.type === 'deduction');
+
+  // Full-month earnings first, so the balance and caps apply to the rate
+  const fullEarnings = resolveAmounts(earningDefs, {
+    lookup: () => monthlySalary,
+    eligibilityBase: () => monthlySalary,
+    balanceTotal: monthlySalary,
+    ratio: 1,
+  });
+  const fullGross = [...fullEarnings.values()].reduce((a, b) => a + b, 0);
+
+  const earnings = earningDefs
+    .map((c) => ({
+      code: c.code,
+      name: c.name,
+      amount: round2(
+        fullEarnings.get(c.code) * (isProrated(c) ? payableRatio : 1)
+      ),
+    }))
+    .concat(
+      additionalEarnings
+        .filter((e) => e.amount > 0)
+        .map((e) => ({ code: e.code, name: e.name, amount: round2(e.amount) }))
+    );
+  const earned = new Map(earnings.map((e) => [e.code, e.amount]));
+  const grossEarnings = round2(earnings.reduce((a, e) => a + e.amount, 0));
+
+  // Deductions are based on what was actually earned this month
+  const deductionAmounts = resolveAmounts(deductionDefs, {
+    lookup: (code) => {
+      if (code === GROSS) return grossEarnings;
+      if (code === SALARY) return monthlySalary * payableRatio;
+      return earned.get(code);
+    },
+    eligibilityBase: (code) => {
+      if (code === GROSS) return fullGross;
+      if (code === SALARY) return monthlySalary;
+      return fullEarnings.get(code);
+    },
+    balanceTotal: 0,
+    ratio: payableRatio,
+  });
+
+  // Never more is deducted than was earned: with few or no payable days, the
+  // deductions are taken in order until the gross is used up, so fixed ones
+  // (e.g. professional tax) cannot make the net pay negative
+  let remaining = grossEarnings;
+  const deductions = deductionDefs
+    .map((c) => ({
+      code: c.code,
+      name: c.name,
+      amount: round2(deductionAmounts.get(c.code)),
+    }))
+    .concat(
+      additionalDeductions
+        .filter((d) => d.amount > 0)
+        .map((d) => ({ code: d.code, name: d.name, amount: round2(d.amount) }))
+    )
+    .map((d) => {
+      const amount = round2(Math.min(d.amount, remaining));
+      remaining = round2(remaining - amount);
+      return { ...d, amount };
+    });
+  const totalDeductions = round2(deductions.reduce((a, d) => a + d.amount, 0));
+
+  return {
+    earnings,
+    deductions,
+    grossEarnings,
+    totalDeductions,
+    netPay: round2(grossEarnings - totalDeductions),
+  };
+}
+
+module.exports = {
+  SALARY,
+  GROSS,
+  DEFAULT_SALARY_STRUCTURE,
+  STANDARD_SALARY_STRUCTURE,
+  SALARY_STRUCTURE_TEMPLATES,
+  round2,
+  validateSalaryStructure,
+  computeSalaryComponents,
+};
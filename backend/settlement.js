@@ -0,0 +1,158 @@
+const { Employee, LeaveType, Settlement } = require('./models');
+const { calculateSalary, isPayrollLocked } = require('./payroll');
+const { ensureLeaveBalance } = require('./leave');
+const { round2 } = require('./salary');
+const { monthOf, withLocalDates } = require('./dates');
+
+const ADJUSTMENT_TYPES = ['earning', 'deduction'];
+
+// Returns an error message, or null if the adjustments are usable:
+// [{ name, amount, type: 'earning' | 'deduction' }], e.g. a notice-period
+// shortfall or an unreturned laptop
+function validateAdjustments(adjustments) {
+  if (!Array.isArray(adjustments)) return 'Adjustments must be an array';
+  for (const a of adjustments) {
+    if (!a || !a.name) return 'Every adjustment needs a name';
+    if (!(typeof a.amount === 'number' && a.amount > 0)) {
+      return `${a.name}: amount must be a positive number`;
+    }
+    if (!ADJUSTMENT_TYPES.includes(a.type)) {
+      return `${a.name}: type must be "earning" or "deduction"`;
+    }
+  }
+  return null;
+}
+
+// Leave earned up to the final month against leave taken. Annual accrual is
+// credited in full at the start of the year, so an employee leaving
+// mid-year is entitled to the months served; remaining days of encashable
+// types are paid out, days taken beyond the entitlement are recovered.
+async function settleLeave(employeeId, year, month, perDaySalary) {
+  const types = await LeaveType.find({ paid: true }).sort({ code: 1 });
+  const lines = [];
+
+  for (const type of types) {
+    const balance = await ensureLeaveBalance(employeeId, type, year);
+    const entitled = balance.opening + (balance.accrued * month) / 12;
+    const days = round2(entitled - balance.used);
+    if (days > 0 && type.encashable) {
+      lines.push({
+        type: 'earning',
+        code: `ENCASH_${type.code}`,
+        name: `${type.name} Encashment (${days} days)`,
+        days,
+        amount: round2(days * perDaySalary),
+      });
+    } else if (days < 0) {
+      lines.push({
+        type: 'deduction',
+        code: `RECOVER_${type.code}`,
+        name: `${type.name} Taken in Excess (${-days} days)`,
+        days: -days,
+        amount: round2(-days * perDaySalary),
+      });
+    }
+  }
+  return lines;
+}
+
+// Full-and-final settlement of an employee leaving on their lastWorkingDay:
+// salary of the final month up to that day (unless the month's payroll is
+// already locked, in which case it was paid there), leave encashment and
+// recovery at the final month's per-day salary, and admin adjustments.
+// `lastWorkingDay` and `exitReason` settle an exit that is not stored yet.
+async function computeSettlement(
+  employeeId,
+  { adjustments = [], lastWorkingDay, exitReason } = {}
+) {
+  const emp = await Employee.findById(employeeId)
+    .select('-password')
+    .populate('department', 'name')
+    .populate('designation', 'name')
+    .lean();
+  if (!emp) throw new Error('Employee not found');
+  if (lastWorkingDay) emp.lastWorkingDay = lastWorkingDay;
+  if (exitReason !== undefined) emp.exitReason = exitReason;
+  if (!emp.lastWorkingDay) throw new Error('Employee has no last working day');
+
+  const { year, month } = monthOf(emp.lastWorkingDay);
+
+  const finalMonth = await calculateSalary(employeeId, year, month, {
+    lastWorkingDay: emp.lastWorkingDay,
+  });
+  const salaryIncluded = !(await isPayrollLocked(year, month));
+  const leave = await settleLeave(
+    employeeId,
+    year,
+    month,
+    finalMonth.perDaySalary
+  );
+
+  const earnings = salaryIncluded ? [...finalMonth.earnings] : [];
+  const deductions = salaryIncluded ? [...finalMonth.deductions] : [];
+  const extras = [
+    ...leave,
+    ...adjustments.map((a, i) => ({
+      type: a.type,
+      code: `ADJUSTMENT_${i + 1}`,
+      name: a.name,
+      amount: round2(a.amount),
+    })),
+  ];
+  for (const { type, code, name, amount } of extras) {
+    (type === 'earning' ? earnings : deductions).push({ code, name, amount });
+  }
+
+  const grossEarnings = round2(earnings.reduce((a, e) => a + e.amount, 0));
+  const totalDeductions = round2(deductions.reduce((a, d) => a + d.amount, 0));
+
+  const dates = withLocalDates(
+    {
+      resignationDate: emp.resignationDate || null,
+      lastWorkingDay: emp.lastWorkingDay,
+    },
+    'resignationDate',
+    'lastWorkingDay'
+  );
+
+  return {
+    employee: emp,
+    ...dates,
+    exitReason: emp.exitReason || null,
+    finalMonth: {
+      year,
+      month,
+      payableDays: finalMonth.payableDays,
+      totalDaysInMonth: finalMonth.totalDaysInMonth,
+      salaryIncluded,
+    },
+    perDaySalary: finalMonth.perDaySalary,
+    leave,
+    adjustments,
+    earnings,
+    deductions,
+    grossEarnings,
+    totalDeductions,
+    netPayable: round2(grossEarnings - totalDeductions),
+  };
+}
+
+// The stored settlement once the employee has exited, otherwise a preview
+async function getSettlement(employeeId, options) {
+  const stored = await Settlement.findOne({ employee: employeeId }).lean();
+  if (stored) {
+    return { ...stored.data, status: 'settled', settledAt: stored.createdAt };
+  }
+  return {
+    ...(await computeSettlement(employeeId, options)),
+    status: 'preview',
+    settledAt: null,
+  };
+}
+
+module.exports = {
+  ADJUSTMENT_TYPES,
+  validateAdjustments,
+  computeSettlement,
+  getSettlement,
+};
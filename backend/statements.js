@@ -0,0 +1,209 @@
+const { Employee, Attendance, PayrollRun, Payslip } = require('./models');
+const { round2 } = require('./salary');
+const { startOfMonth, endOfMonth, monthOf } = require('./dates');
+const {
+  financialYearOf,
+  financialYearLabel,
+  financialYearMonths,
+} = require('./tax');
+
+// Years totals and statements can run over: the financial year (April to
+// March, named by the year it starts in) or the calendar year
+const STATEMENT_BASES = ['financial', 'calendar'];
+const STATEMENT_FORMATS = ['json', 'pdf'];
+
+function monthIndex({ year, month }) {
+  return year * 12 + month;
+}
+
+// { year, month } of each month of a financial or calendar year, in order
+function periodMonths(basis, year) {
+  if (basis === 'financial') return financialYearMonths(year);
+  return Array.from({ length: 12 }, (_, i) => ({ year, month: i + 1 }));
+}
+
+function periodLabel(basis, year) {
+  return basis === 'financial' ? financialYearLabel(year) : String(year);
+}
+
+// The year on a basis that (year, month) falls in
+function periodOf(basis, year, month) {
+  return basis === 'financial' ? financialYearOf(year, month) : year;
+}
+
+// Current year on a basis, e.g. for a statement requested without one
+function currentPeriod(basis) {
+  const { year, month } = monthOf(new Date());
+  return periodOf(basis, year, month);
+}
+
+function sumOf(items, field) {
+  return round2(items.reduce((sum, item) => sum + (item[field] || 0), 0));
+}
+
+//------------------ YEAR TO DATE ------------------//
+
+// Gross, deductions and net of the financial and calendar year up to and
+// including (year, month): stored payslips of the earlier months plus
+// `current`, this month's { grossEarnings, totalDeductions, netPay }
+async function yearToDate(employeeId, year, month, current) {
+  const payslips = await Payslip.find({
+    employee: employeeId,
+    year: { $in: [year - 1, year] },
+  })
+    .select('year month grossEarnings totalDeductions netPay')
+    .lean();
+
+  const totals = {};
+  for (const basis of STATEMENT_BASES) {
+    const period = periodOf(basis, year, month);
+    const [first] = periodMonths(basis, period);
+    const months = [
+      ...payslips.filter(
+        (p) =>
+          monthIndex(p) >= monthIndex(first) &&
+          monthIndex(p) < monthIndex({ year, month })
+      ),
+      current,
+    ];
+    totals[`${basis}Year`] = {
+      period: periodLabel(basis, period),
+      from: first,
+      to: { year, month },
+      payslips: months.length,
+      grossEarnings: sumOf(months, 'grossEarnings'),
+      totalDeductions: sumOf(months, 'totalDeductions'),
+      netPay: sumOf(months, 'netPay'),
+    };
+  }
+  return totals;
+}
+
+//------------------ ANNUAL STATEMENT ------------------//
+
+// Component totals over several payslips: [{ code, name, amount }]
+function componentTotals(lists) {
+  const byCode = new Map();
+  for (const line of lists.flat()) {
+    const total = byCode.get(line.code) || { ...line, amount: 0 };
+    total.amount = round2(total.amount + line.amount);
+    byCode.set(line.code, total);
+  }
+  return [...byCode.values()];
+}
+
+const NO_ATTENDANCE = { present: 0, halfDay: 0, absent: 0, leave: 0 };
+
+// Attendance of each month of [from, to] by status: { 'YYYY-M': counts }
+async function attendanceByMonth(employeeId, from, to) {
+  const records = await Attendance.find({
+    employee: employeeId,
+    date: { $gte: from, $lte: to },
+  })
+    .select('date status')
+    .lean();
+
+  const counts = {};
+  for (const { date, status } of records) {
+    const { year, month } = monthOf(date);
+    const key = `${year}-${month}`;
+    counts[key] = counts[key] || { ...NO_ATTENDANCE };
+    const field = status === 'half-day' ? 'halfDay' : status;
+    if (field in counts[key]) counts[key][field] += 1;
+  }
+  return counts;
+}
+
+// An employee's salary and attendance month by month over a financial or
+// calendar year, up to the current month. Salary comes from the payslips
+// stored by payroll runs (with the run's status); months without one show
+// attendance only.
+async function getAnnualStatement(employeeId, basis, year) {
+  const emp = await Employee.findById(employeeId)
+    .select('-password')
+    .populate('department', 'name')
+    .populate('designation', 'name')
+    .lean();
+  if (!emp) throw new Error('Employee not found');
+
+  const now = monthOf(new Date());
+  const months = periodMonths(basis, year).filter(
+    (m) => monthIndex(m) <= monthIndex(now)
+  );
+  const first = periodMonths(basis, year)[0];
+  const last = months[months.length - 1];
+
+  const payslips = months.length
+    ? await Payslip.find({
+        employee: emp._id,
+        $or: months.map(({ year, month }) => ({ year, month })),
+      }).lean()
+    : [];
+  const runs = await PayrollRun.find({
+    _id: { $in: payslips.map((p) => p.payrollRun) },
+  })
+    .select('status')
+    .lean();
+  const statusOf = new Map(runs.map((r) => [String(r._id), r.status]));
+  const attendance = last
+    ? await attendanceByMonth(
+        emp._id,
+        startOfMonth(first.year, first.month),
+        endOfMonth(last.year, last.month)
+      )
+    : {};
+
+  const rows = months.map(({ year, month }) => {
+    const payslip = payslips.find((p) => p.year === year && p.month === month);
+    const data = payslip ? payslip.data : {};
+    return {
+      year,
+      month,
+      payrollStatus: payslip ? statusOf.get(String(payslip.payrollRun)) : null,
+      attendance: {
+        ...(attendance[`${year}-${month}`] || NO_ATTENDANCE),
+        payableDays: payslip ? data.payableDays : null,
+        lopDays: payslip ? data.lopDays : null,
+      },
+      earnings: data.earnings || [],
+      deductions: data.deductions || [],
+      grossEarnings: payslip ? payslip.grossEarnings : 0,
+      totalDeductions: payslip ? payslip.totalDeductions : 0,
+      netPay: payslip ? payslip.netPay : 0,
+    };
+  });
+
+  const attendanceTotals = {};
+  const fields = [...Object.keys(NO_ATTENDANCE), 'payableDays', 'lopDays'];
+  for (const field of fields) {
+    attendanceTotals[field] = sumOf(rows.map((r) => r.attendance), field);
+  }
+
+  return {
+    employee: emp,
+    basis,
+    year,
+    period: periodLabel(basis, year),
+    from: first,
+    to: last || null,
+    months: rows,
+    totals: {
+      payslips: payslips.length,
+      attendance: attendanceTotals,
+      earnings: componentTotals(rows.map((r) => r.earnings)),
+      deductions: componentTotals(rows.map((r) => r.deductions)),
+      grossEarnings: sumOf(rows, 'grossEarnings'),
+      totalDeductions: sumOf(rows, 'totalDeductions'),
+      netPay: sumOf(rows, 'netPay'),
+    },
+    generatedAt: new Date(),
+  };
+}
+
+module.exports = {
+  STATEMENT_BASES,
+  STATEMENT_FORMATS,
+  currentPeriod,
+  yearToDate,
+  getAnnualStatement,
+};
@@ -0,0 +1,496 @@
+const { Employee, Payslip, TaxDeclaration } = require('./models');
+const { round2, computeSalaryComponents } = require('./salary');
+const { startOfMonth, endOfMonth, monthOf } = require('./dates');
+const { getOrganization } = require('./calendar');
+const { getSalarySegments } = require('./revisions');
+
+const TAX_REGIMES = ['old', 'new'];
+// Payslip deduction line of the income tax withheld
+const TDS = 'TDS';
+
+// Fields of Organization.tax and of each regime in it (see models.js)
+const TAX_SETTINGS_FIELDS = [
+  'enabled',
+  'defaultRegime',
+  'cessPercent',
+  ...TAX_REGIMES,
+];
+const TAX_REGIME_FIELDS = [
+  'standardDeduction',
+  'slabs',
+  'rebate',
+  'deductions',
+];
+
+//------------------ FINANCIAL YEAR ------------------//
+// Financial years run from April to March and are named by the year they
+// start in: 2025 is FY 2025-26
+
+function financialYearOf(year, month) {
+  return month >= 4 ? year : year - 1;
+}
+
+function currentFinancialYear() {
+  const { year, month } = monthOf(new Date());
+  return financialYearOf(year, month);
+}
+
+function financialYearLabel(financialYear) {
+  const end = String((financialYear + 1) % 100).padStart(2, '0');
+  return `${financialYear}-${end}`;
+}
+
+// { year, month } of each month of a financial year, April first
+function financialYearMonths(financialYear) {
+  return Array.from({ length: 12 }, (_, i) => ({
+    year: i < 9 ? financialYear : financialYear + 1,
+    month: ((i + 3) % 12) + 1,
+  }));
+}
+
+function monthIndex({ year, month }) {
+  return year * 12 + month;
+}
+
+function nextMonth({ year, month }) {
+  return month === 12
+    ? { year: year + 1, month: 1 }
+    : { year, month: month + 1 };
+}
+
+//------------------ SETTINGS & DECLARATIONS ------------------//
+
+function isAmount(value) {
+  return typeof value === 'number' && value >= 0;
+}
+
+// Returns an error message, or null if the regime can be computed
+function validateTaxRegime(regime, label) {
+  if (!regime || typeof regime !== 'object') {
+    return `${label} must be an object`;
+  }
+  if (!isAmount(regime.standardDeduction)) {
+    return `${label}.standardDeduction must be a non-negative number`;
+  }
+
+  const { slabs } = regime;
+  if (!Array.isArray(slabs) || !slabs.length) {
+    return `${label}.slabs must be a non-empty array`;
+  }
+  let previous = 0;
+  for (const [i, slab] of slabs.entries()) {
+    if (!slab || !(isAmount(slab.rate) && slab.rate <= 100)) {
+      return `${label}.slabs: every rate must be a percentage from 0 to 100`;
+    }
+    const last = i === slabs.length - 1;
+    if (last ? slab.upTo != null : !(slab.upTo > previous)) {
+      return `${label}.slabs: upTo must increase, except on the last slab`;
+    }
+    previous = slab.upTo;
+  }
+
+  const rebate = regime.rebate || {};
+  if (!isAmount(rebate.incomeUpTo) || !isAmount(rebate.maxRebate)) {
+    return `${label}.rebate needs a non-negative incomeUpTo and maxRebate`;
+  }
+
+  if (!Array.isArray(regime.deductions)) {
+    return `${label}.deductions must be an array`;
+  }
+  const sections = new Set();
+  for (const d of regime.deductions) {
+    if (!d || !d.section || !d.name) {
+      return `${label}.deductions: every deduction needs a section and name`;
+    }
+    if (sections.has(d.section)) {
+      return `${label}.deductions: duplicate section ${d.section}`;
+    }
+    sections.add(d.section);
+    if (d.limit != null && !isAmount(d.limit)) {
+      return `${label}.deductions: ${d.section} limit must not be negative`;
+    }
+  }
+  return null;
+}
+
+// Returns an error message, or null if the tax settings are usable
+function validateTaxSettings(tax) {
+  if (typeof tax.enabled !== 'boolean') {
+    return 'tax.enabled must be true or false';
+  }
+  if (!TAX_REGIMES.includes(tax.defaultRegime)) {
+    return `tax.defaultRegime must be one of ${TAX_REGIMES.join(', ')}`;
+  }
+  if (!isAmount(tax.cessPercent)) {
+    return 'tax.cessPercent must be a non-negative number';
+  }
+  for (const name of TAX_REGIMES) {
+    const error = validateTaxRegime(tax[name], `tax.${name}`);
+    if (error) return error;
+  }
+  return null;
+}
+
+// Returns an error message, or null if the changes to a declaration are
+// usable: { regime, declarations: [{ section, amount }], previousEmployer }.
+// Sections must be known to one of the regimes; those the chosen regime
+// does not allow are kept but not deducted.
+function validateDeclaration({ regime, declarations, previousEmployer }, tax) {
+  if (regime != null && !TAX_REGIMES.includes(regime)) {
+    return `regime must be one of ${TAX_REGIMES.join(', ')}`;
+  }
+
+  if (declarations !== undefined) {
+    if (!Array.isArray(declarations)) return 'declarations must be an array';
+    const known = new Set(
+      TAX_REGIMES.flatMap((r) => tax[r].deductions.map((d) => d.section))
+    );
+    const seen = new Set();
+    for (const d of declarations) {
+      if (!d || !known.has(d.section)) {
+        const sections = [...known].join(', ');
+        return `Every declaration needs a section, one of ${sections}`;
+      }
+      if (seen.has(d.section)) return `Section ${d.section} is declared twice`;
+      seen.add(d.section);
+      if (!isAmount(d.amount)) {
+        return `${d.section}: amount must be a non-negative number`;
+      }
+    }
+  }
+
+  if (previousEmployer !== undefined) {
+    if (!previousEmployer || typeof previousEmployer !== 'object') {
+      return 'previousEmployer must be an object';
+    }
+    for (const field of ['income', 'tds']) {
+      const value = previousEmployer[field];
+      if (value !== undefined && !isAmount(value)) {
+        return `previousEmployer.${field} must be a non-negative number`;
+      }
+    }
+  }
+  return null;
+}
+
+// An employee's declaration for a financial year, or an empty one
+async function getDeclaration(employeeId, financialYear) {
+  const stored = await TaxDeclaration.findOne({
+    employee: employeeId,
+    financialYear,
+  }).lean();
+  return (
+    stored || {
+      employee: employeeId,
+      financialYear,
+      regime: null,
+      declarations: [],
+      previousEmployer: { income: 0, tds: 0 },
+    }
+  );
+}
+
+// Create or update a declaration; fields left out are kept
+async function saveDeclaration(employeeId, financialYear, changes) {
+  const update = {};
+  if (changes.regime !== undefined) update.regime = changes.regime;
+  if (changes.declarations !== undefined) {
+    update.declarations = changes.declarations.map(({ section, amount }) => ({
+      section,
+      amount,
+    }));
+  }
+  for (const field of ['income', 'tds']) {
+    const value = changes.previousEmployer && changes.previousEmployer[field];
+    if (value !== undefined) update[`previousEmployer.${field}`] = value;
+  }
+
+  return TaxDeclaration.findOneAndUpdate(
+    { employee: employeeId, financialYear },
+    { $set: update },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+}
+
+//------------------ TAX COMPUTATION ------------------//
+
+// Tax on a taxable income under one regime: slab by slab, less the rebate,
+// plus cess
+function taxOnIncome(taxableIncome, regime, cessPercent) {
+  const slabs = [];
+  let tax = 0;
+  let lower = 0;
+  for (const slab of regime.slabs) {
+    const upper = slab.upTo == null ? Infinity : slab.upTo;
+    const income = Math.max(Math.min(taxableIncome, upper) - lower, 0);
+    const amount = (income * slab.rate) / 100;
+    slabs.push({
+      from: lower,
+      upTo: slab.upTo,
+      rate: slab.rate,
+      income: round2(income),
+      tax: round2(amount),
+    });
+    tax += amount;
+    lower = upper;
+    if (taxableIncome <= upper) break;
+  }
+
+  const { incomeUpTo, maxRebate, marginalRelief } = regime.rebate;
+  let rebate = 0;
+  if (taxableIncome <= incomeUpTo) {
+    rebate = Math.min(tax, maxRebate);
+  } else if (marginalRelief) {
+    rebate = Math.max(tax - (taxableIncome - incomeUpTo), 0);
+  }
+  const cess = ((tax - rebate) * cessPercent) / 100;
+
+  return {
+    slabs,
+    taxOnIncome: round2(tax),
+    rebate: round2(rebate),
+    cess: round2(cess),
+    totalTax: Math.round(tax - rebate + cess),
+  };
+}
+
+// Annual tax on a gross income under one regime. The standard deduction and
+// the declared deductions the regime allows (up to their limits) are taken
+// off; taxable income is rounded to the nearest ten rupees.
+function computeAnnualTax(grossIncome, regimeName, declarations, tax) {
+  const regime = tax[regimeName];
+  const declared = new Map(declarations.map((d) => [d.section, d.amount]));
+  const deductions = regime.deductions
+    .filter((d) => declared.has(d.section))
+    .map((d) => {
+      const amount = declared.get(d.section);
+      return {
+        section: d.section,
+        name: d.name,
+        declared: amount,
+        allowed: round2(d.limit == null ? amount : Math.min(amount, d.limit)),
+      };
+    });
+  const standardDeduction = Math.min(regime.standardDeduction, grossIncome);
+  const totalDeductions = round2(
+    deductions.reduce((sum, d) => sum + d.allowed, 0)
+  );
+  const taxableIncome = Math.max(
+    Math.round((grossIncome - standardDeduction - totalDeductions) / 10) * 10,
+    0
+  );
+
+  return {
+    regime: regimeName,
+    grossIncome: round2(grossIncome),
+    standardDeduction: round2(standardDeduction),
+    deductions,
+    totalDeductions,
+    taxableIncome,
+    ...taxOnIncome(taxableIncome, regime, tax.cessPercent),
+  };
+}
+
+function tdsOf(payslip) {
+  return (payslip.data.deductions || [])
+    .filter((d) => d.code === TDS)
+    .reduce((sum, d) => sum + d.amount, 0);
+}
+
+// Taxable salary of a financial year month by month:
+// [{ year, month, gross, tds, source }]. Months before `from` come from
+// stored payslips ('payslip'); `from` itself is `currentGross` if given
+// ('current'); the months after it up to March or the employee's last
+// working day are projected at the full-month salary then in force
+// ('projected').
+async function salaryByMonth(emp, financialYear, from, currentGross) {
+  const months = financialYearMonths(financialYear);
+  let last = months[months.length - 1];
+  if (emp.lastWorkingDay) {
+    const exit = monthOf(emp.lastWorkingDay);
+    if (monthIndex(exit) < monthIndex(last)) last = exit;
+  }
+
+  const payslips = await Payslip.find({
+    employee: emp._id,
+    $or: [
+      { year: financialYear, month: { $gte: 4 } },
+      { year: financialYear + 1, month: { $lte: 3 } },
+    ],
+  })
+    .select('year month grossEarnings data.deductions')
+    .lean();
+  const result = payslips
+    .filter((p) => monthIndex(p) < monthIndex(from))
+    .sort((a, b) => monthIndex(a) - monthIndex(b))
+    .map((p) => ({
+      year: p.year,
+      month: p.month,
+      gross: p.grossEarnings,
+      tds: round2(tdsOf(p)),
+      source: 'payslip',
+    }));
+
+  if (currentGross != null) {
+    result.push({ ...from, gross: currentGross, tds: null, source: 'current' });
+  }
+
+  const projected = months.filter(
+    (m) =>
+      monthIndex(m) >= monthIndex(from) + (currentGross != null ? 1 : 0) &&
+      monthIndex(m) <= monthIndex(last)
+  );
+  if (projected.length) {
+    const segments = await getSalarySegments(
+      emp,
+      startOfMonth(projected[0].year, projected[0].month),
+      endOfMonth(last.year, last.month)
+    );
+    for (const m of projected) {
+      const start = startOfMonth(m.year, m.month);
+      const { salary } = segments.filter((s) => s.from <= start).pop();
+      const { grossEarnings } = computeSalaryComponents(
+        emp.salaryStructure,
+        salary,
+        1
+      );
+      result.push({
+        ...m,
+        gross: grossEarnings,
+        tds: null,
+        source: 'projected',
+      });
+    }
+  }
+  return result;
+}
+
+// TDS to withhold from one month's salary: the year's tax on the salary
+// paid so far, this month's and the projected rest, less the tax already
+// withheld this year, spread evenly over this and the remaining months.
+// Returns null while tax is switched off in the settings.
+async function computeMonthlyTds(emp, year, month, grossEarnings) {
+  const { tax } = await getOrganization();
+  if (!tax.enabled) return null;
+
+  const financialYear = financialYearOf(year, month);
+  const declaration = await getDeclaration(emp._id, financialYear);
+  const regime = declaration.regime || tax.defaultRegime;
+  const months = await salaryByMonth(
+    emp,
+    financialYear,
+    { year, month },
+    grossEarnings
+  );
+
+  const previous = declaration.previousEmployer || {};
+  const income =
+    months.reduce((sum, m) => sum + m.gross, 0) + (previous.income || 0);
+  const { totalTax } = computeAnnualTax(
+    income,
+    regime,
+    declaration.declarations,
+    tax
+  );
+  const withheld =
+    months.reduce((sum, m) => sum + (m.tds || 0), 0) + (previous.tds || 0);
+  const remainingMonths = months.filter((m) => m.source !== 'payslip').length;
+
+  return {
+    financialYear: financialYearLabel(financialYear),
+    regime,
+    projectedIncome: round2(income),
+    annualTax: totalTax,
+    withheldBefore: round2(withheld),
+    remainingMonths,
+    amount: Math.max(Math.round((totalTax - withheld) / remainingMonths), 0),
+  };
+}
+
+// Annual tax computation statement of an employee for a financial year:
+// salary from stored payslips, then projected from the current month (or
+// the month after the latest payslip) on; the computation under the
+// employee's regime with the other regime's total for comparison; and the
+// tax withheld so far against the year's liability.
+async function getTaxStatement(employeeId, financialYear) {
+  const emp = await Employee.findById(employeeId)
+    .select('name empId salary salaryStructure lastWorkingDay')
+    .lean();
+  if (!emp) throw new Error('Employee not found');
+
+  const { tax } = await getOrganization();
+  const declaration = await getDeclaration(emp._id, financialYear);
+  const regime = declaration.regime || tax.defaultRegime;
+
+  const [latest] = await Payslip.find({
+    employee: emp._id,
+    $or: [
+      { year: financialYear, month: { $gte: 4 } },
+      { year: financialYear + 1, month: { $lte: 3 } },
+    ],
+  })
+    .select('year month')
+    .sort({ year: -1, month: -1 })
+    .limit(1)
+    .lean();
+  let from = financialYearMonths(financialYear)[0];
+  for (const m of [monthOf(new Date()), latest && nextMonth(latest)]) {
+    if (m && monthIndex(m) > monthIndex(from)) from = m;
+  }
+  const months = await salaryByMonth(emp, financialYear, from);
+
+  const previous = declaration.previousEmployer || { income: 0, tds: 0 };
+  const salary = round2(months.reduce((sum, m) => sum + m.gross, 0));
+  const income = salary + (previous.income || 0);
+  const [computation, other] = [
+    regime,
+    TAX_REGIMES.find((r) => r !== regime),
+  ].map((r) => computeAnnualTax(income, r, declaration.declarations, tax));
+  const tdsWithheld = round2(
+    months.reduce((sum, m) => sum + (m.tds || 0), 0) + (previous.tds || 0)
+  );
+
+  return {
+    employee: { _id: emp._id, name: emp.name, empId: emp.empId },
+    financialYear: financialYearLabel(financialYear),
+    tdsEnabled: tax.enabled,
+    regimeDeclared: Boolean(declaration.regime),
+    months,
+    salaryPaid: round2(
+      months
+        .filter((m) => m.source === 'payslip')
+        .reduce((sum, m) => sum + m.gross, 0)
+    ),
+    salaryProjected: round2(
+      months
+        .filter((m) => m.source === 'projected')
+        .reduce((sum, m) => sum + m.gross, 0)
+    ),
+    previousEmployer: previous,
+    ...computation,
+    comparison: {
+      [computation.regime]: computation.totalTax,
+      [other.regime]: other.totalTax,
+    },
+    tdsWithheld,
+    balance: round2(computation.totalTax - tdsWithheld),
+  };
+}
+
+module.exports = {
+  TAX_REGIMES,
+  TDS,
+  TAX_SETTINGS_FIELDS,
+  TAX_REGIME_FIELDS,
+  financialYearOf,
+  currentFinancialYear,
+  financialYearLabel,
+  financialYearMonths,
+  validateTaxSettings,
+  validateDeclaration,
+  getDeclaration,
+  saveDeclaration,
+  computeAnnualTax,
+  computeMonthlyTds,
+  getTaxStatement,
+};
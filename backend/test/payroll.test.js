@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { stubPayroll, newEmployee } = require('./stubs');
+const { calculateSalary } = require('../payroll');
+const { countOvertimeMinutes } = require('../calendar');
+const { parseDay } = require('../dates');
+
+test('overtime counts only on days worked', () => {
+  assert.strictEqual(
+    countOvertimeMinutes([
+      { status: 'present', overtimeMinutes: 60 },
+      { status: 'half-day', overtimeMinutes: 30 },
+      { status: 'absent', overtimeMinutes: 90 },
+      { status: 'leave', overtimeMinutes: 120 },
+      { status: 'present' },
+    ]),
+    90
+  );
+});
+
+test('a checked-in day later marked absent or leave pays no overtime', async (t) => {
+  const employee = newEmployee();
+  t.after(
+    stubPayroll({
+      employee,
+      attendance: [
+        ['2025-11-03', 'present', 60],
+        ['2025-11-04', 'leave', 120],
+        ['2025-11-05', 'absent', 90],
+      ].map(([day, status, overtimeMinutes]) => ({
+        date: parseDay(day),
+        status,
+        overtimeMinutes,
+      })),
+    })
+  );
+
+  const payslip = await calculateSalary(employee._id, 2025, 11);
+  assert.strictEqual(payslip.overtimeHours, 1);
+  const overtime = payslip.earnings.find((e) => e.code === 'OVERTIME');
+  // One hour at 1.5x of 30000 / 30 days / 9 scheduled hours
+  assert.strictEqual(overtime.amount, 166.67);
+});
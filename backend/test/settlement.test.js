@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { stubPayroll, newEmployee } = require('./stubs');
+const { computeSettlement } = require('../settlement');
+const { calculateSalary } = require('../payroll');
+const { eachDay, dateKey, dayOfWeek, parseDay } = require('../dates');
+
+// Every working day of November 2025 marked present, including the days
+// after the exit an admin marked by mistake
+const november = eachDay(parseDay('2025-11-01'), parseDay('2025-11-30'))
+  .filter((date) => dayOfWeek(date) !== 0)
+  .map((date) => ({ date, status: 'present' }));
+
+test('exiting mid-month pays the final month up to the last working day', async (t) => {
+  // Still active: the exit is settled before it is stored
+  const employee = newEmployee();
+  t.after(
+    stubPayroll({
+      employee,
+      attendance: november,
+      organization: { prorationBasis: 'calendar' },
+    })
+  );
+
+  const fullMonth = await calculateSalary(employee._id, 2025, 11);
+  const settlement = await computeSettlement(employee._id, {
+    lastWorkingDay: parseDay('2025-11-14'),
+  });
+
+  assert.strictEqual(dateKey(settlement.employee.lastWorkingDay), '2025-11-14');
+  assert.strictEqual(settlement.finalMonth.payableDays, 14);
+  assert.strictEqual(settlement.finalMonth.totalDaysInMonth, 30);
+  assert.ok(settlement.finalMonth.salaryIncluded);
+  assert.ok(
+    Math.abs(settlement.grossEarnings - (fullMonth.grossEarnings * 14) / 30) <
+      1
+  );
+});
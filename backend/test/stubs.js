@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { Organization } = require('../models');
+const { setTimeZone } = require('../dates');
+
+// Tests run without a database: the model methods a test reaches are
+// replaced with canned results, and days are counted in a fixed zone
+setTimeZone('Asia/Kolkata');
+
+// Chainable, awaitable stand-in for a mongoose query resolving to `result`
+function query(result) {
+  const q = {};
+  for (const method of ['select', 'populate', 'sort', 'limit', 'lean']) {
+    q[method] = () => q;
+  }
+  q.exec = () => Promise.resolve(result);
+  q.then = (resolve, reject) => q.exec().then(resolve, reject);
+  return q;
+}
+
+// Replace static methods of models, e.g.
+// stub(Holiday, { find: () => query([]) }); returns a function undoing it
+function stub(Model, methods) {
+  const original = {};
+  for (const [name, fn] of Object.entries(methods)) {
+    original[name] = Model[name];
+    Model[name] = fn;
+  }
+  return () => Object.assign(Model, original);
+}
+
+// Stubs calculateSalary() needs for an employee with `attendance` records
+// and no revisions, holidays, earlier payslips or tax; returns the undo
+function stubPayroll({ employee, attendance = [], organization = {} }) {
+  const models = mongoose.models;
+  const settings = new Organization({
+    tax: { enabled: false },
+    ...organization,
+  });
+  const undo = [
+    // A fresh copy per load, as from the database
+    stub(models.Employee, { findById: () => query({ ...employee }) }),
+    stub(models.Organization, { findOne: () => query(settings) }),
+    stub(models.Holiday, { find: () => query([]) }),
+    stub(models.Attendance, { find: () => query(attendance) }),
+    stub(models.SalaryRevision, {
+      find: () => query([]),
+      findOne: () => query(null),
+    }),
+    stub(models.PayrollRun, {
+      find: () => query([]),
+      exists: () => query(null),
+    }),
+    stub(models.Payslip, { find: () => query([]) }),
+    stub(models.LeaveType, { find: () => query([]) }),
+  ];
+  return () => undo.forEach((restore) => restore());
+}
+
+function newEmployee(fields = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    empId: 'EMP001',
+    name: 'Asha Rao',
+    role: 'employee',
+    status: 'active',
+    salary: 30000,
+    ...fields,
+  };
+}
+
+module.exports = { query, stub, stubPayroll, newEmployee };